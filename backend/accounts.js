@@ -0,0 +1,87 @@
+// backend/accounts.js
+// Links between login accounts (Users) and library members (Members), and
+// the member's own view of their loans, fines and holds
+const { ObjectId } = require("mongodb");
+const { CURRENCY } = require("./config");
+const { roundMoney, fineBalance } = require("./fines");
+const { ACTIVE_HOLD_STATUSES } = require("./holds");
+const { renewalBlock } = require("./renewals");
+
+// A user is tied to a member through User.memberLink:
+//   { memberId, status: "pending" | "confirmed" | "rejected", requestedAt,
+//     decidedAt, decidedBy }
+// The match is made by email when the user signs up or asks for it, and
+// only counts once a librarian has confirmed it.
+const HISTORY_LIMIT = 100;
+
+const linkedMemberId = (user) =>
+  user && user.memberLink && user.memberLink.status === "confirmed" ? user.memberLink.memberId : null;
+
+// Ask for the user to be linked to the member with their email. Returns the
+// link (unchanged if one is already pending or confirmed), or null when no
+// member has that email.
+async function requestMemberLink(db, user) {
+  if (user.memberLink && ["pending", "confirmed"].includes(user.memberLink.status)) return user.memberLink;
+  const member = await db.collection("Members").findOne({ email: user.email }, { projection: { _id: 1 } });
+  if (!member) return null;
+
+  const memberLink = { memberId: member._id.toString(), status: "pending", requestedAt: new Date() };
+  await db.collection("Users").updateOne({ _id: user._id }, { $set: { memberLink } });
+  return memberLink;
+}
+
+const titleMap = async (db, bookIds) => {
+  const books = await db.collection("Books").find(
+    { _id: { $in: [...new Set(bookIds)].map(id => new ObjectId(id)) } },
+    { projection: { title: 1, author: 1, cover: 1 } }
+  ).toArray();
+  return new Map(books.map(b => [b._id.toString(), b]));
+};
+
+// Everything the My Account page shows: open loans (with whether each can
+// be renewed and why not), returned loans, outstanding fines and holds
+async function memberAccount(db, memberId) {
+  const member = await db.collection("Members").findOne({ _id: new ObjectId(memberId) }, { projection: { borrowedBooks: 0 } });
+  if (!member) return null;
+
+  const logs = await db.collection("BorrowLogs").find({ memberId }).sort({ borrowedOn: -1 }).toArray();
+  const open = logs.filter(l => !l.returnedOn);
+  const returned = logs.filter(l => l.returnedOn).slice(0, HISTORY_LIMIT);
+  const fines = await db.collection("Fines").find({ memberId, status: "outstanding" }).sort({ createdAt: 1 }).toArray();
+  const holds = await db.collection("Holds").find({ memberId, status: { $in: ACTIVE_HOLD_STATUSES } }).sort({ createdAt: 1 }).toArray();
+
+  const waitingTitles = new Set(await db.collection("Holds").distinct("bookId", {
+    bookId: { $in: open.map(l => l.bookId) },
+    status: "waiting"
+  }));
+  const books = await titleMap(db, [...logs, ...fines, ...holds].map(x => x.bookId).filter(Boolean));
+  const describe = (bookId) => {
+    const book = books.get(bookId) || {};
+    return { title: book.title || null, author: book.author || null, cover: book.cover || null };
+  };
+
+  const now = new Date();
+  return {
+    member,
+    loans: open.map(log => {
+      const block = renewalBlock({ renewals: log.renewals || 0, dueDate: log.dueDate, waiting: waitingTitles.has(log.bookId) }, now);
+      return {
+        ...log,
+        ...describe(log.bookId),
+        renewals: log.renewals || 0,
+        overdue: new Date(log.dueDate) < now,
+        canRenew: !block,
+        renewBlockedBy: block
+      };
+    }),
+    history: returned.map(log => ({ ...log, ...describe(log.bookId) })),
+    fines: {
+      balance: roundMoney(fines.reduce((sum, f) => sum + fineBalance(f), 0)),
+      currency: CURRENCY,
+      items: fines.map(f => ({ ...f, ...describe(f.bookId), balance: fineBalance(f) }))
+    },
+    holds: holds.map(h => ({ ...h, ...describe(h.bookId) }))
+  };
+}
+
+module.exports = { linkedMemberId, requestMemberLink, memberAccount };
@@ -0,0 +1,225 @@
+// backend/analytics.js
+// Circulation analytics over a date range: loans and returns per period,
+// genre popularity, collection utilization, loan durations and fines.
+// Periods are calendar days, ISO weeks (from Monday) or months, in UTC.
+const { DAY_MS, REPORT_DEFAULT_DAYS } = require("./config");
+const { httpError } = require("./respond");
+
+const REPORT_INTERVALS = ["day", "week", "month"];
+const MAX_REPORT_PERIODS = 1000;
+const UNSPECIFIED_GENRE = "Unspecified";
+
+// The longest ranges shown day by day and week by week when no ?interval
+// is given; anything longer is shown by month
+const DAILY_UP_TO_DAYS = 31;
+const WEEKLY_UP_TO_DAYS = 26 * 7;
+
+function defaultInterval(from, to) {
+  const days = (to - from) / DAY_MS;
+  if (days <= DAILY_UP_TO_DAYS) return "day";
+  return days <= WEEKLY_UP_TO_DAYS ? "week" : "month";
+}
+
+// Fill in the defaults for ?from, ?to and ?interval: the last
+// REPORT_DEFAULT_DAYS days, in periods that suit the length of the range
+function reportRange({ from, to, interval } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - REPORT_DEFAULT_DAYS * DAY_MS);
+  if (start > end) throw httpError(400, "The start of the range must be before its end");
+  return { from: start, to: end, interval: interval || defaultInterval(start, end) };
+}
+
+// Start of the day, week or month `date` falls in
+function periodStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+}
+
+// Every period from `from` to `to`, so quiet stretches show up as zeros
+function reportPeriods({ from, to, interval }) {
+  const periods = [];
+  for (let d = periodStart(from, interval); d <= to; ) {
+    periods.push(d.toISOString().slice(0, 10));
+    if (periods.length > MAX_REPORT_PERIODS) {
+      throw httpError(400, `The range has more than ${MAX_REPORT_PERIODS} ${interval}s; pick a shorter range or a longer interval`);
+    }
+    d = new Date(d);
+    if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+    else d.setUTCDate(d.getUTCDate() + (interval === "week" ? 7 : 1));
+  }
+  return periods;
+}
+
+const periodOf = (field, interval) =>
+  ({ $dateTrunc: { date: field, unit: interval, ...(interval === "week" ? { startOfWeek: "monday" } : {}) } });
+
+const inRange = ({ from, to }) => ({ $gte: from, $lte: to });
+
+const periodKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Merge aggregation results keyed by period into one row per period, with
+// zeros where a series has nothing
+function byPeriod(range, series) {
+  const rows = new Map(reportPeriods(range).map(period => [period, { period }]));
+  for (const [name, results] of Object.entries(series)) {
+    rows.forEach(row => { row[name] = 0; });
+    results.forEach(r => {
+      const row = rows.get(periodKey(r._id));
+      if (row) row[name] = r.value;
+    });
+  }
+  return [...rows.values()];
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Loans made and loans returned per period
+async function loanActivity(db, range) {
+  const BorrowLogs = db.collection("BorrowLogs");
+  const count = (field) => BorrowLogs.aggregate([
+    { $match: { [field]: inRange(range) } },
+    { $group: { _id: periodOf(`$${field}`, range.interval), value: { $sum: 1 } } }
+  ]).toArray();
+
+  const rows = byPeriod(range, { loans: await count("borrowedOn"), returns: await count("returnedOn") });
+  return {
+    rows,
+    summary: {
+      loans: rows.reduce((sum, r) => sum + r.loans, 0),
+      returns: rows.reduce((sum, r) => sum + r.returns, 0)
+    }
+  };
+}
+
+// Loans per genre, busiest first, with how many titles and members they
+// involved
+async function genrePopularity(db, range) {
+  const rows = await db.collection("BorrowLogs").aggregate([
+    { $match: { borrowedOn: inRange(range) } },
+    // Logs keep bookId as a string; as an ObjectId it joins on the _id index
+    { $set: { bookObjectId: { $toObjectId: "$bookId" } } },
+    { $lookup: { from: "Books", localField: "bookObjectId", foreignField: "_id", pipeline: [{ $project: { genre: 1 } }], as: "book" } },
+    { $group: {
+      _id: { $ifNull: [{ $first: "$book.genre" }, UNSPECIFIED_GENRE] },
+      loans: { $sum: 1 },
+      titles: { $addToSet: "$bookId" },
+      members: { $addToSet: "$memberId" }
+    } },
+    { $project: { _id: 0, genre: "$_id", loans: 1, titles: { $size: "$titles" }, members: { $size: "$members" } } },
+    { $sort: { loans: -1, genre: 1 } }
+  ]).toArray();
+
+  const loans = rows.reduce((sum, r) => sum + r.loans, 0);
+  rows.forEach(r => { r.share = loans ? round(r.loans / loans, 4) : 0; });
+  return { rows, summary: { loans, genres: rows.length } };
+}
+
+// Per genre, how many of the titles held during the range were borrowed at
+// least once in it; the rest count as never borrowed
+async function collectionUtilization(db, range) {
+  const borrowed = await db.collection("BorrowLogs").distinct("bookId", { borrowedOn: inRange(range) });
+  const rows = await db.collection("Books").aggregate([
+    { $match: { $or: [{ createdAt: { $lte: range.to } }, { createdAt: { $exists: false } }] } },
+    { $group: {
+      _id: { $ifNull: ["$genre", UNSPECIFIED_GENRE] },
+      titles: { $sum: 1 },
+      borrowed: { $sum: { $cond: [{ $in: [{ $toString: "$_id" }, borrowed] }, 1, 0] } }
+    } },
+    { $project: { _id: 0, genre: "$_id", titles: 1, borrowed: 1 } },
+    { $sort: { genre: 1 } }
+  ]).toArray();
+
+  rows.forEach(r => {
+    r.neverBorrowed = r.titles - r.borrowed;
+    r.neverBorrowedShare = r.titles ? round(r.neverBorrowed / r.titles, 4) : 0;
+  });
+  const titles = rows.reduce((sum, r) => sum + r.titles, 0);
+  const neverBorrowed = rows.reduce((sum, r) => sum + r.neverBorrowed, 0);
+  return {
+    rows,
+    summary: { titles, borrowed: titles - neverBorrowed, neverBorrowed, neverBorrowedShare: titles ? round(neverBorrowed / titles, 4) : 0 }
+  };
+}
+
+// Average days between borrowing and returning, by the period of the
+// return; lost items are left out
+async function loanDuration(db, range) {
+  const results = await db.collection("BorrowLogs").aggregate([
+    { $match: { returnedOn: inRange(range), lost: { $ne: true } } },
+    { $project: {
+      returnedOn: 1,
+      days: { $divide: [{ $subtract: ["$returnedOn", "$borrowedOn"] }, DAY_MS] },
+      late: { $cond: [{ $gt: ["$returnedOn", "$dueDate"] }, 1, 0] }
+    } },
+    { $group: {
+      _id: periodOf("$returnedOn", range.interval),
+      returned: { $sum: 1 },
+      totalDays: { $sum: "$days" },
+      late: { $sum: "$late" }
+    } }
+  ]).toArray();
+
+  const pick = (key) => results.map(r => ({ _id: r._id, value: r[key] }));
+  const rows = byPeriod(range, { returned: pick("returned"), totalDays: pick("totalDays"), late: pick("late") })
+    .map(({ totalDays, ...row }) => ({ ...row, averageDays: row.returned ? round(totalDays / row.returned, 1) : 0 }));
+
+  const returned = results.reduce((sum, r) => sum + r.returned, 0);
+  const totalDays = results.reduce((sum, r) => sum + r.totalDays, 0);
+  return {
+    rows,
+    summary: {
+      returned,
+      averageDays: returned ? round(totalDays / returned, 1) : 0,
+      late: results.reduce((sum, r) => sum + r.late, 0)
+    }
+  };
+}
+
+// Fines assessed, paid and waived per period. Payments and waivers count in
+// the period they happened, not when the fine was issued.
+async function fineTotals(db, range) {
+  const Fines = db.collection("Fines");
+  const assessed = await Fines.aggregate([
+    { $match: { createdAt: inRange(range) } },
+    { $group: { _id: periodOf("$createdAt", range.interval), value: { $sum: "$amount" } } }
+  ]).toArray();
+  const collected = await Fines.aggregate([
+    { $match: { "payments.at": inRange(range) } },
+    { $unwind: "$payments" },
+    { $match: { "payments.at": inRange(range) } },
+    { $group: { _id: periodOf("$payments.at", range.interval), value: { $sum: "$payments.amount" } } }
+  ]).toArray();
+  const waived = await Fines.aggregate([
+    { $match: { "waiver.at": inRange(range) } },
+    { $group: { _id: periodOf("$waiver.at", range.interval), value: { $sum: "$waiver.amount" } } }
+  ]).toArray();
+
+  const rows = byPeriod(range, { assessed, collected, waived });
+  const total = (key) => round(rows.reduce((sum, r) => sum + r[key], 0));
+  const summary = { assessed: total("assessed"), collected: total("collected"), waived: total("waived") };
+  summary.collectionRate = summary.assessed ? round(summary.collected / summary.assessed, 4) : 0;
+  return { rows, summary };
+}
+
+// name => [build, CSV columns]
+const ANALYTICS_REPORTS = {
+  loans: [loanActivity, ["period", "loans", "returns"]],
+  genres: [genrePopularity, ["genre", "loans", "share", "titles", "members"]],
+  utilization: [collectionUtilization, ["genre", "titles", "borrowed", "neverBorrowed", "neverBorrowedShare"]],
+  "loan-duration": [loanDuration, ["period", "returned", "averageDays", "late"]],
+  fines: [fineTotals, ["period", "assessed", "collected", "waived"]]
+};
+
+module.exports = {
+  REPORT_INTERVALS,
+  ANALYTICS_REPORTS,
+  reportRange,
+  reportPeriods,
+  loanActivity,
+  genrePopularity,
+  collectionUtilization,
+  loanDuration,
+  fineTotals
+};
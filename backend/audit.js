@@ -0,0 +1,84 @@
+// backend/audit.js
+// Audit trail: who created, changed, deleted, restored, lent or took back
+// which record, and what changed
+const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge", "merge", "borrow", "return", "renew", "lost", "link"];
+const AUDIT_ENTITIES = ["book", "member"];
+
+// Bookkeeping fields left out of diffs
+const UNAUDITED_FIELDS = ["_id", "updatedAt"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields that differ between two versions of a record, as
+// { field: { from, to } }; a missing side (create, delete) counts as null
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (UNAUDITED_FIELDS.includes(field)) continue;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!same(from, to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// The acting user as stored on an entry; null for the system itself
+// (scheduled jobs, CLI repairs)
+const auditActor = (user) =>
+  user ? { id: user._id.toString(), name: user.name, email: user.email, role: user.role } : null;
+
+// One AuditLog entry. `before` and `after` are the record as it was and as
+// it is now (either may be omitted); `details` holds anything else worth
+// keeping, e.g. the copy and member of a loan.
+function auditEntry(user, { action, entity, entityId, before, after, details }) {
+  const actor = auditActor(user);
+  return {
+    action,
+    entity,
+    entityId: entityId.toString(),
+    userId: actor ? actor.id : null,
+    user: actor,
+    changes: diffRecords(before, after),
+    ...(details ? { details } : {}),
+    at: new Date()
+  };
+}
+
+// Pass the session to write the entry in the same transaction as the change
+async function recordAudit(db, user, change, session) {
+  await db.collection("AuditLog").insertOne(auditEntry(user, change), { session });
+}
+
+async function recordAuditMany(db, user, changes) {
+  if (changes.length) await db.collection("AuditLog").insertMany(changes.map(change => auditEntry(user, change)));
+}
+
+// Build the AuditLog filter for GET /audit. `user` matches the actor's id,
+// or part of their name or email.
+function auditFilter({ entity, entityId, action, user, from, to }) {
+  const filter = {};
+  if (entity) filter.entity = entity;
+  if (entityId) filter.entityId = entityId;
+  if (action) filter.action = action;
+  if (user) {
+    const pattern = new RegExp(user.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ userId: user }, { "user.name": pattern }, { "user.email": pattern }];
+  }
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lte = to;
+  }
+  return filter;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+  diffRecords,
+  auditActor,
+  recordAudit,
+  recordAuditMany,
+  auditFilter
+};
@@ -0,0 +1,72 @@
+// backend/auth.js
+// Roles and permissions, password hashing and session tokens
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { Sessions } = require("./db");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Role-based permissions. Each role lists the permissions it holds; routes
+// declare the permission they need with requirePermission(). Keep in sync
+// with frontend/js/session.js.
+const ROLES = ["admin", "librarian", "member"];
+const ROLE_PERMISSIONS = {
+  admin: ["books:write", "members:read", "members:write", "circulation", "fines:manage", "reports:read", "audit:read", "users:manage", "settings:manage"],
+  librarian: ["books:write", "members:read", "members:write", "circulation", "fines:manage", "reports:read", "audit:read"],
+  member: []
+};
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Passwords are stored as "scrypt$<salt>$<hash>"; bare hex strings are
+// legacy unsalted SHA-256 hashes that get upgraded on the next login.
+const SCRYPT_KEYLEN = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof stored !== "string") return { ok: false, legacy: false };
+  if (stored.startsWith("scrypt$")) {
+    const [, salt, hash] = stored.split("$");
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, salt, expected.length);
+    return { ok: crypto.timingSafeEqual(expected, actual), legacy: false };
+  }
+  const legacy = Buffer.from(crypto.createHash("sha256").update(password).digest("hex"));
+  const ok = legacy.length === stored.length && crypto.timingSafeEqual(legacy, Buffer.from(stored));
+  return { ok, legacy: true };
+}
+
+function genToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// Session tokens are only stored hashed so a database leak can't be replayed
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// The live session for the request's bearer token, if any
+async function sessionFromReq(req) {
+  const auth = req.headers["authorization"];
+  if (!auth) return null;
+  const token = auth.replace("Bearer ", "");
+  if (!token) return null;
+  const session = await Sessions.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+  return session || null;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  hashPassword,
+  verifyPassword,
+  genToken,
+  hashToken,
+  sessionFromReq
+};
@@ -0,0 +1,65 @@
+// backend/catalog.js
+// Catalog search, filters and sorts for GET /books
+const { Holds } = require("./db");
+
+// GET /books query parameters: q (free text over title, author, ISBN, genre),
+// status, genre (comma-separated), yearFrom, yearTo, sort, page and limit.
+const CATALOG_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  title: { title: 1 },
+  author: { author: 1 },
+  year: { year: -1 },
+  popular: { borrowCount: -1 }
+};
+const CATALOG_PAGE_SIZE = 24;
+const CATALOG_MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Filters other than the free-text part
+function catalogFilter(query) {
+  const filter = {};
+  if (query.status) filter.status = query.status;
+  if (query.genre) filter.genre = { $in: String(query.genre).split(",").map(g => g.trim()).filter(Boolean) };
+  const yearFrom = parseInt(query.yearFrom);
+  const yearTo = parseInt(query.yearTo);
+  if (yearFrom || yearTo) {
+    filter.year = {};
+    if (yearFrom) filter.year.$gte = yearFrom;
+    if (yearTo) filter.year.$lte = yearTo;
+  }
+  return filter;
+}
+
+// Whole-word search through the text index
+const textSearch = (q) => ({ $text: { $search: q } });
+
+// Substring search for partial words the text index can't match (e.g. while
+// the user is still typing); only used when the indexed search finds nothing
+const substringSearch = (q) => {
+  const pattern = new RegExp(escapeRegex(q), "i");
+  return { $or: ["title", "author", "isbn", "genre"].map(field => ({ [field]: pattern })) };
+};
+
+// Attach the length of each title's hold queue
+async function attachHoldCounts(books) {
+  const queues = await Holds.aggregate([
+    { $match: { status: "waiting", bookId: { $in: books.map(b => b._id.toString()) } } },
+    { $group: { _id: "$bookId", count: { $sum: 1 } } }
+  ]).toArray();
+  const queueLength = Object.fromEntries(queues.map(q => [q._id, q.count]));
+  books.forEach(b => (b.holdCount = queueLength[b._id.toString()] || 0));
+  return books;
+}
+
+module.exports = {
+  CATALOG_SORTS,
+  CATALOG_PAGE_SIZE,
+  CATALOG_MAX_PAGE_SIZE,
+  escapeRegex,
+  catalogFilter,
+  textSearch,
+  substringSearch,
+  attachHoldCounts
+};
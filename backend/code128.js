@@ -0,0 +1,95 @@
+// backend/code128.js
+// Code 128 barcodes as SVG. Runs of digits use code set C (two digits per
+// symbol), everything else printable ASCII code set B.
+const { httpError } = require("./respond");
+
+// Bar and space widths of symbols 0-106, in modules (106 is the stop)
+const PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112"
+];
+const CODE_B = 100;
+const CODE_C = 99;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+// Shortest digit run worth switching to code set C for
+const MIN_DIGIT_RUN = 4;
+// Narrowest bar (in mm) common hand scanners still read reliably
+const MIN_MODULE_WIDTH = 0.19;
+
+// Symbol values for `text`, start to check symbol (without the stop)
+function code128Symbols(text) {
+  if (!text.length) throw httpError(400, "Nothing to encode in the barcode");
+  if (!/^[\x20-\x7e]*$/.test(text)) throw httpError(400, "Barcodes can only hold printable ASCII characters");
+
+  const digitRun = (from) => (text.slice(from).match(/^\d*/)[0]).length;
+  const symbols = [];
+  let set = null;
+  let i = 0;
+  while (i < text.length) {
+    const run = digitRun(i);
+    // Set C for long enough digit runs; an odd digit left over is written
+    // in set B
+    if (run >= MIN_DIGIT_RUN) {
+      if (set !== "C") symbols.push(set === null ? START_C : CODE_C);
+      set = "C";
+      const even = run - (run % 2);
+      for (let end = i + even; i < end; i += 2) symbols.push(parseInt(text.slice(i, i + 2), 10));
+      continue;
+    }
+    if (set !== "B") symbols.push(set === null ? START_B : CODE_B);
+    set = "B";
+    symbols.push(text.charCodeAt(i) - 32);
+    i++;
+  }
+
+  const checksum = symbols.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  symbols.push(checksum);
+  return symbols;
+}
+
+// An SVG of the barcode with a ten-module quiet zone each side and,
+// unless `caption` is false, the text printed underneath. `moduleWidth`
+// is the narrowest bar and `height` the bar height, both in `unit`; with
+// `maxWidth` the bars are narrowed (never below MIN_MODULE_WIDTH) to fit.
+function code128Svg(text, { height = 12, moduleWidth = 0.33, maxWidth = Infinity, unit = "mm", caption = true } = {}) {
+  const value = String(text);
+  const widths = [...[...code128Symbols(value), STOP].map(s => PATTERNS[s]).join("")].map(Number);
+  const quiet = 10;
+  const width = widths.reduce((sum, w) => sum + w, 0) + quiet * 2;
+  moduleWidth = Math.max(Math.min(moduleWidth, maxWidth / width), MIN_MODULE_WIDTH);
+  // The view box is measured in modules both ways
+  const barHeight = Math.round(height / moduleWidth);
+  const textHeight = caption ? Math.round(barHeight * 0.3) : 0;
+
+  let x = quiet;
+  let bars = "";
+  widths.forEach((w, index) => {
+    // Even positions are bars, odd ones spaces
+    if (index % 2 === 0) bars += `M${x} 0h${w}v${barHeight}h-${w}z`;
+    x += w;
+  });
+  const label = caption
+    ? `<text x="${width / 2}" y="${barHeight + textHeight * 0.85}" font-family="monospace" font-size="${Math.round(textHeight * 0.8)}" text-anchor="middle">${escapeXml(value)}</text>`
+    : "";
+  const size = (modules) => `${Math.round(modules * moduleWidth * 100) / 100}${unit}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${barHeight + textHeight}" ` +
+    `width="${size(width)}" height="${size(barHeight + textHeight)}" shape-rendering="crispEdges">` +
+    `<rect width="${width}" height="${barHeight + textHeight}" fill="#fff"/><path d="${bars}" fill="#000"/>${label}</svg>`;
+}
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;"
+})[c]);
+
+module.exports = { code128Symbols, code128Svg, escapeXml };
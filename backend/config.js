@@ -0,0 +1,70 @@
+// backend/config.js
+// Server-wide settings from environment variables, with defaults
+const path = require("path");
+const fs = require("fs");
+
+const port = process.env.PORT || 3000;
+
+// MongoDB configuration - supports environment variables or defaults
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/";
+const DB_NAME = "LibrarySystemDB";
+// Where data is kept: "mongodb" (MONGO_URI above), or the embedded store for
+// running without a database server: "file" keeps it in DATA_FILE, "memory"
+// only while the process runs (for trying things out and tests)
+const STORAGE_BACKENDS = ["mongodb", "file", "memory"];
+const STORAGE = (process.env.STORAGE || "mongodb").toLowerCase();
+if (!STORAGE_BACKENDS.includes(STORAGE)) {
+  throw new Error(`STORAGE must be one of ${STORAGE_BACKENDS.join(", ")}, not "${STORAGE}"`);
+}
+const DATA_FILE = path.resolve(process.env.DATA_FILE || path.join(__dirname, "data", "library.json"));
+
+const FRONTEND_DIR = path.join(__dirname, "../frontend");
+const UPLOAD_DIR = path.join(FRONTEND_DIR, "uploads");
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Renewal policy: how many times a loan may be extended, and how many days
+// overdue a loan may be and still be renewed. 0 renewals is a valid policy,
+// so only an unset or unreadable MAX_RENEWALS falls back to the default
+const maxRenewals = parseInt(process.env.MAX_RENEWALS);
+const MAX_RENEWALS = Number.isFinite(maxRenewals) ? maxRenewals : 2;
+const RENEW_OVERDUE_LIMIT_DAYS = parseInt(process.env.RENEW_OVERDUE_LIMIT_DAYS) || 0;
+// How far back circulation analytics look when no ?from is given
+const REPORT_DEFAULT_DAYS = parseInt(process.env.REPORT_DEFAULT_DAYS) || 30;
+// Printed on member cards
+const LIBRARY_NAME = process.env.LIBRARY_NAME || "Library";
+// Fines are charged in this ISO 4217 currency. LOCALES lists the interface
+// languages offered (BCP 47 tags, each needing a frontend/locales catalog
+// unless it is English); the first is the default.
+const CURRENCY = (process.env.CURRENCY || "INR").toUpperCase();
+const LOCALES = (process.env.LOCALES || "en-IN,es-ES").split(",").map(l => l.trim()).filter(Boolean);
+const DEFAULT_LOCALE = LOCALES[0];
+// Size caps in bytes: JSON request bodies in general, cover images and
+// bulk/MARC import files
+const BODY_LIMIT = (parseInt(process.env.BODY_LIMIT_KB) || 100) * 1024;
+const UPLOAD_BODY_LIMIT = (parseInt(process.env.UPLOAD_LIMIT_MB) || 8) * 1024 * 1024;
+const IMPORT_BODY_LIMIT = (parseInt(process.env.IMPORT_LIMIT_MB) || 20) * 1024 * 1024;
+
+// Ensure upload directory exists
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+module.exports = {
+  port,
+  MONGO_URI,
+  DB_NAME,
+  STORAGE,
+  DATA_FILE,
+  FRONTEND_DIR,
+  UPLOAD_DIR,
+  SESSION_TTL_MS,
+  DAY_MS,
+  MAX_RENEWALS,
+  RENEW_OVERDUE_LIMIT_DAYS,
+  REPORT_DEFAULT_DAYS,
+  LIBRARY_NAME,
+  CURRENCY,
+  LOCALES,
+  DEFAULT_LOCALE,
+  BODY_LIMIT,
+  UPLOAD_BODY_LIMIT,
+  IMPORT_BODY_LIMIT
+};
@@ -0,0 +1,114 @@
+// backend/consistency.js
+// Drift check and repair between Books, Members and BorrowLogs
+const { summarizeCopies, syncBookStatus } = require("./copies");
+
+// Finds drift between Books (copies), Members.borrowedBooks and open
+// BorrowLogs, e.g. from a crash between the writes of a borrow or return on
+// a server without transactions. The copy's own state is taken as the truth:
+// it is the first write of both borrow and return. With repair, missing loan
+// entries and logs are recreated, stale ones removed or closed, and title
+// summaries recomputed. Returns the list of problems found.
+async function checkConsistency(db, repair = false) {
+  const Books = db.collection("Books");
+  const Members = db.collection("Members");
+  const BorrowLogs = db.collection("BorrowLogs");
+  const problems = [];
+  const report = (problem, fix) => problems.push({ ...problem, repaired: repair && !!fix, fix });
+  const now = new Date();
+
+  const books = await Books.find({}, { projection: { copies: 1, status: 1, availableCopies: 1, totalCopies: 1 } }).toArray();
+  const members = await Members.find({}, { projection: { borrowedBooks: 1 } }).toArray();
+  const openLogs = await BorrowLogs.find({ returnedOn: null }).sort({ borrowedOn: -1 }).toArray();
+  const memberById = new Map(members.map(m => [m._id.toString(), m]));
+
+  // Copies currently lent out, keyed by copyId
+  const lent = new Map();
+  books.forEach(book => (book.copies || []).forEach(copy => {
+    if (copy.status === "Borrowed") lent.set(copy._id.toString(), { book, copy });
+  }));
+
+  // Each lent copy needs a borrowedBooks entry and one open log
+  const logsByCopy = new Map();
+  openLogs.forEach(log => {
+    if (!logsByCopy.has(log.copyId)) logsByCopy.set(log.copyId, []);
+    logsByCopy.get(log.copyId).push(log);
+  });
+
+  for (const [copyId, { book, copy }] of lent) {
+    const member = memberById.get(copy.borrowedBy);
+    const ids = { bookId: book._id.toString(), copyId, barcode: copy.barcode, memberId: copy.borrowedBy };
+    if (!member) {
+      report({ type: "LOAN_MEMBER_MISSING", ...ids });
+      continue;
+    }
+
+    const logs = (logsByCopy.get(copyId) || []).filter(l => l.memberId === copy.borrowedBy);
+    const entry = (member.borrowedBooks || []).find(e => e.copyId === copyId);
+    const borrowedOn = (entry && entry.borrowedOn) || (logs[0] && logs[0].borrowedOn) || now;
+
+    if (!entry) {
+      report({ type: "MEMBER_ENTRY_MISSING", ...ids }, "added borrowedBooks entry");
+      if (repair) {
+        await Members.updateOne(
+          { _id: member._id },
+          { $push: { borrowedBooks: { bookId: ids.bookId, copyId, barcode: copy.barcode, borrowedOn, dueDate: copy.dueDate } } }
+        );
+      }
+    }
+    if (!logs.length) {
+      report({ type: "BORROW_LOG_MISSING", ...ids }, "inserted open BorrowLogs entry");
+      if (repair) {
+        await BorrowLogs.insertOne({
+          bookId: ids.bookId, copyId, barcode: copy.barcode, memberId: copy.borrowedBy,
+          borrowedOn, dueDate: copy.dueDate, returnedOn: null, fine: 0, repairedAt: now
+        });
+      }
+    }
+  }
+
+  // Open logs for copies that aren't lent to that member any more
+  const staleLogs = openLogs.filter(log => {
+    const current = lent.get(log.copyId);
+    return !current || current.copy.borrowedBy !== log.memberId;
+  });
+  // ...and duplicates: only the newest open log per lent copy is kept
+  const keptLog = new Set();
+  openLogs.forEach(log => {
+    if (staleLogs.includes(log)) return;
+    if (keptLog.has(log.copyId)) staleLogs.push(log);
+    else keptLog.add(log.copyId);
+  });
+  for (const log of staleLogs) {
+    report({ type: "STALE_BORROW_LOG", logId: log._id.toString(), copyId: log.copyId, memberId: log.memberId }, "closed BorrowLogs entry");
+    if (repair) await BorrowLogs.updateOne({ _id: log._id }, { $set: { returnedOn: now, repairedAt: now } });
+  }
+
+  // borrowedBooks entries for copies not lent to that member
+  for (const member of members) {
+    for (const entry of member.borrowedBooks || []) {
+      const current = lent.get(entry.copyId);
+      if (current && current.copy.borrowedBy === member._id.toString()) continue;
+      report({ type: "STALE_MEMBER_ENTRY", memberId: member._id.toString(), copyId: entry.copyId, bookId: entry.bookId }, "removed borrowedBooks entry");
+      if (repair) {
+        await Members.updateOne(
+          { _id: member._id },
+          { $pull: { borrowedBooks: entry.copyId ? { copyId: entry.copyId } : { bookId: entry.bookId, copyId: { $exists: false } } } }
+        );
+      }
+    }
+  }
+
+  // Title summaries that don't match their copies
+  for (const book of books) {
+    const summary = summarizeCopies(book.copies || []);
+    if (Object.keys(summary).every(k => book[k] === summary[k])) continue;
+    report({ type: "BOOK_SUMMARY_STALE", bookId: book._id.toString() }, "recomputed status and counts");
+    if (repair) await syncBookStatus(Books, book._id);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  checkConsistency
+};
@@ -0,0 +1,96 @@
+// backend/copies.js
+// Physical copies of a title and the summary fields derived from them
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { httpError } = require("./respond");
+const { normalizeIsbn } = require("./isbn");
+
+// Each title keeps its physical items in an embedded `copies` array. The
+// title-level status/availableCopies/totalCopies are a summary of that array.
+const COPY_STATUSES = ["Available", "Borrowed", "On Hold", "Repair", "Missing", "Lost", "Withdrawn"];
+// Statuses only circulation (borrow/return/holds) may move a copy into or out of
+const CIRCULATION_STATUSES = ["Borrowed", "On Hold"];
+
+function genBarcode() {
+  return "LIB" + crypto.randomBytes(5).toString("hex").toUpperCase();
+}
+
+function newCopy(data = {}) {
+  return {
+    _id: new ObjectId(),
+    barcode: data.barcode || genBarcode(),
+    location: data.location || null,
+    condition: data.condition || "Good",
+    status: "Available",
+    borrowedBy: null,
+    dueDate: null,
+    addedAt: new Date()
+  };
+}
+
+function summarizeCopies(copies = []) {
+  const availableCopies = copies.filter(c => c.status === "Available").length;
+  const onLoan = copies.some(c => c.status === "Borrowed");
+  return {
+    status: availableCopies > 0 ? "Available" : onLoan ? "Borrowed" : "Unavailable",
+    availableCopies,
+    totalCopies: copies.length
+  };
+}
+
+// Filter matching a copy only while it is still in the state we read, so a
+// write based on a stale read changes nothing
+const copyInState = (bookId, copy) => ({
+  _id: bookId,
+  copies: { $elemMatch: { _id: copy._id, status: copy.status, borrowedBy: copy.borrowedBy || null } }
+});
+
+// Locate the copy a return/renew request refers to: by barcode, by copyId,
+// the copy of the title currently lent to memberId, or with none of those
+// the title's only copy on loan (400 when several are out)
+function findLoanedCopy(copies = [], data) {
+  if (data.barcode) return copies.find(c => c.barcode === data.barcode);
+  if (data.copyId) return copies.find(c => c._id.toString() === data.copyId);
+  if (data.memberId) return copies.find(c => c.status === "Borrowed" && c.borrowedBy === data.memberId);
+  const onLoan = copies.filter(c => c.status === "Borrowed");
+  if (onLoan.length > 1) {
+    throw httpError(400, `${onLoan.length} copies of this title are on loan; scan the copy's barcode instead`, { code: "COPY_AMBIGUOUS" });
+  }
+  return onLoan[0];
+}
+
+// The title a circulation request names, by bookId or by a scanned code.
+// A code is a copy barcode or, when no copy has it, the ISBN from a title
+// label. An ISBN names the title and not a copy, so it comes back as a
+// bookId `ref` and the copy is chosen as for one (see findLoanedCopy).
+// Returns { book, ref }; book is null when nothing matches.
+async function findCirculationBook(Books, data) {
+  if (!data.barcode) return { book: await Books.findOne({ _id: new ObjectId(data.bookId) }), ref: data };
+  const book = await Books.findOne({ "copies.barcode": data.barcode });
+  const { isbn13 } = normalizeIsbn(data.barcode);
+  if (book || !isbn13) return { book, ref: data };
+
+  const titles = await Books.find({ isbn: isbn13 }).limit(2).toArray();
+  if (titles.length > 1) {
+    throw httpError(400, `More than one title has ISBN ${isbn13}; scan the copy's barcode instead`, { code: "COPY_AMBIGUOUS" });
+  }
+  const { barcode, ...ref } = data;
+  return { book: titles[0] || null, ref: titles[0] ? { ...ref, bookId: titles[0]._id.toString() } : data };
+}
+
+// Recompute a title's summary fields after one of its copies changed
+async function syncBookStatus(Books, _id, session) {
+  const book = await Books.findOne({ _id }, { projection: { copies: 1 }, session });
+  if (book) await Books.updateOne({ _id }, { $set: summarizeCopies(book.copies) }, { session });
+}
+
+module.exports = {
+  COPY_STATUSES,
+  CIRCULATION_STATUSES,
+  newCopy,
+  summarizeCopies,
+  copyInState,
+  findLoanedCopy,
+  findCirculationBook,
+  syncBookStatus
+};
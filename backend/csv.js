@@ -0,0 +1,65 @@
+// backend/csv.js
+// Minimal RFC 4180 CSV reading and writing for bulk import/export
+
+// Parse CSV text into an array of row objects keyed by the header line.
+// Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ""));
+  if (!nonEmpty.length) return [];
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((h, i) => [h, (values[i] || "").trim()]))
+  );
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize row objects to CSV using the given column order
+function toCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(",")];
+  rows.forEach(row => lines.push(columns.map(c => csvField(row[c])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,130 @@
+// backend/db.js
+// The database, collections, transactions and indexes. STORAGE picks where
+// data lives: MongoDB, or the embedded store (docstore.js) in a JSON file or
+// in memory. Both answer the same collection methods and queries, so the
+// handles below (Books, Members, Users, BorrowLogs, ...) and
+// `db.collection(name)` are the data-access layer for either.
+const { MongoClient } = require("mongodb");
+const { MONGO_URI, DB_NAME, STORAGE, DATA_FILE } = require("./config");
+const { createStore } = require("./docstore");
+
+const client = STORAGE === "mongodb" ? new MongoClient(MONGO_URI) : null;
+const db = client ? client.db(DB_NAME) : createStore({ file: STORAGE === "file" ? DATA_FILE : null });
+
+const Books = db.collection("Books");
+const Members = db.collection("Members");
+const Users = db.collection("Users");
+const Sessions = db.collection("Sessions");
+const BorrowLogs = db.collection("BorrowLogs");
+const Holds = db.collection("Holds");
+const Fines = db.collection("Fines");
+
+// Connect to MongoDB, or load the data file
+async function connect() {
+  if (client) await client.connect();
+  else await db.open();
+}
+
+// Disconnect, or finish writing the data file
+async function close() {
+  if (client) await client.close();
+  else await db.close();
+}
+
+// Where the data is, for the startup log
+function describeStorage() {
+  if (STORAGE === "mongodb") return `MongoDB at ${MONGO_URI}`;
+  if (STORAGE === "file") return `embedded store in ${DATA_FILE}`;
+  return "embedded in-memory store (data is lost when the server stops)";
+}
+
+// Circulation writes span Books, Members and BorrowLogs. They run in a
+// transaction when the deployment supports one (replica set or sharded
+// cluster); a standalone server or the embedded store runs the same writes
+// in order, each guarded by a conditional update, and `--check-consistency`
+// repairs what a crash between them leaves behind.
+let transactionsSupported = false;
+
+async function detectTransactionSupport() {
+  if (!client) return; // The embedded store has none
+  const hello = await client.db("admin").command({ hello: 1 });
+  transactionsSupported = !!(hello.setName || hello.msg === "isdbgrid");
+  if (!transactionsSupported) console.log("MongoDB is standalone; circulation writes run without transactions");
+}
+
+// Run work(session) in a transaction, or with no session when unsupported.
+// The driver may retry work on transient errors, so it must not send a response.
+async function withTransaction(work) {
+  if (!transactionsSupported) return work(undefined);
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Indexes the request handlers rely on; safe to run on every start
+async function ensureIndexes() {
+  await db.collection("Sessions").createIndex({ tokenHash: 1 }, { unique: true });
+  await db.collection("Sessions").createIndex({ userId: 1 });
+  // TTL index: MongoDB removes sessions once expiresAt has passed
+  await db.collection("Sessions").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection("Books").createIndex(
+    { "copies.barcode": 1 },
+    { unique: true, partialFilterExpression: { "copies.barcode": { $exists: true } } }
+  );
+  // Catalog search, filters and sorts
+  await db.collection("Books").createIndex(
+    { title: "text", author: "text", isbn: "text", genre: "text" },
+    { name: "catalog_text", weights: { title: 10, author: 5, isbn: 10, genre: 2 } }
+  );
+  await db.collection("Books").createIndex({ status: 1, createdAt: -1 });
+  await db.collection("Books").createIndex({ genre: 1, year: 1 });
+  await db.collection("Books").createIndex({ year: 1 });
+  await db.collection("Books").createIndex({ createdAt: -1 });
+  await db.collection("Books").createIndex({ title: 1 });
+  await db.collection("Books").createIndex({ author: 1 });
+  await db.collection("Books").createIndex({ borrowCount: -1 });
+  await db.collection("Books").createIndex({ isbn: 1 });
+  await db.collection("Holds").createIndex({ bookId: 1, status: 1, position: 1 });
+  await db.collection("Holds").createIndex({ memberId: 1, status: 1 });
+  await db.collection("Fines").createIndex({ memberId: 1, status: 1 });
+  await db.collection("BorrowLogs").createIndex({ returnedOn: 1, dueDate: 1 });
+  await db.collection("Notifications").createIndex({ type: 1, logId: 1, dueDate: 1 }, { unique: true });
+  await db.collection("BorrowLogs").createIndex({ copyId: 1, returnedOn: 1 });
+  // Audit trail browsing by record, by user and by date; the recycle bin
+  await db.collection("AuditLog").createIndex({ entity: 1, entityId: 1, at: -1 });
+  await db.collection("AuditLog").createIndex({ userId: 1, at: -1 });
+  await db.collection("AuditLog").createIndex({ at: -1 });
+  await db.collection("Trash").createIndex({ entity: 1, deletedAt: -1 });
+  // My Account history and the librarians' queue of account links to confirm
+  await db.collection("BorrowLogs").createIndex({ memberId: 1, borrowedOn: -1 });
+  await db.collection("Users").createIndex({ "memberLink.status": 1, "memberLink.requestedAt": 1 });
+  // Circulation analytics scan loans and fines by date
+  await db.collection("BorrowLogs").createIndex({ borrowedOn: 1 });
+  await db.collection("Fines").createIndex({ createdAt: 1 });
+  // Idempotency keys are remembered for a day
+  await db.collection("IdempotencyKeys").createIndex({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+}
+
+module.exports = {
+  db,
+  Books,
+  Members,
+  Users,
+  Sessions,
+  BorrowLogs,
+  Holds,
+  Fines,
+  connect,
+  close,
+  describeStorage,
+  detectTransactionSupport,
+  withTransaction,
+  ensureIndexes
+};
@@ -0,0 +1,716 @@
+// backend/docquery.js
+// The part of MongoDB's query language the server uses, evaluated over plain
+// documents: filters, update operators, projections, sorts and aggregation
+// pipelines. The embedded store (docstore.js) answers every collection call
+// with these, so handlers written against MongoDB run on it unchanged.
+// Values compare the way BSON does: by type first (null < numbers < strings
+// < objects < arrays < ObjectIds < booleans < dates), then by value.
+const { BSON, ObjectId } = require("mongodb");
+
+const isObjectId = (v) => v != null && v._bsontype === "ObjectId";
+const isPlainObject = (v) => v !== null && typeof v === "object" &&
+  (Object.getPrototypeOf(v) === Object.prototype || Object.getPrototypeOf(v) === null);
+// { $gt: 1 } as opposed to an embedded document to compare against
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith("$"));
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Deep copy of a document as it would come back from the server: undefined
+// fields are stored as null, ObjectIds are immutable and shared
+function clone(value) {
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = clone(v);
+    return out;
+  }
+  return value;
+}
+
+function typeRank(v) {
+  if (v === null || v === undefined) return 1;
+  if (typeof v === "number" || typeof v === "bigint") return 2;
+  if (typeof v === "string") return 3;
+  if (Array.isArray(v)) return 5;
+  if (Buffer.isBuffer(v)) return 6;
+  if (isObjectId(v)) return 7;
+  if (typeof v === "boolean") return 8;
+  if (v instanceof Date) return 9;
+  if (v instanceof RegExp) return 11;
+  return 4;
+}
+
+const order = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+function compare(a, b) {
+  const rank = typeRank(a);
+  if (rank !== typeRank(b)) return rank - typeRank(b);
+  switch (rank) {
+    case 1: return 0;
+    case 2:
+    case 3:
+    case 8: return order(a, b);
+    case 4: {
+      const ea = Object.entries(a);
+      const eb = Object.entries(b);
+      for (let i = 0; i < Math.min(ea.length, eb.length); i++) {
+        const c = order(ea[i][0], eb[i][0]) || compare(ea[i][1], eb[i][1]);
+        if (c) return c;
+      }
+      return ea.length - eb.length;
+    }
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = compare(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    }
+    case 6: return Buffer.compare(a, b);
+    case 7: return order(a.toHexString(), b.toHexString());
+    case 9: return order(a.getTime(), b.getTime());
+    default: return order(String(a), String(b));
+  }
+}
+
+const equals = (a, b) => compare(a, b) === 0;
+
+// A stable string for a value, for grouping and unique keys
+const keyOf = (value) => BSON.EJSON.stringify(value === undefined ? null : value, { relaxed: false });
+
+// --- Paths ---
+
+// Every value a dotted path reaches, descending into arrays the way queries
+// do: each element of an array on the way is searched, and a numeric segment
+// also indexes the array itself. A path that reaches nothing yields
+// [undefined]. The value at the end is returned as is, arrays included.
+function pathValues(value, segments) {
+  if (segments.length === 0) return [value];
+  const [head, ...rest] = segments;
+  if (Array.isArray(value)) {
+    const out = [];
+    if (/^\d+$/.test(head) && Number(head) < value.length) out.push(...pathValues(value[Number(head)], rest));
+    value.forEach(el => {
+      if (isPlainObject(el)) out.push(...pathValues(el, segments));
+    });
+    return out.length ? out : [undefined];
+  }
+  if (!isPlainObject(value) || !has(value, head)) return [undefined];
+  return pathValues(value[head], rest);
+}
+
+const valuesAt = (doc, path) => pathValues(doc, path.split("."));
+
+// A field path in an aggregation expression: through an array of documents
+// it collects the field from each ("$book.genre" -> ["Fiction"])
+function fieldValue(value, segments) {
+  if (segments.length === 0) return value;
+  if (Array.isArray(value)) return value.map(el => fieldValue(el, segments)).filter(v => v !== undefined);
+  if (!isPlainObject(value) || !has(value, segments[0])) return undefined;
+  return fieldValue(value[segments[0]], segments.slice(1));
+}
+
+function getAt(doc, segments) {
+  let value = doc;
+  for (const seg of segments) {
+    if (value === null || typeof value !== "object") return undefined;
+    value = value[seg];
+  }
+  return value;
+}
+
+function setAt(doc, segments, value) {
+  let parent = doc;
+  segments.slice(0, -1).forEach((seg, i) => {
+    if (parent[seg] === undefined || parent[seg] === null) parent[seg] = {};
+    else if (typeof parent[seg] !== "object") {
+      throw new Error(`Cannot create field '${segments[i + 1]}' in element {${seg}: ${JSON.stringify(parent[seg])}}`);
+    }
+    parent = parent[seg];
+  });
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent) && /^\d+$/.test(last)) {
+    while (parent.length < Number(last)) parent.push(null);
+  }
+  parent[last] = value;
+}
+
+function unsetAt(doc, segments) {
+  const parent = getAt(doc, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent) && /^\d+$/.test(last)) {
+    if (Number(last) < parent.length) parent[Number(last)] = null;
+  } else if (parent && typeof parent === "object") {
+    delete parent[last];
+  }
+}
+
+// --- Filters ---
+
+function equalityMatch(values, target) {
+  return values.some(v => {
+    if (target instanceof RegExp) {
+      const test = (s) => typeof s === "string" && new RegExp(target.source, target.flags.replace("g", "")).test(s);
+      return test(v) || (Array.isArray(v) && v.some(test));
+    }
+    if (target === null) return v === null || v === undefined || (Array.isArray(v) && v.some(el => el === null));
+    return equals(v, target) || (Array.isArray(v) && v.some(el => equals(el, target)));
+  });
+}
+
+// Comparisons only hold between values of the same type
+function rangeMatch(values, target, holds) {
+  return values.some(v => [v, ...(Array.isArray(v) ? v : [])]
+    .some(c => c !== undefined && typeRank(c) === typeRank(target) && holds(compare(c, target))));
+}
+
+function elementMatch(el, cond, ctx) {
+  if (isOperatorObject(cond) && !Object.keys(cond).some(k => ["$and", "$or", "$nor"].includes(k))) {
+    return conditionMatch([el], cond, ctx);
+  }
+  return isPlainObject(el) && matches(cond, el, ctx);
+}
+
+const QUERY_OPERATORS = {
+  $eq: (values, target) => equalityMatch(values, target),
+  $ne: (values, target) => !equalityMatch(values, target),
+  $gt: (values, target) => rangeMatch(values, target, c => c > 0),
+  $gte: (values, target) => rangeMatch(values, target, c => c >= 0),
+  $lt: (values, target) => rangeMatch(values, target, c => c < 0),
+  $lte: (values, target) => rangeMatch(values, target, c => c <= 0),
+  $in: (values, list) => list.some(target => equalityMatch(values, target)),
+  $nin: (values, list) => !list.some(target => equalityMatch(values, target)),
+  $exists: (values, wanted) => values.some(v => v !== undefined) === !!wanted,
+  $not: (values, cond, ctx) => !conditionMatch(values, cond, ctx),
+  $size: (values, size) => values.some(v => Array.isArray(v) && v.length === size),
+  $all: (values, list) => list.every(target => equalityMatch(values, target)),
+  $elemMatch: (values, cond, ctx) => values.some(v => Array.isArray(v) && v.some(el => elementMatch(el, cond, ctx))),
+  $regex: (values, source, ctx, cond) => equalityMatch(values, new RegExp(source, cond.$options || ""))
+};
+
+// One field's condition: a value to equal, or an object of operators
+function conditionMatch(values, cond, ctx) {
+  if (cond instanceof RegExp) return equalityMatch(values, cond);
+  if (!isOperatorObject(cond)) return equalityMatch(values, cond);
+  return Object.entries(cond).every(([op, operand]) => {
+    if (op === "$options") return true;
+    const check = QUERY_OPERATORS[op];
+    if (!check) throw new Error(`Unsupported query operator ${op}`);
+    return check(values, operand, ctx, cond);
+  });
+}
+
+// Does doc satisfy filter? ctx carries $expr variables and, for $text, a
+// textScore(doc, { $search }) function from the collection's text index.
+function matches(filter, doc, ctx = {}) {
+  return Object.entries(filter || {}).every(([key, cond]) => {
+    switch (key) {
+      case "$and": return cond.every(f => matches(f, doc, ctx));
+      case "$or": return cond.some(f => matches(f, doc, ctx));
+      case "$nor": return !cond.some(f => matches(f, doc, ctx));
+      case "$expr": return truthy(evaluate(cond, doc, ctx.vars));
+      case "$comment": return true;
+      case "$text":
+        if (!ctx.textScore) throw new Error("A text index is required for $text queries");
+        return ctx.textScore(doc, cond) > 0;
+      default: return conditionMatch(valuesAt(doc, key), cond, ctx);
+    }
+  });
+}
+
+// --- Updates ---
+
+// The concrete paths an update path names: "$" is the array element the
+// filter matched, "$[]" every element and "$[id]" those matching
+// arrayFilters, all as the document was before the update
+function expandPath(path, ctx) {
+  const doc = ctx.original;
+  let paths = [[]];
+  for (const seg of path.split(".")) {
+    const filtered = /^\$\[(\w*)\]$/.exec(seg);
+    if (seg === "$") {
+      paths = paths.map(p => [...p, String(positionalIndex(doc, p, ctx))]);
+    } else if (filtered) {
+      const ident = filtered[1];
+      const arrayFilter = ident ? ctx.arrayFilters[ident] : null;
+      if (ident && !arrayFilter) throw new Error(`No array filter found for identifier '${ident}' in path '${path}'`);
+      paths = paths.flatMap(p => {
+        const array = getAt(doc, p);
+        if (!Array.isArray(array)) return [];
+        return array.map((el, i) => [el, i])
+          .filter(([el]) => !arrayFilter || arrayFilterMatch(el, arrayFilter, ident))
+          .map(([, i]) => [...p, String(i)]);
+      });
+    } else {
+      paths = paths.map(p => [...p, seg]);
+    }
+  }
+  return paths;
+}
+
+// The first element of the array at `prefix` that satisfies the filter on
+// its own
+function positionalIndex(doc, prefix, ctx) {
+  const array = getAt(doc, prefix);
+  if (Array.isArray(array)) {
+    for (let i = 0; i < array.length; i++) {
+      const narrowed = { ...doc };
+      let parent = narrowed;
+      prefix.slice(0, -1).forEach(seg => { parent[seg] = { ...parent[seg] }; parent = parent[seg]; });
+      parent[prefix[prefix.length - 1]] = [array[i]];
+      if (matches(ctx.filter, narrowed, ctx)) return i;
+    }
+  }
+  throw new Error("The positional operator did not find the match needed from the query.");
+}
+
+function arrayFilterMatch(el, filter, ident) {
+  return Object.entries(filter).every(([key, cond]) => key === ident
+    ? conditionMatch([el], cond)
+    : conditionMatch(pathValues(el, key.slice(ident.length + 1).split(".")), cond));
+}
+
+const eachOf = (value) => (isPlainObject(value) && has(value, "$each") ? value.$each : [value]);
+
+function arrayAt(doc, segments, op) {
+  const current = getAt(doc, segments);
+  if (current === undefined || current === null) {
+    setAt(doc, segments, []);
+    return getAt(doc, segments);
+  }
+  if (!Array.isArray(current)) throw new Error(`The field '${segments.join(".")}' must be an array for ${op}`);
+  return current;
+}
+
+const pullMatch = (el, cond) => {
+  if (isOperatorObject(cond)) return conditionMatch([el], cond);
+  if (isPlainObject(cond)) return isPlainObject(el) && matches(cond, el);
+  return cond instanceof RegExp ? equalityMatch([el], cond) : equals(el, cond);
+};
+
+const UPDATE_OPERATORS = {
+  $set: (doc, segments, value) => setAt(doc, segments, clone(value)),
+  $setOnInsert: (doc, segments, value, ctx) => { if (ctx.inserting) setAt(doc, segments, clone(value)); },
+  $unset: (doc, segments) => unsetAt(doc, segments),
+  $inc: (doc, segments, amount) => {
+    const current = getAt(doc, segments);
+    if (current !== undefined && current !== null && typeof current !== "number") {
+      throw new Error(`Cannot apply $inc to a value of non-numeric type at '${segments.join(".")}'`);
+    }
+    setAt(doc, segments, (current || 0) + amount);
+  },
+  $min: (doc, segments, value) => {
+    const current = getAt(doc, segments);
+    if (current === undefined || compare(value, current) < 0) setAt(doc, segments, clone(value));
+  },
+  $max: (doc, segments, value) => {
+    const current = getAt(doc, segments);
+    if (current === undefined || compare(value, current) > 0) setAt(doc, segments, clone(value));
+  },
+  $push: (doc, segments, value) => arrayAt(doc, segments, "$push").push(...eachOf(value).map(clone)),
+  $addToSet: (doc, segments, value) => {
+    const array = arrayAt(doc, segments, "$addToSet");
+    eachOf(value).forEach(item => { if (!array.some(el => equals(el, item))) array.push(clone(item)); });
+  },
+  $pull: (doc, segments, cond) => {
+    const array = getAt(doc, segments);
+    if (!Array.isArray(array)) return;
+    const kept = array.filter(el => !pullMatch(el, cond));
+    array.splice(0, array.length, ...kept);
+  }
+};
+
+// Apply an update document to doc in place. filter and arrayFilters resolve
+// positional paths; inserting is true for the document an upsert creates.
+function applyUpdate(doc, update, { filter = {}, arrayFilters = [], inserting = false } = {}) {
+  const ops = Object.keys(update);
+  if (!ops.length || !ops.every(op => op.startsWith("$"))) {
+    throw new Error("Update document requires atomic operators");
+  }
+  const ctx = {
+    original: clone(doc),
+    filter,
+    inserting,
+    arrayFilters: Object.fromEntries(arrayFilters.map(f => [Object.keys(f)[0].split(".")[0], f]))
+  };
+  for (const [op, fields] of Object.entries(update)) {
+    const apply = UPDATE_OPERATORS[op];
+    if (!apply) throw new Error(`Unsupported update operator ${op}`);
+    for (const [path, value] of Object.entries(fields)) {
+      if (path === "_id" && op !== "$setOnInsert" && !inserting) {
+        throw new Error("Performing an update on the path '_id' would modify the immutable field '_id'");
+      }
+      expandPath(path, ctx).forEach(segments => apply(doc, segments, value, ctx));
+    }
+  }
+  return doc;
+}
+
+// The document an upsert starts from: the filter's equality conditions
+function upsertSeed(filter) {
+  const doc = {};
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key === "$and") {
+      cond.forEach(f => Object.assign(doc, upsertSeed(f)));
+    } else if (!key.startsWith("$")) {
+      if (!isOperatorObject(cond) && !(cond instanceof RegExp)) setAt(doc, key.split("."), clone(cond));
+      else if (has(cond, "$eq")) setAt(doc, key.split("."), clone(cond.$eq));
+    }
+  }
+  return doc;
+}
+
+// --- Projection and sort ---
+
+const isMeta = (v) => isPlainObject(v) && has(v, "$meta");
+
+function copyPath(src, dst, segments) {
+  const [head, ...rest] = segments;
+  if (!isPlainObject(src) || !has(src, head)) return;
+  const value = src[head];
+  if (!rest.length) {
+    dst[head] = value;
+  } else if (Array.isArray(value)) {
+    dst[head] = value.filter(isPlainObject).map(el => {
+      const out = {};
+      copyPath(el, out, rest);
+      return out;
+    });
+  } else if (isPlainObject(value)) {
+    dst[head] = isPlainObject(dst[head]) ? dst[head] : {};
+    copyPath(value, dst[head], rest);
+  }
+}
+
+function removePath(obj, segments) {
+  const [head, ...rest] = segments;
+  if (!isPlainObject(obj) || !has(obj, head)) return;
+  if (!rest.length) delete obj[head];
+  else if (Array.isArray(obj[head])) obj[head].forEach(el => removePath(el, rest));
+  else removePath(obj[head], rest);
+}
+
+// A find() projection: inclusion ({ title: 1 }) or exclusion ({ marc: 0 }),
+// plus { $meta: "textScore" } fields. doc must be a copy.
+function project(doc, projection, score) {
+  if (!projection) return doc;
+  const fields = Object.entries(projection).filter(([, v]) => !isMeta(v));
+  const including = fields.some(([k, v]) => v && k !== "_id") ||
+    (fields.length > 0 && fields.every(([k, v]) => k === "_id" && v));
+  let out = doc;
+  if (including) {
+    out = {};
+    if (projection._id !== 0 && projection._id !== false && has(doc, "_id")) out._id = doc._id;
+    fields.forEach(([k, v]) => { if (v && k !== "_id") copyPath(doc, out, k.split(".")); });
+  } else {
+    fields.forEach(([k, v]) => { if (!v) removePath(out, k.split(".")); });
+  }
+  Object.entries(projection).forEach(([k, v]) => {
+    if (isMeta(v)) {
+      if (v.$meta !== "textScore") throw new Error(`Unsupported $meta ${v.$meta}`);
+      out[k] = score || 0;
+    }
+  });
+  return out;
+}
+
+// Sort key for one field: arrays sort by their smallest element ascending
+// and their largest descending
+function sortValue(doc, path, direction) {
+  const values = valuesAt(doc, path).flatMap(v => (Array.isArray(v) ? (v.length ? v : [undefined]) : [v]));
+  return values.reduce((best, v) => (compare(v, best) * direction > 0 ? best : v));
+}
+
+// Sort a copy of docs; scoreOf gives the text score for { $meta } keys
+function sortDocs(docs, sort, scoreOf = () => 0) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return docs;
+  const decorated = docs.map(doc => ({
+    doc,
+    values: keys.map(([path, direction]) => (isMeta(direction) ? scoreOf(doc) : sortValue(doc, path, direction)))
+  }));
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const direction = isMeta(keys[i][1]) ? -1 : keys[i][1];
+      const c = compare(a.values[i], b.values[i]) * direction;
+      if (c) return c;
+    }
+    return 0;
+  });
+  return decorated.map(d => d.doc);
+}
+
+// --- Aggregation expressions ---
+
+const truthy = (v) => !(v === false || v === null || v === undefined || v === 0);
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Start of the UTC year, quarter, month, week, day, hour, minute or second
+// date falls in
+function dateTrunc(date, unit, startOfWeek = "sunday") {
+  if (date === null || date === undefined) return null;
+  const d = new Date(date);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  switch (unit) {
+    case "year": return new Date(Date.UTC(y, 0, 1));
+    case "quarter": return new Date(Date.UTC(y, m - (m % 3), 1));
+    case "month": return new Date(Date.UTC(y, m, 1));
+    case "week": {
+      const first = WEEKDAYS.indexOf(String(startOfWeek).slice(0, 3).toLowerCase());
+      const day = new Date(Date.UTC(y, m, d.getUTCDate()));
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() - first + 7) % 7));
+      return day;
+    }
+    case "day": return new Date(Date.UTC(y, m, d.getUTCDate()));
+    case "hour": return new Date(Math.floor(d.getTime() / 3600000) * 3600000);
+    case "minute": return new Date(Math.floor(d.getTime() / 60000) * 60000);
+    case "second": return new Date(Math.floor(d.getTime() / 1000) * 1000);
+    default: throw new Error(`Unsupported $dateTrunc unit ${unit}`);
+  }
+}
+
+const numeric = (v) => (v instanceof Date ? v.getTime() : v);
+
+// operator => (evaluated arguments) => value; those that need their operand
+// unevaluated or as an object are in LAZY_EXPRESSIONS
+const EXPRESSIONS = {
+  $toString: ([v]) => (v === null || v === undefined ? null
+    : isObjectId(v) ? v.toHexString() : v instanceof Date ? v.toISOString() : String(v)),
+  $toObjectId: ([v]) => (v === null || v === undefined ? null : isObjectId(v) ? v : new ObjectId(v)),
+  $toLower: ([v]) => (v == null ? "" : String(v).toLowerCase()),
+  $toUpper: ([v]) => (v == null ? "" : String(v).toUpperCase()),
+  $concat: (args) => (args.some(v => v == null) ? null : args.join("")),
+  $ifNull: (args) => {
+    const found = args.slice(0, -1).find(v => v !== null && v !== undefined);
+    return found !== undefined ? found : args[args.length - 1];
+  },
+  $first: ([a]) => (Array.isArray(a) ? a[0] : a === null || a === undefined ? null : a),
+  $last: ([a]) => (Array.isArray(a) ? a[a.length - 1] : a === null || a === undefined ? null : a),
+  $size: ([a]) => {
+    if (!Array.isArray(a)) throw new Error("The argument to $size must be an array");
+    return a.length;
+  },
+  $in: ([v, list]) => {
+    if (!Array.isArray(list)) throw new Error("$in requires an array as a second argument");
+    return list.some(el => equals(el, v));
+  },
+  $add: (args) => {
+    const date = args.find(v => v instanceof Date);
+    const sum = args.reduce((total, v) => total + (numeric(v) || 0), 0);
+    return date ? new Date(sum) : sum;
+  },
+  $subtract: ([a, b]) => {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+    const diff = numeric(a) - numeric(b);
+    return a instanceof Date && !(b instanceof Date) ? new Date(diff) : diff;
+  },
+  $multiply: (args) => args.reduce((product, v) => product * v, 1),
+  $divide: ([a, b]) => {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+    if (b === 0) throw new Error("can't $divide by zero");
+    return a / b;
+  },
+  $eq: ([a, b]) => compare(a, b) === 0,
+  $ne: ([a, b]) => compare(a, b) !== 0,
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $lt: ([a, b]) => compare(a, b) < 0,
+  $lte: ([a, b]) => compare(a, b) <= 0,
+  $and: (args) => args.every(truthy),
+  $or: (args) => args.some(truthy),
+  $not: ([v]) => !truthy(v)
+};
+
+const LAZY_EXPRESSIONS = {
+  $literal: (operand) => operand,
+  $cond: (operand, doc, vars) => {
+    const [test, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+    return evaluate(truthy(evaluate(test, doc, vars)) ? then : otherwise, doc, vars);
+  },
+  $dateTrunc: ({ date, unit, startOfWeek }, doc, vars) =>
+    dateTrunc(evaluate(date, doc, vars), evaluate(unit, doc, vars), startOfWeek && evaluate(startOfWeek, doc, vars))
+};
+
+// Evaluate an aggregation expression: "$field.path", "$$variable",
+// { $operator: args }, or a literal (objects and arrays element by element)
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...rest] = expr.slice(2).split(".");
+    const root = name === "ROOT" || name === "CURRENT" ? doc : vars[name];
+    if (root === undefined && name !== "ROOT" && name !== "CURRENT") throw new Error(`Use of undefined variable: ${name}`);
+    return fieldValue(root, rest);
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) return fieldValue(doc, expr.slice(1).split("."));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith("$")) {
+    const [op] = keys;
+    if (LAZY_EXPRESSIONS[op]) return LAZY_EXPRESSIONS[op](expr[op], doc, vars);
+    if (!EXPRESSIONS[op]) throw new Error(`Unsupported expression operator ${op}`);
+    const args = Array.isArray(expr[op]) ? expr[op] : [expr[op]];
+    return EXPRESSIONS[op](args.map(a => evaluate(a, doc, vars)));
+  }
+  const out = {};
+  keys.forEach(k => {
+    const value = evaluate(expr[k], doc, vars);
+    if (value !== undefined) out[k] = value;
+  });
+  return out;
+}
+
+// --- Aggregation pipelines ---
+
+const ACCUMULATORS = {
+  $sum: () => ({ total: 0, add(v) { if (typeof v === "number") this.total += v; }, result() { return this.total; } }),
+  $avg: () => ({
+    total: 0, count: 0,
+    add(v) { if (typeof v === "number") { this.total += v; this.count++; } },
+    result() { return this.count ? this.total / this.count : null; }
+  }),
+  $min: () => ({ add(v) { if (v != null && (this.v === undefined || compare(v, this.v) < 0)) this.v = v; }, result() { return this.v ?? null; } }),
+  $max: () => ({ add(v) { if (v != null && (this.v === undefined || compare(v, this.v) > 0)) this.v = v; }, result() { return this.v ?? null; } }),
+  $first: () => ({ seen: false, add(v) { if (!this.seen) { this.seen = true; this.v = v; } }, result() { return this.v ?? null; } }),
+  $last: () => ({ add(v) { this.v = v; }, result() { return this.v ?? null; } }),
+  $push: () => ({ list: [], add(v) { if (v !== undefined) this.list.push(v); }, result() { return this.list; } }),
+  $addToSet: () => ({
+    list: [],
+    add(v) { if (v !== undefined && !this.list.some(el => equals(el, v))) this.list.push(v); },
+    result() { return this.list; }
+  })
+};
+
+function groupStage(docs, spec, vars) {
+  const groups = new Map();
+  const fields = Object.entries(spec).filter(([k]) => k !== "_id");
+  for (const doc of docs) {
+    const id = evaluate(spec._id, doc, vars);
+    const key = keyOf(id);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        _id: id === undefined ? null : id,
+        accumulators: fields.map(([, acc]) => {
+          const [op] = Object.keys(acc);
+          if (!ACCUMULATORS[op]) throw new Error(`Unsupported accumulator ${op}`);
+          return ACCUMULATORS[op]();
+        })
+      });
+    }
+    const group = groups.get(key);
+    fields.forEach(([, acc], i) => group.accumulators[i].add(evaluate(Object.values(acc)[0], doc, vars)));
+  }
+  return [...groups.values()].map(({ _id, accumulators }) => {
+    const out = { _id };
+    fields.forEach(([name], i) => { out[name] = accumulators[i].result(); });
+    return out;
+  });
+}
+
+// $project in a pipeline: fields to keep (1), drop (0) or compute
+function projectStage(doc, spec, vars) {
+  const entries = Object.entries(spec);
+  if (entries.every(([, v]) => v === 0 || v === false)) {
+    const out = { ...doc };
+    entries.forEach(([k]) => removePath(out, k.split(".")));
+    return out;
+  }
+  const out = {};
+  if (spec._id === undefined && has(doc, "_id")) out._id = doc._id;
+  for (const [k, v] of entries) {
+    if (v === 0 || v === false) continue;
+    if (v === 1 || v === true) {
+      copyPath(doc, out, k.split("."));
+    } else {
+      const value = evaluate(v, doc, vars);
+      if (value !== undefined) setAt(out, k.split("."), value);
+    }
+  }
+  return out;
+}
+
+function unwindStage(docs, spec) {
+  const { path, preserveNullAndEmptyArrays } = typeof spec === "string" ? { path: spec } : spec;
+  const segments = path.slice(1).split(".");
+  return docs.flatMap(doc => {
+    const value = getAt(doc, segments);
+    if (Array.isArray(value) && value.length) {
+      return value.map(el => {
+        const out = clone(doc);
+        setAt(out, segments, el);
+        return out;
+      });
+    }
+    if (Array.isArray(value) || value === null || value === undefined) return preserveNullAndEmptyArrays ? [doc] : [];
+    return [doc];
+  });
+}
+
+function lookupStage(docs, spec, collectionDocs, vars) {
+  const foreign = collectionDocs(spec.from);
+  return docs.map(doc => {
+    let joined;
+    if (spec.pipeline) {
+      const letVars = { ...vars };
+      Object.entries(spec.let || {}).forEach(([name, expr]) => { letVars[name] = evaluate(expr, doc, vars); });
+      joined = runPipeline(foreign.map(clone), spec.pipeline, collectionDocs, letVars);
+      if (spec.localField) {
+        const local = valuesAt(doc, spec.localField);
+        joined = joined.filter(f => local.some(v => equalityMatch(valuesAt(f, spec.foreignField), v === undefined ? null : v)));
+      }
+    } else {
+      const local = valuesAt(doc, spec.localField).flatMap(v => (Array.isArray(v) ? v : [v]));
+      joined = foreign
+        .filter(f => local.some(v => equalityMatch(valuesAt(f, spec.foreignField), v === undefined ? null : v)))
+        .map(clone);
+    }
+    return { ...doc, [spec.as]: joined };
+  });
+}
+
+// Run a pipeline over docs (copies, which stages may change). collectionDocs
+// returns the stored documents of another collection, for $lookup.
+function runPipeline(docs, pipeline, collectionDocs, vars = {}) {
+  return pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+    switch (name) {
+      case "$match": return current.filter(doc => matches(spec, doc, { vars }));
+      case "$group": return groupStage(current, spec, vars);
+      case "$sort": return sortDocs(current, spec);
+      case "$limit": return current.slice(0, spec);
+      case "$skip": return current.slice(spec);
+      case "$project": return current.map(doc => projectStage(doc, spec, vars));
+      case "$addFields":
+      case "$set": return current.map(doc => {
+        const out = { ...doc };
+        Object.entries(spec).forEach(([k, expr]) => setAt(out, k.split("."), evaluate(expr, doc, vars)));
+        return out;
+      });
+      case "$unset": return current.map(doc => projectStage(doc, Object.fromEntries([].concat(spec).map(k => [k, 0])), vars));
+      case "$unwind": return unwindStage(current, spec);
+      case "$lookup": return lookupStage(current, spec, collectionDocs, vars);
+      case "$count": return [{ [spec]: current.length }];
+      default: throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+  }, docs);
+}
+
+module.exports = {
+  isPlainObject,
+  clone,
+  compare,
+  equals,
+  keyOf,
+  valuesAt,
+  matches,
+  applyUpdate,
+  upsertSeed,
+  project,
+  sortDocs,
+  runPipeline
+};
@@ -0,0 +1,404 @@
+// backend/docstore.js
+// Embedded document store, for running the server without MongoDB: the
+// collections live in memory and, given a file, are saved to it as
+// Extended JSON shortly after every change. It offers the collection and
+// cursor methods the server calls, with the results MongoDB gives, queries
+// evaluated by docquery.js. Unique indexes (including _id) reject writes
+// with the same code 11000 error, TTL indexes expire documents, and a text
+// index answers $text searches with a relevance score.
+//
+// Each write is applied whole before the next starts, so a conditional
+// update is as atomic as on MongoDB; there are no multi-document
+// transactions (db.js runs circulation writes in order, as on a standalone
+// server). Every document is held in memory and the file is rewritten in
+// full, which suits a single small library, not a large one.
+const fs = require("fs");
+const path = require("path");
+const { BSON, ObjectId } = require("mongodb");
+const {
+  isPlainObject, clone, keyOf, valuesAt, matches, applyUpdate, upsertSeed, project, sortDocs, runPipeline
+} = require("./docquery");
+
+// Changes within this long of each other are saved together
+const SAVE_DELAY_MS = 100;
+
+function duplicateKeyError(collectionName, index, key) {
+  const err = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${index.name} dup key: ${key}`);
+  err.code = 11000;
+  err.keyPattern = index.key;
+  return err;
+}
+
+// --- Text search ---
+
+// Words without case or accents; stop words are ignored and a plural "s"
+// dropped, roughly as MongoDB's English text index does
+const STOP_WORDS = new Set(["a", "an", "and", "are", "as", "at", "by", "for", "from", "in", "is", "of", "on", "or", "the", "to", "with"]);
+const fold = (text) => String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const stem = (word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word);
+const words = (text) => (fold(text).match(/[\p{L}\p{N}]+/gu) || []).filter(w => !STOP_WORDS.has(w)).map(stem);
+
+// "-word" excludes, "a phrase" in quotes must appear
+function parseSearch(search) {
+  const phrases = [];
+  const rest = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(fold(phrase.trim()));
+    return ` ${phrase} `;
+  });
+  const terms = [];
+  const excluded = [];
+  rest.split(/\s+/).filter(Boolean).forEach(token => {
+    (token.startsWith("-") ? excluded : terms).push(...words(token.replace(/^-/, "")));
+  });
+  return { terms: [...new Set(terms)], excluded, phrases };
+}
+
+// Relevance of doc for a $text search against a text index: each term found
+// in a field scores the field's weight, more the larger a share of the
+// field's words it makes up. 0 means no match.
+function textScore(doc, index, { $search }) {
+  const { terms, excluded, phrases } = parseSearch($search);
+  const fields = Object.keys(index.weights).map(field => {
+    const text = valuesAt(doc, field).flat().filter(v => typeof v === "string").join(" ");
+    return { text, tokens: words(text), weight: index.weights[field] };
+  });
+  if (fields.some(f => f.tokens.some(t => excluded.includes(t)))) return 0;
+  if (!phrases.every(p => fields.some(f => fold(f.text).includes(p)))) return 0;
+
+  let score = 0;
+  fields.forEach(({ tokens, weight }) => terms.forEach(term => {
+    const count = tokens.filter(t => t === term).length;
+    if (count) score += weight * (0.5 + 0.5 * count / tokens.length);
+  }));
+  return terms.length ? score : (phrases.length ? 1 : 0);
+}
+
+// --- Collections ---
+
+const indexName = (key) => Object.entries(key).map(([field, kind]) => `${field}_${kind}`).join("_");
+
+// Keys a document has in a unique index; an array field gives one per element
+function indexKeys(doc, index) {
+  let keys = [[]];
+  for (const field of Object.keys(index.key)) {
+    const values = valuesAt(doc, field)
+      .flatMap(v => (Array.isArray(v) && v.length ? v : [v]))
+      .map(v => (v === undefined ? null : v));
+    keys = keys.flatMap(prefix => values.map(v => [...prefix, v]));
+  }
+  return new Set(keys.map(keyOf));
+}
+
+function createCursor(run, options = {}) {
+  const state = { sort: options.sort, skip: options.skip || 0, limit: options.limit || 0, projection: options.projection };
+  const cursor = {
+    sort(sort) { state.sort = sort; return cursor; },
+    skip(n) { state.skip = n; return cursor; },
+    limit(n) { state.limit = n; return cursor; },
+    project(projection) { state.projection = projection; return cursor; },
+    async toArray() { return run(state); },
+    async *[Symbol.asyncIterator]() { yield* await run(state); }
+  };
+  return cursor;
+}
+
+function createCollection(collectionName, store) {
+  // Stored documents in insertion order, and by _id
+  let docs = [];
+  const byId = new Map();
+  const indexes = [{ name: "_id_", key: { _id: 1 }, unique: true }];
+
+  const textIndex = () => indexes.find(i => i.weights);
+
+  // TTL indexes remove a document once its date field is that many seconds past
+  function expire() {
+    const now = Date.now();
+    indexes.filter(i => i.expireAfterSeconds !== undefined).forEach(index => {
+      const [field] = Object.keys(index.key);
+      const expired = docs.filter(doc => valuesAt(doc, field)
+        .some(v => v instanceof Date && v.getTime() + index.expireAfterSeconds * 1000 <= now));
+      expired.forEach(remove);
+    });
+  }
+
+  function remove(doc) {
+    docs = docs.filter(d => d !== doc);
+    byId.delete(keyOf(doc._id));
+    store.changed();
+  }
+
+  // Throw if doc would share a unique index key with another document
+  // (other than `replacing`, the version it updates)
+  function checkUnique(doc, replacing) {
+    const idKey = keyOf(doc._id);
+    if (byId.has(idKey) && byId.get(idKey) !== replacing) {
+      throw duplicateKeyError(collectionName, indexes[0], `{ _id: ${idKey} }`);
+    }
+    indexes.slice(1).filter(i => i.unique).forEach(index => {
+      const covered = (d) => !index.partialFilterExpression || matches(index.partialFilterExpression, d);
+      if (!covered(doc)) return;
+      const keys = indexKeys(doc, index);
+      const clash = docs.find(other => other !== replacing && covered(other) &&
+        [...indexKeys(other, index)].some(k => keys.has(k)));
+      if (clash) throw duplicateKeyError(collectionName, index, [...keys].find(k => indexKeys(clash, index).has(k)));
+    });
+  }
+
+  function write(doc, replacing) {
+    checkUnique(doc, replacing);
+    if (replacing) {
+      docs[docs.indexOf(replacing)] = doc;
+      byId.delete(keyOf(replacing._id));
+    } else {
+      docs.push(doc);
+    }
+    byId.set(keyOf(doc._id), doc);
+    store.changed();
+  }
+
+  // Stored documents matching filter (not copies); scores collects the text
+  // score of each when the filter has $text
+  function select(filter = {}, scores = new Map()) {
+    expire();
+    const index = textIndex();
+    const ctx = {
+      textScore: index && ((doc, search) => {
+        const score = textScore(doc, index, search);
+        scores.set(doc, score);
+        return score;
+      })
+    };
+    // Lookups by _id are the most common and need not scan
+    if (filter._id !== undefined && !isPlainObject(filter._id) && !(filter._id instanceof RegExp)) {
+      const doc = byId.get(keyOf(filter._id));
+      return doc && matches(filter, doc, ctx) ? [doc] : [];
+    }
+    return docs.filter(doc => matches(filter, doc, ctx));
+  }
+
+  function query(filter, { sort, skip = 0, limit = 0, projection }) {
+    const scores = new Map();
+    let found = select(filter, scores);
+    if (sort) found = sortDocs(found, sort, doc => scores.get(doc) || 0);
+    found = found.slice(skip, limit ? skip + limit : undefined);
+    return found.map(doc => project(clone(doc), projection, scores.get(doc)));
+  }
+
+  function insert(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    write(clone(doc), null);
+    return doc._id;
+  }
+
+  // Apply an update to each of targets, or insert the upserted document
+  // when there are none; returns [before, after] pairs for the counts
+  function update(targets, filter, changes, options = {}) {
+    const matched = targets.map(before => {
+      const after = applyUpdate(clone(before), changes, { filter, arrayFilters: options.arrayFilters });
+      if (keyOf(after) !== keyOf(before)) write(after, before);
+      return [before, after];
+    });
+    if (!targets.length && options.upsert) {
+      const doc = applyUpdate(upsertSeed(filter), changes, { filter, arrayFilters: options.arrayFilters, inserting: true });
+      const upsertedId = insert(doc);
+      return { matched, upsertedId, upserted: byId.get(keyOf(upsertedId)) };
+    }
+    return { matched };
+  }
+
+  const updateResult = ({ matched, upsertedId }) => ({
+    acknowledged: true,
+    matchedCount: matched.length,
+    modifiedCount: matched.filter(([before, after]) => keyOf(before) !== keyOf(after)).length,
+    upsertedCount: upsertedId ? 1 : 0,
+    upsertedId: upsertedId || null
+  });
+
+  return {
+    collectionName,
+
+    find: (filter = {}, options = {}) => createCursor(state => query(filter, state), options),
+
+    async findOne(filter = {}, options = {}) {
+      return query(filter, { ...options, limit: 1 })[0] || null;
+    },
+
+    async countDocuments(filter = {}, { skip = 0, limit = 0 } = {}) {
+      const count = Math.max(select(filter).length - skip, 0);
+      return limit ? Math.min(count, limit) : count;
+    },
+
+    async distinct(field, filter = {}) {
+      const values = [];
+      const seen = new Set();
+      select(filter).forEach(doc => valuesAt(doc, field)
+        .flatMap(v => (Array.isArray(v) ? v : [v]))
+        .filter(v => v !== undefined)
+        .forEach(v => {
+          const key = keyOf(v);
+          if (!seen.has(key)) {
+            seen.add(key);
+            values.push(clone(v));
+          }
+        }));
+      return values;
+    },
+
+    async insertOne(doc) {
+      expire();
+      return { acknowledged: true, insertedId: insert(doc) };
+    },
+
+    // Ordered, like the driver's default: stops at the first failure
+    async insertMany(list) {
+      expire();
+      const insertedIds = {};
+      list.forEach((doc, i) => { insertedIds[i] = insert(doc); });
+      return { acknowledged: true, insertedCount: list.length, insertedIds };
+    },
+
+    async updateOne(filter, changes, options = {}) {
+      return updateResult(update(select(filter).slice(0, 1), filter, changes, options));
+    },
+
+    async updateMany(filter, changes, options = {}) {
+      return updateResult(update(select(filter), filter, changes, options));
+    },
+
+    // Returns the document as it was, unless returnDocument is "after"
+    async findOneAndUpdate(filter, changes, options = {}) {
+      let targets = select(filter);
+      if (options.sort) targets = sortDocs(targets, options.sort);
+      const result = update(targets.slice(0, 1), filter, changes, options);
+      const [before, after] = result.matched[0] || [null, result.upserted || null];
+      const doc = options.returnDocument === "after" ? after : before;
+      const value = doc ? project(clone(doc), options.projection) : null;
+      return options.includeResultMetadata ? { value, ok: 1 } : value;
+    },
+
+    async deleteOne(filter = {}) {
+      const [doc] = select(filter);
+      if (doc) remove(doc);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+
+    async deleteMany(filter = {}) {
+      const found = select(filter);
+      found.forEach(remove);
+      return { acknowledged: true, deletedCount: found.length };
+    },
+
+    aggregate(pipeline = []) {
+      const run = () => {
+        expire();
+        return runPipeline(docs.map(clone), pipeline, name => store.collection(name).documents());
+      };
+      return { toArray: async () => run(), async *[Symbol.asyncIterator]() { yield* run(); } };
+    },
+
+    // Index definitions; only unique, partial, TTL and text options change
+    // behaviour here, the rest are accepted for compatibility
+    async createIndex(key, options = {}) {
+      const name = options.name || indexName(key);
+      if (indexes.some(i => i.name === name)) return name;
+      const index = { name, key, unique: !!options.unique, partialFilterExpression: options.partialFilterExpression };
+      if (options.expireAfterSeconds !== undefined) index.expireAfterSeconds = options.expireAfterSeconds;
+      const textFields = Object.keys(key).filter(field => key[field] === "text");
+      if (textFields.length) {
+        if (textIndex()) throw new Error(`Collection ${collectionName} already has a text index`);
+        index.weights = Object.fromEntries(textFields.map(field => [field, (options.weights || {})[field] || 1]));
+      }
+      if (index.unique) {
+        const seen = new Map();
+        docs.filter(doc => !index.partialFilterExpression || matches(index.partialFilterExpression, doc)).forEach(doc => {
+          indexKeys(doc, index).forEach(k => {
+            if (seen.has(k) && seen.get(k) !== doc) throw duplicateKeyError(collectionName, index, k);
+            seen.set(k, doc);
+          });
+        });
+      }
+      indexes.push(index);
+      return name;
+    },
+
+    // Stored documents, for $lookup and saving; not to be changed
+    documents: () => {
+      expire();
+      return docs;
+    },
+
+    load(list) {
+      docs = list;
+      byId.clear();
+      docs.forEach(doc => byId.set(keyOf(doc._id), doc));
+    }
+  };
+}
+
+// A store: `collection(name)` as on a MongoDB database, plus open() to load
+// the file and close() to finish saving it. Without a file, data lasts as
+// long as the process.
+function createStore({ file } = {}) {
+  const collections = new Map();
+  let dirty = false;
+  let timer = null;
+  let saving = null;
+
+  const store = {
+    file,
+
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection(name, store));
+      return collections.get(name);
+    },
+
+    async open() {
+      if (!file || !fs.existsSync(file)) return;
+      const data = BSON.EJSON.parse(await fs.promises.readFile(file, "utf8"), { relaxed: true });
+      Object.entries(data).forEach(([name, list]) => store.collection(name).load(list));
+    },
+
+    // Called after every write; saving is deferred so a burst of writes is
+    // written once
+    changed() {
+      if (!file) return;
+      dirty = true;
+      if (!timer) timer = setTimeout(save, SAVE_DELAY_MS);
+    },
+
+    async close() {
+      clearTimeout(timer);
+      timer = null;
+      while (saving) await saving;
+      if (dirty) await save();
+    }
+  };
+
+  // Write the whole store to a temporary file and rename it over the old
+  // one, so a crash mid-write leaves the previous version intact
+  async function save() {
+    timer = null;
+    if (saving) {
+      timer = setTimeout(save, SAVE_DELAY_MS);
+      return;
+    }
+    dirty = false;
+    const data = {};
+    collections.forEach((collection, name) => { data[name] = collection.documents(); });
+    const text = BSON.EJSON.stringify(data, { relaxed: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    saving = fs.promises.mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(temp, text))
+      .then(() => fs.promises.rename(temp, file))
+      .catch(err => {
+        console.error(`Saving ${file} failed:`, err);
+        store.changed();
+      })
+      .finally(() => { saving = null; });
+    await saving;
+  }
+
+  return store;
+}
+
+module.exports = { createStore };
@@ -0,0 +1,69 @@
+// backend/duplicates.js
+// Likely duplicate titles
+
+// Likely duplicates share a normalized ISBN, or have near-identical title and
+// author. Fuzzy matching compares titles only among books whose normalized
+// authors share a surname, and scores similarity with the Dice coefficient
+// over character bigrams.
+const FUZZY_MATCH_THRESHOLD = 0.85;
+
+function normalizeForMatch(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/^(the|a|an) /, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+function diceSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  for (const [gram, count] of gramsA) overlap += Math.min(count, gramsB.get(gram) || 0);
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+// Groups of books that look like the same title by fuzzy title+author match
+function findFuzzyDuplicates(books) {
+  const blocks = new Map();
+  books.forEach(book => {
+    const author = normalizeForMatch(book.author);
+    const surname = author.split(" ").pop();
+    if (!surname) return;
+    if (!blocks.has(surname)) blocks.set(surname, []);
+    blocks.get(surname).push({ book, title: normalizeForMatch(book.title), author });
+  });
+
+  const pairs = [];
+  for (const entries of blocks.values()) {
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        const score = Math.min(diceSimilarity(a.title, b.title), diceSimilarity(a.author, b.author));
+        if (score >= FUZZY_MATCH_THRESHOLD) pairs.push({ score: Math.round(score * 100) / 100, books: [a.book, b.book] });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+  normalizeForMatch,
+  diceSimilarity,
+  findFuzzyDuplicates
+};
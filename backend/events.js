@@ -0,0 +1,107 @@
+// backend/events.js
+// Live change feed for open pages (GET /events, Server-Sent Events): book
+// status changes, new, edited and deleted books, and member changes
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { hasPermission } = require("./auth");
+const { attachHoldCounts } = require("./catalog");
+
+// How many recent events are kept for clients that reconnect
+const EVENT_BACKLOG = parseInt(process.env.EVENT_BACKLOG) || 1000;
+// Comment lines keep proxies from closing an idle stream
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+// How long a client waits before reconnecting
+const EVENT_RETRY_MS = 3000;
+
+// Event ids are "<run>-<n>", n counting up within one server run. A client
+// reconnecting with Last-Event-ID is sent what it missed, or "resync" when
+// that is no longer known (the server restarted or the backlog moved on)
+// and it has to reload instead.
+const run = crypto.randomBytes(4).toString("hex");
+let sequence = 0;
+const backlog = [];
+const streams = new Set();
+
+const currentId = () => `${run}-${sequence}`;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Only streams whose user holds `permission` (if any) receive the event
+const canSee = (stream, event) => !event.permission || hasPermission(stream.user, event.permission);
+
+function publish(type, data, permission = null) {
+  sequence++;
+  const event = { id: currentId(), seq: sequence, type, data, permission };
+  backlog.push(event);
+  if (backlog.length > EVENT_BACKLOG) backlog.shift();
+  streams.forEach(stream => {
+    if (canSee(stream, event)) stream.res.write(formatEvent(event));
+  });
+}
+
+// Events after `lastEventId`, or null when they can't all be replayed
+function missedEvents(lastEventId) {
+  const [eventRun, n] = String(lastEventId).split("-");
+  const seq = parseInt(n);
+  if (eventRun !== run || !(seq >= 0) || seq > sequence) return null;
+  if (seq < sequence - backlog.length) return null;
+  return backlog.filter(e => e.seq > seq);
+}
+
+// Keep the response open and stream events to it until the client leaves
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+  const stream = { res, user: req.user };
+  const lastEventId = req.headers["last-event-id"];
+  const missed = lastEventId ? missedEvents(lastEventId) : [];
+  if (missed) {
+    const visible = missed.filter(e => canSee(stream, e));
+    visible.forEach(e => res.write(formatEvent(e)));
+    res.write(formatEvent({ id: currentId(), type: "ready", data: { caughtUp: visible.length } }));
+  } else {
+    res.write(formatEvent({ id: currentId(), type: "resync", data: {} }));
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), EVENT_HEARTBEAT_MS);
+  streams.add(stream);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streams.delete(stream);
+  });
+}
+
+// Tell catalog pages a title changed: `book` is the card's data as GET
+// /books returns it, null when deleted. Failures are logged, not thrown;
+// the change itself has already been made.
+async function publishBook(db, bookId, action) {
+  try {
+    const book = action === "deleted"
+      ? null
+      : await db.collection("Books").findOne({ _id: new ObjectId(bookId) }, { projection: { marc: 0 } });
+    if (book) await attachHoldCounts([book]);
+    publish("book", { action: book || action === "deleted" ? action : "deleted", id: bookId.toString(), book });
+  } catch (err) {
+    console.error("Publishing a book change failed:", err);
+  }
+}
+
+// Member changes go only to users who may see members
+async function publishMember(db, memberId, action) {
+  try {
+    const member = action === "deleted"
+      ? null
+      : await db.collection("Members").findOne({ _id: new ObjectId(memberId) });
+    publish("member", { action: member || action === "deleted" ? action : "deleted", id: memberId.toString(), member }, "members:read");
+  } catch (err) {
+    console.error("Publishing a member change failed:", err);
+  }
+}
+
+module.exports = { publish, publishBook, publishMember, openEventStream };
@@ -0,0 +1,48 @@
+// backend/fines.js
+// Fine policy, overdue fine calculation and ledger balances
+const { DAY_MS } = require("./config");
+
+// The fine policy is stored in Settings ({ _id: "finePolicy" }) and merged
+// over these defaults. ratePerDay is keyed by member role with a "default".
+// Overdue fines only count days beyond graceDays; maxPerItem of 0 means no cap.
+const DEFAULT_FINE_POLICY = {
+  graceDays: 0,
+  ratePerDay: { default: 5 },
+  maxPerItem: 0,
+  replacementCharge: 500
+};
+
+async function getFinePolicy(db) {
+  const stored = await db.collection("Settings").findOne({ _id: "finePolicy" });
+  const policy = { ...DEFAULT_FINE_POLICY, ...(stored ? stored.policy : {}) };
+  policy.ratePerDay = { ...DEFAULT_FINE_POLICY.ratePerDay, ...policy.ratePerDay };
+  return policy;
+}
+
+function calculateOverdueFine(policy, dueDate, returnedOn, memberRole) {
+  const daysLate = Math.ceil((returnedOn - new Date(dueDate)) / DAY_MS);
+  const chargeableDays = daysLate - policy.graceDays;
+  if (chargeableDays <= 0) return 0;
+  const rate = policy.ratePerDay[memberRole] ?? policy.ratePerDay.default;
+  const fine = chargeableDays * rate;
+  return policy.maxPerItem > 0 ? Math.min(fine, policy.maxPerItem) : fine;
+}
+
+// Money is kept to the cent so sums of fractional payments settle at zero
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Amount still owed on a ledger entry
+const fineBalance = (fine) => roundMoney(fine.amount - (fine.paid || 0) - (fine.waived || 0));
+
+// Matches a ledger entry only while nothing has been paid or waived on it
+// since it was read
+const fineUnchanged = (fine) => ({ _id: fine._id, paid: fine.paid ?? null, waived: fine.waived ?? null });
+
+module.exports = {
+  DEFAULT_FINE_POLICY,
+  getFinePolicy,
+  calculateOverdueFine,
+  roundMoney,
+  fineBalance,
+  fineUnchanged
+};
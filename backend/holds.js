@@ -0,0 +1,124 @@
+// backend/holds.js
+// Hold queues: setting returned copies aside and expiring uncollected holds
+const { ObjectId } = require("mongodb");
+const { DAY_MS } = require("./config");
+const { httpError } = require("./respond");
+const { copyInState, syncBookStatus } = require("./copies");
+const { publishBook } = require("./events");
+
+// Holds form a first-come queue per title, ordered by `position`. A hold is
+// "waiting" until a copy comes back, then "ready" with that copy set aside
+// ("On Hold") until pickupBy, and finally "fulfilled", "cancelled" or "expired".
+const HOLD_PICKUP_DAYS = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+const HOLD_SWEEP_MS = 60 * 60 * 1000;
+const ACTIVE_HOLD_STATUSES = ["waiting", "ready"];
+
+// Put a member at the back of a title's queue. Holds are only for titles
+// with no copy on the shelf, and not for one the member already has on loan
+// or in the queue; those throw a 400. Returns { id, queueLength }.
+async function placeHold(db, book, memberId) {
+  const Holds = db.collection("Holds");
+  const copies = book.copies || [];
+  if (copies.some(c => c.status === "Available")) {
+    throw httpError(400, "A copy is available to borrow now");
+  }
+
+  const bookId = book._id.toString();
+  if (copies.some(c => c.borrowedBy === memberId)) {
+    throw httpError(400, "Member already has this book on loan");
+  }
+  if (await Holds.findOne({ bookId, memberId, status: { $in: ACTIVE_HOLD_STATUSES } })) {
+    throw httpError(400, "Member already has a hold on this book");
+  }
+
+  const last = await Holds.findOne({ bookId, status: "waiting" }, { sort: { position: -1 } });
+  const hold = {
+    bookId,
+    memberId,
+    status: "waiting",
+    position: (last ? last.position : 0) + 1,
+    createdAt: new Date()
+  };
+  const r = await Holds.insertOne(hold);
+  const queueLength = await Holds.countDocuments({ bookId, status: "waiting" });
+  await publishBook(db, bookId, "updated");
+  return { id: r.insertedId, queueLength };
+}
+
+// Set a copy that just became free aside for the head of its title's queue,
+// or make it Available when nobody is waiting. Returns the ready hold, if any.
+// `copy` is the copy as last read; a 409 is thrown if it has changed since.
+async function offerCopyToQueue(db, bookId, copy, session) {
+  const Books = db.collection("Books");
+  const Holds = db.collection("Holds");
+  const next = await Holds.findOne({ bookId: bookId.toString(), status: "waiting" }, { sort: { position: 1 }, session });
+  const cleared = { "copies.$.borrowedBy": null, "copies.$.dueDate": null };
+  const status = next
+    ? { "copies.$.status": "On Hold", "copies.$.holdFor": next.memberId }
+    : { "copies.$.status": "Available", "copies.$.holdFor": null };
+
+  const result = await Books.updateOne(copyInState(bookId, copy), { $set: { ...cleared, ...status } }, { session });
+  if (result.modifiedCount === 0) throw httpError(409, "This copy was just changed by another request");
+
+  let hold = null;
+  if (next) {
+    const readyAt = new Date();
+    const ready = {
+      status: "ready",
+      copyId: copy._id.toString(),
+      barcode: copy.barcode,
+      readyAt,
+      pickupBy: new Date(readyAt.getTime() + HOLD_PICKUP_DAYS * DAY_MS)
+    };
+    await Holds.updateOne({ _id: next._id }, { $set: ready }, { session });
+    hold = { ...next, ...ready };
+  }
+
+  await syncBookStatus(Books, bookId, session);
+  return hold;
+}
+
+// Pass the copy set aside for a closed "ready" hold on to the next in line
+async function releaseHeldCopy(db, hold, session) {
+  const book = await db.collection("Books").findOne({ _id: new ObjectId(hold.bookId) }, { session });
+  const copy = book && (book.copies || []).find(c => c._id.toString() === hold.copyId);
+  if (copy && copy.status === "On Hold") await offerCopyToQueue(db, book._id, copy, session);
+}
+
+// Cancel an active hold; a copy already set aside for it moves on to the
+// next in line
+async function cancelHold(db, hold) {
+  await db.collection("Holds").updateOne({ _id: hold._id }, { $set: { status: "cancelled", closedAt: new Date() } });
+  if (hold.status === "ready") await releaseHeldCopy(db, hold);
+  await publishBook(db, hold.bookId, "updated");
+}
+
+// Ready holds not picked up in time expire and pass the copy down the queue
+async function expireHolds(db) {
+  const Holds = db.collection("Holds");
+  const expired = await Holds.find({ status: "ready", pickupBy: { $lt: new Date() } }).toArray();
+
+  for (const hold of expired) {
+    await Holds.updateOne({ _id: hold._id, status: "ready" }, { $set: { status: "expired", closedAt: new Date() } });
+    await releaseHeldCopy(db, hold);
+    await publishBook(db, hold.bookId, "updated");
+  }
+  return expired.length;
+}
+
+// Rewrite queue positions as 1..n in the given order
+async function renumberQueue(Holds, holds) {
+  await Promise.all(holds.map((h, i) => Holds.updateOne({ _id: h._id }, { $set: { position: i + 1 } })));
+}
+
+module.exports = {
+  HOLD_PICKUP_DAYS,
+  HOLD_SWEEP_MS,
+  ACTIVE_HOLD_STATUSES,
+  placeHold,
+  offerCopyToQueue,
+  releaseHeldCopy,
+  cancelHold,
+  expireHolds,
+  renumberQueue
+};
@@ -0,0 +1,33 @@
+// backend/i18n.js
+// The library's currency and interface languages, and locale-aware money and
+// date formatting for text the server writes itself (reminder emails). The
+// API keeps returning plain numbers and ISO dates; pages format them with the
+// same currency (see GET /i18n and frontend/js/i18n.js).
+const { CURRENCY, LOCALES, DEFAULT_LOCALE } = require("./config");
+
+// A supported locale for a stored preference or language tag: an exact
+// match, else one for the same language ("es" -> "es-ES"), else the default
+function resolveLocale(tag) {
+  if (!tag) return DEFAULT_LOCALE;
+  const wanted = String(tag).toLowerCase();
+  const exact = LOCALES.find(l => l.toLowerCase() === wanted);
+  if (exact) return exact;
+  const language = wanted.split("-")[0];
+  return LOCALES.find(l => l.toLowerCase().split("-")[0] === language) || DEFAULT_LOCALE;
+}
+
+const formatMoney = (amount, locale = DEFAULT_LOCALE) =>
+  new Intl.NumberFormat(locale, { style: "currency", currency: CURRENCY }).format(amount || 0);
+
+const formatDate = (date, locale = DEFAULT_LOCALE) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: "medium" }).format(new Date(date));
+
+// What pages need to format and translate consistently with the server
+const localeSettings = () => ({ currency: CURRENCY, locales: LOCALES, defaultLocale: DEFAULT_LOCALE });
+
+module.exports = {
+  resolveLocale,
+  formatMoney,
+  formatDate,
+  localeSettings
+};
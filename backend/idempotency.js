@@ -0,0 +1,45 @@
+// backend/idempotency.js
+// Safe retries for POSTs that must not run twice
+const { db } = require("./db");
+const { sendError } = require("./respond");
+
+// A client may send an Idempotency-Key header; a retry with the same key
+// gets the stored response of the first successful attempt instead of
+// borrowing, returning or adding a book again (offline queues replay with
+// the key they were queued under). Keys are kept for a day. A request that
+// fails releases its key so it can be retried. If the process dies
+// mid-request the key stays pending and retries get a 409 rather than
+// running twice.
+async function idempotent(req, res, work, status = 200) {
+  const key = req.headers["idempotency-key"];
+  const send = (code, body, headers = {}) => {
+    res.writeHead(code, { "Content-Type": "application/json", ...headers });
+    return res.end(JSON.stringify(body));
+  };
+  if (!key) return send(status, await work());
+
+  const IdempotencyKeys = db.collection("IdempotencyKeys");
+  const _id = `${req.user._id} ${req.method} ${req.path} ${key}`;
+  try {
+    await IdempotencyKeys.insertOne({ _id, status: "pending", createdAt: new Date() });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const prior = await IdempotencyKeys.findOne({ _id });
+    if (!prior || prior.status === "pending") {
+      return sendError(res, 409, "A request with this idempotency key is still in progress", { code: "IDEMPOTENCY_IN_PROGRESS" });
+    }
+    return send(status, prior.response, { "Idempotent-Replayed": "true" });
+  }
+
+  let body;
+  try {
+    body = await work();
+  } catch (err) {
+    await IdempotencyKeys.deleteOne({ _id });
+    throw err;
+  }
+  await IdempotencyKeys.updateOne({ _id }, { $set: { status: "done", response: body } });
+  return send(status, body);
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,39 @@
+// backend/isbn.js
+// ISBN-10/ISBN-13 checksum validation and normalization to ISBN-13
+
+// Strip hyphens, spaces and an "ISBN" prefix; keep digits and a final X
+function cleanIsbn(raw) {
+  return String(raw || "").toUpperCase().replace(/^ISBN(-1[03])?:?/, "").replace(/[^0-9X]/g, "");
+}
+
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split("").reduce((acc, ch, i) => acc + (ch === "X" ? 10 : Number(ch)) * (10 - i), 0);
+  return sum % 11 === 0;
+}
+
+function isbn13CheckDigit(first12) {
+  const sum = first12.split("").reduce((acc, ch, i) => acc + Number(ch) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidIsbn13(isbn) {
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+}
+
+// Returns { isbn13 } for a valid ISBN-10/13, or { error } describing the problem
+function normalizeIsbn(raw) {
+  const isbn = cleanIsbn(raw);
+  if (isbn.length === 10) {
+    if (!isValidIsbn10(isbn)) return { error: `ISBN-10 ${raw} has an invalid check digit` };
+    const first12 = "978" + isbn.slice(0, 9);
+    return { isbn13: first12 + isbn13CheckDigit(first12) };
+  }
+  if (isbn.length === 13) {
+    if (!isValidIsbn13(isbn)) return { error: `ISBN-13 ${raw} has an invalid check digit` };
+    return { isbn13: isbn };
+  }
+  return { error: `ISBN ${raw} must have 10 or 13 digits` };
+}
+
+module.exports = { cleanIsbn, isValidIsbn10, isValidIsbn13, normalizeIsbn };
@@ -0,0 +1,119 @@
+// backend/labels.js
+// Printable label sheets for books and ID cards for members, as HTML pages
+// sized for A4 that the browser prints. Codes are drawn here as inline SVG
+// (Code 128 or QR), no outside service involved.
+const { LIBRARY_NAME } = require("./config");
+const { code128Svg, escapeXml } = require("./code128");
+const { qrSvg } = require("./qrcode");
+
+const SYMBOLOGIES = ["code128", "qr"];
+// What a book label encodes: the book's id, its ISBN, or one label per
+// copy with the copy's barcode
+const LABEL_ENCODINGS = ["id", "isbn", "copy"];
+// Most books or members one sheet request may name
+const MAX_LABELS = 500;
+
+// 3 x 8 labels of 70 x 37 mm on A4 (Avery 3474 and similar)
+const LABELS_PER_PAGE = 24;
+// 2 x 5 cards of 85.6 x 54 mm (ID-1, credit card size)
+const CARDS_PER_PAGE = 10;
+
+// The text a book's code holds; a book without an ISBN falls back to its id
+const bookCode = (book, encode) => (encode === "isbn" && book.isbn ? book.isbn : book._id.toString());
+
+// One label per book, or per barcoded copy when encoding copies
+function bookLabels(books, encode) {
+  if (encode !== "copy") return books.map(book => ({ book, code: bookCode(book, encode) }));
+  return books.flatMap(book => (book.copies || [])
+    .filter(copy => copy.barcode)
+    .map(copy => ({ book, code: copy.barcode })));
+}
+
+function chunk(items, size) {
+  const pages = [];
+  for (let i = 0; i < items.length; i += size) pages.push(items.slice(i, i + size));
+  return pages;
+}
+
+const page = (title, style, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>
+@page { size: A4; margin: 0; }
+* { box-sizing: border-box; }
+body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; background: #fff; }
+.sheet { width: 210mm; height: 297mm; display: grid; justify-content: center; align-content: center; overflow: hidden; }
+.sheet + .sheet { break-before: page; }
+.line { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+svg { display: block; }
+${style}
+@media screen { body { background: #ddd; } .sheet { background: #fff; margin: 10mm auto; box-shadow: 0 2px 8px rgba(0,0,0,0.3); } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+function bookLabel({ book, code }, symbology) {
+  const title = `<div class="line title">${escapeXml(book.title)}</div>`;
+  const author = `<div class="line author">${escapeXml(book.author || "")}</div>`;
+  if (symbology === "qr") {
+    return `<div class="label qr">${qrSvg(code, { size: "29mm" })}` +
+      `<div class="text">${title}${author}<div class="line code">${escapeXml(code)}</div></div></div>`;
+  }
+  return `<div class="label">${title}${author}${code128Svg(code, { height: 11, maxWidth: 64 })}</div>`;
+}
+
+// `books` as stored; `encode` and `symbology` as in LABEL_ENCODINGS and
+// SYMBOLOGIES
+function bookLabelSheet(books, { encode = "id", symbology = "code128" } = {}) {
+  const labels = bookLabels(books, encode);
+  const style = `
+.sheet { grid-template-columns: repeat(3, 70mm); grid-template-rows: repeat(8, 37mm); }
+.label { padding: 2.5mm 3mm; display: flex; flex-direction: column; align-items: center; overflow: hidden; }
+.label .title { font-size: 9pt; font-weight: bold; max-width: 64mm; }
+.label .author { font-size: 8pt; max-width: 64mm; margin-bottom: 1mm; }
+.label.qr { flex-direction: row; align-items: center; gap: 1mm; }
+.label.qr svg { flex-shrink: 0; }
+.label.qr .text { min-width: 0; }
+.label.qr .code { font-family: monospace; font-size: 7pt; margin-top: 1mm; }`;
+  const sheets = chunk(labels, LABELS_PER_PAGE)
+    .map(labelsOnPage => `<div class="sheet">${labelsOnPage.map(label => bookLabel(label, symbology)).join("")}</div>`);
+  return page("Book labels", style, sheets.join("\n"));
+}
+
+function memberCard(member) {
+  const id = member._id.toString();
+  const since = member.createdAt ? new Date(member.createdAt).getFullYear() : null;
+  return `<div class="card">
+<div class="library line">${escapeXml(LIBRARY_NAME)}</div>
+<div class="body">
+<div class="details">
+<div class="name line">${escapeXml(member.name)}</div>
+<div class="role line">${escapeXml(member.role || "Member")}${since ? ` · since ${since}` : ""}</div>
+</div>
+${qrSvg(id, { size: "20mm" })}
+</div>
+${code128Svg(id, { height: 9, maxWidth: 78 })}
+</div>`;
+}
+
+function memberCardSheet(members) {
+  const style = `
+.sheet { grid-template-columns: repeat(2, 85.6mm); grid-template-rows: repeat(5, 54mm); }
+.card { border: 0.2mm dashed #999; border-radius: 3mm; padding: 3mm 3.5mm; display: flex; flex-direction: column; justify-content: space-between; align-items: center; overflow: hidden; }
+.card .library { width: 100%; font-size: 8pt; font-weight: bold; text-transform: uppercase; letter-spacing: 0.5pt; border-bottom: 0.3mm solid #000; padding-bottom: 1mm; }
+.card .body { width: 100%; display: flex; align-items: center; justify-content: space-between; gap: 2mm; }
+.card .details { min-width: 0; }
+.card .name { font-size: 12pt; font-weight: bold; }
+.card .role { font-size: 8pt; margin-top: 1mm; }`;
+  const sheets = chunk(members, CARDS_PER_PAGE)
+    .map(cards => `<div class="sheet">${cards.map(memberCard).join("")}</div>`);
+  return page("Member cards", style, sheets.join("\n"));
+}
+
+module.exports = { SYMBOLOGIES, LABEL_ENCODINGS, MAX_LABELS, bookCode, bookLabelSheet, memberCardSheet };
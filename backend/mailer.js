@@ -0,0 +1,138 @@
+// backend/mailer.js
+// Minimal SMTP client for plain-text notification emails. Supports implicit
+// TLS (secure), STARTTLS when the server offers it, and AUTH PLAIN. Works
+// against local stand-ins such as MailHog or smtp4dev (port 1025 by default).
+const net = require("net");
+const tls = require("tls");
+const crypto = require("crypto");
+const os = require("os");
+
+const SMTP_TIMEOUT_MS = 15000;
+
+// Collect CRLF-terminated lines into complete (possibly multi-line) replies
+function replyReader(socket) {
+  let buffer = "";
+  let pending = null;
+  let failure = null;
+
+  const check = () => {
+    if (!pending) return;
+    if (failure) {
+      pending.reject(failure);
+      pending = null;
+      return;
+    }
+    const lines = buffer.split("\r\n");
+    const last = lines.slice(0, -1).findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+    const reply = lines.slice(0, last + 1);
+    buffer = lines.slice(last + 1).join("\r\n");
+    const { resolve } = pending;
+    pending = null;
+    resolve({ code: parseInt(reply[last].slice(0, 3), 10), text: reply.map(l => l.slice(4)).join("\n") });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    check();
+  };
+  const onError = (err) => {
+    failure = err;
+    check();
+  };
+  const onClose = () => onError(failure || new Error("SMTP connection closed"));
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    read: () => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      check();
+    }),
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+function buildMessage(config, { to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, "\r\n"), "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${config.from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString("hex")}@${config.host}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const options = { host: config.host, port: config.port, servername: config.host };
+    const socket = config.secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error("SMTP connection timed out")));
+    socket.once(config.secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+// Send one message. config: { host, port, secure, user, pass, from }.
+// Resolves once the server has accepted the message for delivery.
+async function sendMail(config, message) {
+  let socket = await connect(config);
+  let reader = replyReader(socket);
+
+  const command = async (line, expected, verb = line.split(" ")[0]) => {
+    if (line !== null) socket.write(line + "\r\n");
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+    return reply;
+  };
+
+  try {
+    await command(null, [220], "greeting");
+    const helo = `EHLO ${os.hostname() || "localhost"}`;
+    let ehlo = await command(helo, [250]);
+
+    if (!config.secure && /^STARTTLS\b/im.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = tls.connect({ socket, servername: config.host });
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      reader = replyReader(socket);
+      ehlo = await command(helo, [250]);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${config.from.replace(/^.*<|>.*$/g, "")}>`, [250]);
+    await command(`RCPT TO:<${message.to}>`, [250, 251]);
+    await command("DATA", [354]);
+    // Dot-stuffing is not needed: the base64 body never starts a line with "."
+    await command(buildMessage(config, message) + "\r\n.", [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,282 @@
+// backend/marc.js
+// MARC21 bibliographic records: ISO 2709 and MARCXML reading/writing, and
+// the mapping between a record and the fields a Books document models.
+//
+// A record is { leader, fields }, where each field is either a control field
+// { tag, value } (tags 001-009) or a data field
+// { tag, ind1, ind2, subfields: [{ code, value }] }.
+const { normalizeIsbn } = require("./isbn");
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+const DEFAULT_LEADER = "00000nam a2200000   4500";
+const MARCXML_NS = "http://www.loc.gov/MARC21/slim";
+
+const isControlTag = (tag) => /^00\d$/.test(tag);
+
+// --- ISO 2709 ---
+
+// Parse a buffer of one or more ISO 2709 records. Lengths and offsets are in
+// bytes, so the data is sliced as a Buffer and only decoded per field.
+// Records are read as UTF-8 (leader/09 "a"); MARC-8 is only safe for ASCII.
+function parseIso2709(buffer) {
+  const records = [];
+  let start = 0;
+  while (start < buffer.length) {
+    // Some exports put a newline between records
+    while ([0x0a, 0x0d, 0x20].includes(buffer[start])) start++;
+    if (start >= buffer.length) break;
+    let end = buffer.indexOf(RECORD_TERMINATOR, start);
+    if (end === -1) end = buffer.length;
+    const raw = buffer.subarray(start, end);
+    start = end + 1;
+    records.push(parseIso2709Record(raw, records.length + 1));
+  }
+  return records;
+}
+
+function parseIso2709Record(raw, number) {
+  const text = raw.toString("latin1");
+  const leader = text.slice(0, 24);
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (leader.length < 24 || !baseAddress) throw new Error(`Record ${number} has an invalid leader`);
+
+  const directory = text.slice(24, baseAddress - 1);
+  if (directory.length % 12) throw new Error(`Record ${number} has a malformed directory`);
+
+  const fields = [];
+  for (let i = 0; i < directory.length; i += 12) {
+    const tag = directory.slice(i, i + 3);
+    const length = parseInt(directory.slice(i + 3, i + 7), 10);
+    const offset = parseInt(directory.slice(i + 7, i + 12), 10);
+    let data = raw.subarray(baseAddress + offset, baseAddress + offset + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, -1);
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: data.toString("utf8") });
+      continue;
+    }
+    const [indicators, ...parts] = splitBuffer(data, SUBFIELD_DELIMITER);
+    const ind = indicators.toString("utf8");
+    fields.push({
+      tag,
+      ind1: ind[0] || " ",
+      ind2: ind[1] || " ",
+      subfields: parts.filter(p => p.length).map(p => ({
+        code: String.fromCharCode(p[0]),
+        value: p.subarray(1).toString("utf8")
+      }))
+    });
+  }
+  return { leader, fields };
+}
+
+function splitBuffer(buffer, byte) {
+  const parts = [];
+  let start = 0;
+  let at;
+  while ((at = buffer.indexOf(byte, start)) !== -1) {
+    parts.push(buffer.subarray(start, at));
+    start = at + 1;
+  }
+  parts.push(buffer.subarray(start));
+  return parts;
+}
+
+// Serialize records to ISO 2709, recomputing the record length and base
+// address in the leader and marking the character coding as UTF-8
+function toIso2709(records) {
+  return Buffer.concat(records.map(record => {
+    const chunks = record.fields.map(field => {
+      const body = isControlTag(field.tag)
+        ? field.value
+        : (field.ind1 || " ") + (field.ind2 || " ") +
+          field.subfields.map(s => String.fromCharCode(SUBFIELD_DELIMITER) + s.code + s.value).join("");
+      return { tag: field.tag, data: Buffer.from(body + String.fromCharCode(FIELD_TERMINATOR), "utf8") };
+    });
+
+    let offset = 0;
+    const directory = chunks.map(c => {
+      const entry = c.tag + String(c.data.length).padStart(4, "0") + String(offset).padStart(5, "0");
+      offset += c.data.length;
+      return entry;
+    }).join("");
+
+    const baseAddress = 24 + directory.length + 1;
+    const recordLength = baseAddress + offset + 1;
+    const base = (record.leader || DEFAULT_LEADER).padEnd(24, " ");
+    const leader = String(recordLength).padStart(5, "0") + base.slice(5, 9) + "a" + base.slice(10, 12) +
+      String(baseAddress).padStart(5, "0") + base.slice(17, 24);
+
+    return Buffer.concat([
+      Buffer.from(leader + directory + String.fromCharCode(FIELD_TERMINATOR), "latin1"),
+      ...chunks.map(c => c.data),
+      Buffer.from([RECORD_TERMINATOR])
+    ]);
+  }));
+}
+
+// --- MARCXML ---
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, "&");
+
+const encodeXml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+function xmlAttrs(text) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(text))) attrs[m[1]] = decodeXml(m[2] !== undefined ? m[2] : m[3]);
+  return attrs;
+}
+
+// Elements may carry a namespace prefix (<marc:record>), so tags match any prefix
+const element = (name) => new RegExp(`<(?:[\\w-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, "g");
+
+// Parse a MARCXML <collection> or a single <record>. This reads the MARC21
+// slim schema only; it is not a general XML parser.
+function parseMarcXml(text) {
+  const records = [];
+  const source = text.replace(/<!--[\s\S]*?-->/g, "");
+  for (const [, , body = ""] of source.matchAll(element("record"))) {
+    const leaderMatch = body.match(/<(?:[\w-]+:)?leader\b[^>]*>([\s\S]*?)<\//);
+    const fields = [];
+    const fieldRe = /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w-]+:)?\1>)/g;
+    for (const [, kind, attrText, content = ""] of body.matchAll(fieldRe)) {
+      const attrs = xmlAttrs(attrText);
+      if (kind === "controlfield") {
+        fields.push({ tag: attrs.tag, value: decodeXml(content) });
+        continue;
+      }
+      const subfields = [];
+      for (const [, subAttrs, value = ""] of content.matchAll(element("subfield"))) {
+        subfields.push({ code: xmlAttrs(subAttrs).code, value: decodeXml(value) });
+      }
+      fields.push({ tag: attrs.tag, ind1: attrs.ind1 || " ", ind2: attrs.ind2 || " ", subfields });
+    }
+    records.push({ leader: leaderMatch ? decodeXml(leaderMatch[1]) : DEFAULT_LEADER, fields });
+  }
+  return records;
+}
+
+function toMarcXml(records) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<collection xmlns="${MARCXML_NS}">`];
+  records.forEach(record => {
+    lines.push("  <record>");
+    lines.push(`    <leader>${encodeXml(record.leader || DEFAULT_LEADER)}</leader>`);
+    record.fields.forEach(field => {
+      if (isControlTag(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${encodeXml(field.value)}</controlfield>`);
+        return;
+      }
+      lines.push(`    <datafield tag="${field.tag}" ind1="${encodeXml(field.ind1 || " ")}" ind2="${encodeXml(field.ind2 || " ")}">`);
+      field.subfields.forEach(s => {
+        lines.push(`      <subfield code="${encodeXml(s.code)}">${encodeXml(s.value)}</subfield>`);
+      });
+      lines.push("    </datafield>");
+    });
+    lines.push("  </record>");
+  });
+  lines.push("</collection>");
+  return lines.join("\n") + "\n";
+}
+
+// --- Mapping to Books ---
+// title <- 245 $a $b, author <- 100/110/111 $a (700 as fallback),
+// genre <- 650/655 $a, year <- 264/260 $c or 008/07-10, isbn <- 020 $a.
+// The whole record is kept on the book as `marc` so export can start from it.
+
+// Drop trailing ISBD punctuation (" /", " :", ",", ".") cataloguers leave on subfields
+const trimPunctuation = (value) => String(value || "").replace(/[\s/:;,.=]+$/, "").trim();
+
+const findField = (record, tags) => record.fields.find(f => tags.includes(f.tag) && f.subfields);
+const subfield = (field, code) => (field ? (field.subfields.find(s => s.code === code) || {}).value : undefined);
+
+function recordTitle(record) {
+  const field = findField(record, ["245"]);
+  return [subfield(field, "a"), subfield(field, "b")].filter(Boolean).map(trimPunctuation).join(": ");
+}
+
+function recordYear(record) {
+  const imprint = record.fields.find(f => f.tag === "264" && f.ind2 === "1") || findField(record, ["260", "264"]);
+  const fromImprint = String(subfield(imprint, "c") || "").match(/\d{4}/);
+  if (fromImprint) return parseInt(fromImprint[0], 10);
+  const fixed = record.fields.find(f => f.tag === "008");
+  const date1 = fixed ? fixed.value.slice(7, 11) : "";
+  return /^\d{4}$/.test(date1) ? parseInt(date1, 10) : null;
+}
+
+// Import row for buildBook, with the source record attached
+function recordToBook(record) {
+  const isbn = String(subfield(findField(record, ["020"]), "a") || "").split(/\s/)[0];
+  return {
+    title: recordTitle(record),
+    author: trimPunctuation(subfield(findField(record, ["100", "110", "111"]) || findField(record, ["700"]), "a")),
+    genre: trimPunctuation(subfield(findField(record, ["650", "655"]), "a")) || undefined,
+    year: recordYear(record),
+    isbn: isbn || undefined,
+    marc: record
+  };
+}
+
+// 245 ind1 "1" (added entry), 264 ind2 "1" (publication statement)
+const NEW_FIELD_INDICATORS = { "245": ["1", "0"], "264": [" ", "1"] };
+
+// Set subfield `code` of the first `tag` field, adding the field in tag order
+// when missing. Values that already say the same thing are left as catalogued.
+function setSubfield(record, tag, code, value, same) {
+  let field = findField(record, [tag]);
+  if (!field) {
+    const [ind1, ind2] = NEW_FIELD_INDICATORS[tag] || [" ", " "];
+    field = { tag, ind1, ind2, subfields: [] };
+    const at = record.fields.findIndex(f => f.tag > tag);
+    record.fields.splice(at === -1 ? record.fields.length : at, 0, field);
+  }
+  const existing = field.subfields.find(s => s.code === code);
+  if (existing && same(existing.value)) return field;
+  if (existing) existing.value = value;
+  else field.subfields.push({ code, value });
+  return field;
+}
+
+// MARC record for a book: the stored raw record (or a new one) with the
+// modeled fields brought up to date with any edits made since import
+function bookToRecord(book) {
+  const record = book.marc
+    ? JSON.parse(JSON.stringify(book.marc))
+    : { leader: DEFAULT_LEADER, fields: [{ tag: "001", value: String(book._id) }] };
+
+  if (recordTitle(record) !== book.title) {
+    const field = setSubfield(record, "245", "a", book.title, () => false);
+    field.subfields = field.subfields.filter(s => s.code !== "b");
+  }
+  if (book.author) {
+    const authorTag = (findField(record, ["100", "110", "111"]) || { tag: "100" }).tag;
+    setSubfield(record, authorTag, "a", book.author, (v) => trimPunctuation(v) === book.author);
+  }
+  if (book.genre && book.genre !== "Unknown") {
+    setSubfield(record, "650", "a", book.genre, (v) => trimPunctuation(v) === book.genre);
+  }
+  if (book.year && recordYear(record) !== book.year) {
+    const imprint = findField(record, ["264", "260"]);
+    setSubfield(record, imprint ? imprint.tag : "264", "c", String(book.year), () => false);
+  }
+  if (book.isbn) {
+    setSubfield(record, "020", "a", book.isbn, (v) => normalizeIsbn(v.split(/\s/)[0]).isbn13 === book.isbn);
+  }
+  return record;
+}
+
+module.exports = { parseIso2709, toIso2709, parseMarcXml, toMarcXml, recordToBook, bookToRecord };
@@ -0,0 +1,206 @@
+// backend/middleware.js
+// Middleware shared by every route module: CORS, errors, static files,
+// authentication, permissions and body parsing
+const fs = require("fs");
+const path = require("path");
+const { Users } = require("./db");
+const { FRONTEND_DIR, BODY_LIMIT } = require("./config");
+const { sendError, httpError } = require("./respond");
+const { hasPermission, sessionFromReq } = require("./auth");
+
+// CORS headers - Allow all origins (configure as needed for production)
+async function cors(req, res, next) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
+  res.setHeader("Access-Control-Max-Age", "86400");
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+  return next();
+}
+
+// Errors thrown with a status (see httpError) become { ok: false, msg, ...extra };
+// a malformed ObjectId is the caller's fault; anything else is a 500
+async function errorHandler(req, res, next) {
+  try {
+    await next();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("Server error after response started:", error);
+      return res.end();
+    }
+    if (error.status) {
+      return sendError(res, error.status, error.message, error.extra);
+    }
+    if (error.name === "BSONError") {
+      return sendError(res, 400, "Invalid id", { code: "INVALID_ID" });
+    }
+    console.error("Server error:", error);
+    return sendError(res, 500, "Internal server error");
+  }
+}
+
+// --- Static files ---
+const STATIC_TYPES = {
+  ".html": "text/html",
+  ".css": "text/css",
+  ".js": "application/javascript",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json"
+};
+const STATIC_PREFIXES = ["/pages/", "/css/", "/js/", "/icons/", "/locales/", "/uploads/"];
+// The service worker has to be served from the root to control every page,
+// and is always revalidated so a new version is picked up on the next load
+const ROOT_FILES = { "/sw.js": "no-cache", "/manifest.webmanifest": "public, max-age=3600" };
+
+const serveStatic = (res, filepath, contentType, cacheControl = "public, max-age=3600") => {
+  try {
+    const data = fs.readFileSync(filepath);
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Cache-Control": cacheControl
+    });
+    res.end(data);
+  } catch (err) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+  }
+};
+
+// Frontend pages and assets, and uploaded covers
+async function staticFiles(req, res, next) {
+  if (req.method !== "GET") return next();
+  if (req.path === "/") {
+    return serveStatic(res, path.join(FRONTEND_DIR, "index.html"), "text/html");
+  }
+  if (ROOT_FILES[req.path]) {
+    const ext = path.extname(req.path);
+    return serveStatic(res, path.join(FRONTEND_DIR, req.path), STATIC_TYPES[ext], ROOT_FILES[req.path]);
+  }
+  if (!STATIC_PREFIXES.some(prefix => req.path.startsWith(prefix))) return next();
+
+  const filepath = path.join(FRONTEND_DIR, path.normalize(req.path));
+  if (!filepath.startsWith(FRONTEND_DIR + path.sep)) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    return res.end("Not found");
+  }
+  const ext = path.extname(filepath).toLowerCase();
+  const fallback = req.path.startsWith("/uploads/") ? "image/jpeg" : "application/octet-stream";
+  return serveStatic(res, filepath, STATIC_TYPES[ext] || fallback);
+}
+
+// --- Authentication ---
+// Sets req.session and req.user from the bearer token when there is a live
+// session; routes that need one use requireAuth or requirePermission.
+async function authenticate(req, res, next) {
+  req.session = await sessionFromReq(req);
+  req.user = req.session ? await Users.findOne({ _id: req.session.userId }) : null;
+  return next();
+}
+
+async function requireAuth(req, res, next) {
+  if (!req.session) {
+    return sendError(res, 401, "Authentication required");
+  }
+  return next();
+}
+
+const requirePermission = (permission) => async (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, "Authentication required");
+  }
+  if (!hasPermission(req.user, permission)) {
+    return sendError(res, 403, "You do not have permission to perform this action");
+  }
+  return next();
+};
+
+// --- Body parsing ---
+// Bodies are read per route: raw() leaves a Buffer in req.body, text() a
+// string, json() the parsed value (a malformed body is a 400). Each stops
+// reading past `limit` bytes and answers 413.
+const readBody = (req, limit) =>
+  new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than ${Math.round(limit / 1024)} KB`, { code: "PAYLOAD_TOO_LARGE" });
+    if (parseInt(req.headers["content-length"]) > limit) {
+      req.resume();
+      return reject(tooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.off("data", onData);
+        req.resume();
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const raw = ({ limit = BODY_LIMIT } = {}) => async (req, res, next) => {
+  req.body = await readBody(req, limit);
+  return next();
+};
+
+const text = ({ limit = BODY_LIMIT } = {}) => async (req, res, next) => {
+  req.body = (await readBody(req, limit)).toString("utf8");
+  return next();
+};
+
+const json = ({ limit = BODY_LIMIT } = {}) => async (req, res, next) => {
+  const body = (await readBody(req, limit)).toString("utf8");
+  try {
+    req.body = body.trim() ? JSON.parse(body) : {};
+  } catch (err) {
+    return sendError(res, 400, "Request body is not valid JSON", { code: "INVALID_JSON" });
+  }
+  return next();
+};
+
+// The legacy routes carry the record id in the body instead of the path:
+// { "id": ... } for updates, the bare id as text for deletes. These move it
+// to req.params.id so the handlers can be shared with /api/v1.
+async function idFromBody(req, res, next) {
+  req.params.id = req.body && req.body.id ? String(req.body.id) : "";
+  return next();
+}
+
+async function idFromText(req, res, next) {
+  req.params.id = req.body.trim();
+  return next();
+}
+
+// Default 404
+async function notFound(req, res) {
+  return sendError(res, 404, "Endpoint not found");
+}
+
+module.exports = {
+  cors,
+  errorHandler,
+  staticFiles,
+  authenticate,
+  requireAuth,
+  requirePermission,
+  raw,
+  text,
+  json,
+  idFromBody,
+  idFromText,
+  notFound
+};
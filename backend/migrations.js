@@ -0,0 +1,53 @@
+// backend/migrations.js
+// Data upgrades run at startup; each is a no-op once applied
+const { ObjectId } = require("mongodb");
+const { db } = require("./db");
+const { normalizeIsbn } = require("./isbn");
+const { newCopy, summarizeCopies } = require("./copies");
+
+// Books created before copies existed carried status/borrowedBy/dueDate on
+// the title itself; turn each into a title with a single copy.
+async function migrateLegacyBooks() {
+  const Books = db.collection("Books");
+  const legacy = await Books.find({ copies: { $exists: false } }).toArray();
+
+  for (const book of legacy) {
+    const copy = newCopy();
+    if (book.status === "Borrowed" && book.borrowedBy) {
+      Object.assign(copy, { status: "Borrowed", borrowedBy: book.borrowedBy, dueDate: book.dueDate });
+      const bookId = book._id.toString();
+      const link = { copyId: copy._id.toString(), barcode: copy.barcode };
+      await db.collection("Members").updateOne(
+        { _id: new ObjectId(book.borrowedBy) },
+        { $set: { "borrowedBooks.$[e].copyId": link.copyId, "borrowedBooks.$[e].barcode": link.barcode } },
+        { arrayFilters: [{ "e.bookId": bookId, "e.copyId": { $exists: false } }] }
+      );
+      await db.collection("BorrowLogs").updateMany({ bookId, returnedOn: null }, { $set: link });
+    }
+    await Books.updateOne(
+      { _id: book._id },
+      { $set: { copies: [copy], ...summarizeCopies([copy]) }, $unset: { borrowedBy: "", dueDate: "" } }
+    );
+  }
+  if (legacy.length) console.log(`Migrated ${legacy.length} book(s) to the copies model`);
+}
+
+// Rewrite stored ISBNs as normalized ISBN-13. Values that fail validation are
+// left as typed and show up in the duplicates report for manual correction.
+async function normalizeStoredIsbns() {
+  const Books = db.collection("Books");
+  const books = await Books.find({ isbn: { $nin: [null, ""], $not: /^97[89]\d{10}$/ } }, { projection: { isbn: 1 } }).toArray();
+  let fixed = 0;
+  for (const book of books) {
+    const { isbn13 } = normalizeIsbn(book.isbn);
+    if (!isbn13) continue;
+    await Books.updateOne({ _id: book._id }, { $set: { isbn: isbn13 } });
+    fixed++;
+  }
+  if (fixed) console.log(`Normalized ${fixed} ISBN(s) to ISBN-13`);
+}
+
+module.exports = {
+  migrateLegacyBooks,
+  normalizeStoredIsbns
+};
@@ -0,0 +1,105 @@
+// backend/multipart.js
+// Streaming multipart/form-data reader for file uploads
+const { Transform } = require("stream");
+const { httpError } = require("./respond");
+
+const MAX_HEADER_BYTES = 16 * 1024;
+
+// The boundary from a multipart/form-data Content-Type, or null
+function multipartBoundary(contentType = "") {
+  if (!/^multipart\/form-data/i.test(contentType)) return null;
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match ? match[1] || match[2] : null;
+}
+
+// Passes through the bytes of the first file part (one with a filename in
+// its Content-Disposition) and drops everything else, so a file is never
+// held in memory whole. Only a delimiter's length is kept back between
+// chunks, in case the delimiter is split across them. `filename` and
+// `mimeType` are set once the part's headers have been read.
+class FilePartStream extends Transform {
+  constructor(boundary) {
+    super();
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    // The first boundary has no CRLF before it; pretend it does
+    this.pending = Buffer.from("\r\n");
+    this.state = "preamble"; // preamble -> headers -> file | skip -> ... -> done
+    this.found = false;
+    this.filename = null;
+    this.mimeType = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.state === "done") return callback();
+    this.pending = Buffer.concat([this.pending, chunk]);
+    try {
+      this.parse();
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  _flush(callback) {
+    if (this.state === "file") {
+      return callback(httpError(400, "The upload ended before the file did"));
+    }
+    if (!this.found) {
+      return callback(httpError(400, "The upload has no file in it", { code: "NO_FILE" }));
+    }
+    callback();
+  }
+
+  parse() {
+    while (this.state !== "done") {
+      if (this.state === "headers") {
+        const end = this.pending.indexOf("\r\n\r\n");
+        if (end === -1) {
+          if (this.pending.length > MAX_HEADER_BYTES) throw httpError(400, "Malformed multipart body");
+          return;
+        }
+        const headers = this.pending.toString("utf8", 0, end);
+        this.pending = this.pending.subarray(end + 4);
+        const filename = /content-disposition:[^\r\n]*\bfilename="([^"]*)"/i.exec(headers);
+        if (filename) {
+          this.filename = filename[1];
+          const type = /content-type:\s*([^\r\n;]+)/i.exec(headers);
+          this.mimeType = type ? type[1].trim() : null;
+        }
+        this.state = filename ? "file" : "skip";
+        continue;
+      }
+
+      const at = this.pending.indexOf(this.delimiter);
+      if (at === -1) {
+        const keep = Math.min(this.pending.length, this.delimiter.length - 1);
+        if (this.state === "file") this.push(this.pending.subarray(0, this.pending.length - keep));
+        this.pending = this.pending.subarray(this.pending.length - keep);
+        return;
+      }
+      if (this.state === "file") {
+        this.push(this.pending.subarray(0, at));
+        this.found = true;
+        this.state = "done";
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+
+      // A delimiter is followed by "--" on the last one, CRLF otherwise
+      const next = at + this.delimiter.length;
+      if (this.pending.length < next + 2) {
+        this.pending = this.pending.subarray(at);
+        return;
+      }
+      if (this.pending.toString("latin1", next, next + 2) === "--") {
+        this.state = "done";
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+      this.pending = this.pending.subarray(next + 2);
+      this.state = "headers";
+    }
+  }
+}
+
+module.exports = { multipartBoundary, FilePartStream };
@@ -0,0 +1,291 @@
+// backend/qrcode.js
+// QR Code (ISO/IEC 18004) generation as SVG: byte mode, error correction
+// level M, versions 1-10 (up to 213 bytes), which covers ids, ISBNs and
+// short URLs
+const { httpError } = require("./respond");
+
+// Per version: total codewords, EC codewords per block, and the data
+// codewords of each block
+const QR_VERSIONS = [
+  null,
+  { total: 26, ec: 10, blocks: [16] },
+  { total: 44, ec: 16, blocks: [28] },
+  { total: 70, ec: 26, blocks: [44] },
+  { total: 100, ec: 18, blocks: [32, 32] },
+  { total: 134, ec: 24, blocks: [43, 43] },
+  { total: 172, ec: 16, blocks: [27, 27, 27, 27] },
+  { total: 196, ec: 18, blocks: [31, 31, 31, 31] },
+  { total: 242, ec: 22, blocks: [38, 38, 39, 39] },
+  { total: 292, ec: 22, blocks: [36, 36, 36, 37, 37] },
+  { total: 346, ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+const ALIGNMENT_CENTERS = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const EC_LEVEL_M = 0;
+
+// --- Reed-Solomon over GF(256), primitive polynomial 0x11D ---
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 2);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// --- Data encoding ---
+function chooseVersion(length) {
+  for (let version = 1; version < QR_VERSIONS.length; version++) {
+    const capacityBits = QR_VERSIONS[version].blocks.reduce((a, b) => a + b, 0) * 8;
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + length * 8 <= capacityBits) return version;
+  }
+  throw httpError(400, `Text is too long for a QR code (${length} bytes)`);
+}
+
+// Mode, length, bytes, terminator and padding, split into blocks with
+// their error correction, then interleaved
+function encodeCodewords(bytes, version) {
+  const { ec, blocks } = QR_VERSIONS[version];
+  const capacity = blocks.reduce((a, b) => a + b, 0);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const divisor = rsDivisor(ec);
+  const dataBlocks = [];
+  let offset = 0;
+  for (const size of blocks) {
+    dataBlocks.push(data.slice(offset, offset + size));
+    offset += size;
+  }
+  const ecBlocks = dataBlocks.map(block => rsRemainder(block, divisor));
+
+  const result = [];
+  const longest = Math.max(...blocks);
+  for (let i = 0; i < longest; i++) dataBlocks.forEach(block => i < block.length && result.push(block[i]));
+  for (let i = 0; i < ec; i++) ecBlocks.forEach(block => result.push(block[i]));
+  return result;
+}
+
+// --- Module matrix ---
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const centers = ALIGNMENT_CENTERS[this.version];
+    const last = centers.length - 1;
+    centers.forEach((cx, i) => centers.forEach((cy, j) => {
+      // Not on top of the three finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  // A finder pattern with its white separator, centred on (x, y)
+  drawFinder(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const xx = x + dx;
+        const yy = y + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) this.set(xx, yy, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (EC_LEVEL_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true);
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.set(a, b, dark);
+      this.set(b, a, dark);
+    }
+  }
+
+  // Codeword bits go up and down two-module columns from the bottom right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && conditions[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // The standard's penalty score; the mask with the lowest one is used
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map(m => (m ? "1" : "0")).join("");
+      score += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+    }
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    score += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+    return score;
+  }
+}
+
+// The module matrix (rows of booleans, true = dark) for `text`
+function qrMatrix(text) {
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  const version = chooseVersion(bytes.length);
+  const codewords = encodeCodewords(bytes, version);
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { score, matrix };
+  }
+  return best.matrix.modules;
+}
+
+// An SVG of the code with the standard four-module quiet zone, drawn as
+// one path; `size` is the rendered width and height (any CSS length)
+function qrSvg(text, { size = "30mm" } = {}) {
+  const modules = qrMatrix(text);
+  const quiet = 4;
+  const extent = modules.length + quiet * 2;
+  let path = "";
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" width="${size}" height="${size}" shape-rendering="crispEdges">` +
+    `<rect width="${extent}" height="${extent}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = { qrMatrix, qrSvg, rsDivisor, rsRemainder };
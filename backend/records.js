@@ -0,0 +1,164 @@
+// backend/records.js
+// Building Books/Members records from request or import data, and flat export rows
+const { cleanIsbn, normalizeIsbn } = require("./isbn");
+const { newCopy, summarizeCopies } = require("./copies");
+const { MEMBER_ROLES } = require("./rules");
+const { validate } = require("./validation");
+
+// Field schemas (see validation.js) shared by the create and update routes
+// and bulk import, so every way in applies the same rules
+const BOOK_FIELDS = {
+  title: { required: true, maxLength: 300 },
+  author: { required: true, maxLength: 200 },
+  genre: { maxLength: 100 },
+  year: { type: "integer", min: 0, max: 9999 },
+  isbn: { type: "isbn", label: "ISBN" },
+  cover: { maxLength: 500 }
+};
+
+const NEW_BOOK_FIELDS = {
+  ...BOOK_FIELDS,
+  copyCount: { type: "integer", min: 1, max: 100, label: "Number of copies" },
+  location: { maxLength: 100 },
+  condition: { maxLength: 50 }
+};
+
+const MEMBER_FIELDS = {
+  name: { required: true, maxLength: 100 },
+  email: { type: "email", required: true, maxLength: 200 },
+  role: { enum: MEMBER_ROLES }
+};
+
+// Build records from data that passed NEW_BOOK_FIELDS / MEMBER_FIELDS. Each
+// returns { error } or the record ready to insert.
+function buildBook(data) {
+  if (!data.title || !data.author) return { error: "Title and author are required" };
+
+  // ISBNs are stored as normalized ISBN-13
+  let isbn = null;
+  if (data.isbn) {
+    const normalized = normalizeIsbn(data.isbn);
+    if (normalized.error) return { error: normalized.error };
+    isbn = normalized.isbn13;
+  }
+
+  const copyCount = Math.min(Math.max(parseInt(data.copyCount) || 1, 1), 100);
+  const copies = Array.from({ length: copyCount }, () =>
+    newCopy({ location: data.location, condition: data.condition })
+  );
+
+  return {
+    book: {
+      title: data.title,
+      author: data.author,
+      genre: data.genre || "Unknown",
+      year: parseInt(data.year) || null,
+      isbn,
+      cover: data.cover || "/uploads/default-book.jpg",
+      copies,
+      ...summarizeCopies(copies),
+      borrowCount: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }
+  };
+}
+
+function buildMember(data) {
+  if (!data.name || !data.email) return { error: "Name and email are required" };
+  return {
+    member: {
+      name: data.name,
+      email: data.email,
+      role: data.role || "student",
+      borrowedBooks: [],
+      createdAt: new Date()
+    }
+  };
+}
+
+// Keys used to spot duplicates during import
+const isbnKey = (isbn) => (isbn ? normalizeIsbn(isbn).isbn13 || cleanIsbn(isbn) : "");
+const emailKey = (email) => (email ? String(email).trim().toLowerCase() : "");
+
+// Validate import rows against schema, build each with build(value, row),
+// and flag keys already stored or repeated in the file. Returns the records
+// that passed and a per-row report of { field, msg } errors.
+function validateImportRows(rows, schema, build, keyOf, existingKeys, label) {
+  const firstSeen = new Map();
+  const records = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 1;
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      errors.push({ row: rowNumber, errors: [{ field: "", msg: "Row must be an object" }] });
+      return;
+    }
+    const { value, errors: problems } = validate(schema, row);
+    const built = problems.length ? {} : build(value, row);
+    if (built.error) problems.push({ field: "", msg: built.error });
+
+    const key = keyOf(value);
+    const keyField = label.toLowerCase();
+    if (key && existingKeys.has(key)) {
+      problems.push({ field: keyField, msg: `Duplicate ${label}: already exists` });
+    } else if (key && firstSeen.has(key)) {
+      problems.push({ field: keyField, msg: `Duplicate ${label}: same as row ${firstSeen.get(key)}` });
+    }
+    if (key && !firstSeen.has(key)) firstSeen.set(key, rowNumber);
+
+    if (problems.length) errors.push({ row: rowNumber, errors: problems });
+    else records.push(built.book || built.member);
+  });
+
+  return { records, errors };
+}
+
+// Flat rows for CSV/JSON export
+const BOOK_EXPORT_COLUMNS = [
+  "id", "title", "author", "genre", "year", "isbn", "status", "totalCopies",
+  "availableCopies", "barcodes", "locations", "borrowCount", "cover", "createdAt"
+];
+const MEMBER_EXPORT_COLUMNS = ["id", "name", "email", "role", "currentLoans", "createdAt"];
+
+const bookExportRow = (b) => ({
+  id: b._id.toString(),
+  title: b.title,
+  author: b.author,
+  genre: b.genre,
+  year: b.year,
+  isbn: b.isbn,
+  status: b.status,
+  totalCopies: b.totalCopies,
+  availableCopies: b.availableCopies,
+  barcodes: (b.copies || []).map(c => c.barcode).join(";"),
+  locations: (b.copies || []).map(c => c.location || "").join(";"),
+  borrowCount: b.borrowCount || 0,
+  cover: b.cover,
+  createdAt: b.createdAt
+});
+
+const memberExportRow = (m) => ({
+  id: m._id.toString(),
+  name: m.name,
+  email: m.email,
+  role: m.role,
+  currentLoans: (m.borrowedBooks || []).length,
+  createdAt: m.createdAt
+});
+
+module.exports = {
+  BOOK_FIELDS,
+  NEW_BOOK_FIELDS,
+  MEMBER_FIELDS,
+  buildBook,
+  buildMember,
+  isbnKey,
+  emailKey,
+  validateImportRows,
+  BOOK_EXPORT_COLUMNS,
+  MEMBER_EXPORT_COLUMNS,
+  bookExportRow,
+  memberExportRow
+};
@@ -0,0 +1,158 @@
+// backend/reminders.js
+// Daily due-soon and overdue email reminders
+const { ObjectId } = require("mongodb");
+const { DAY_MS } = require("./config");
+const { sendMail } = require("./mailer");
+const { getFinePolicy, calculateOverdueFine } = require("./fines");
+const { resolveLocale, formatMoney, formatDate } = require("./i18n");
+
+// Once a day (and once at startup) open loans are scanned: loans due within
+// DUE_SOON_DAYS get a "dueSoon" email, loans past due get an "overdue" one.
+// Each notice is recorded in Notifications, unique per loan, type and due
+// date, so a loan gets at most one of each until it is renewed.
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || "localhost",
+  port: parseInt(process.env.SMTP_PORT) || 1025,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.MAIL_FROM || "Library <library@localhost>"
+};
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED !== "false";
+const REMINDER_HOUR = parseInt(process.env.REMINDER_HOUR) >= 0 && parseInt(process.env.REMINDER_HOUR) < 24
+  ? parseInt(process.env.REMINDER_HOUR) : 8;
+const DUE_SOON_DAYS = parseInt(process.env.DUE_SOON_DAYS) || 2;
+
+// Stored in Settings ({ _id: "reminderTemplates" }) and merged over these.
+// {{placeholders}}: memberName, bookTitle, barcode, dueDate, daysLeft, daysLate, fine
+// dueDate and fine are formatted for the language of the member's linked
+// login account, or the library's default locale.
+const DEFAULT_REMINDER_TEMPLATES = {
+  dueSoon: {
+    subject: "Reminder: \"{{bookTitle}}\" is due {{dueDate}}",
+    text: "Hello {{memberName}},\n\n" +
+      "\"{{bookTitle}}\" (copy {{barcode}}) is due back on {{dueDate}}, in {{daysLeft}} day(s).\n" +
+      "Please return or renew it before then to avoid overdue fines.\n\nThank you,\nThe Library"
+  },
+  overdue: {
+    subject: "Overdue: \"{{bookTitle}}\" was due {{dueDate}}",
+    text: "Hello {{memberName}},\n\n" +
+      "\"{{bookTitle}}\" (copy {{barcode}}) was due back on {{dueDate}} and is now {{daysLate}} day(s) late.\n" +
+      "The fine so far is {{fine}}. Please return it as soon as possible.\n\nThank you,\nThe Library"
+  }
+};
+const REMINDER_TYPES = Object.keys(DEFAULT_REMINDER_TEMPLATES);
+
+async function getReminderTemplates(db) {
+  const stored = await db.collection("Settings").findOne({ _id: "reminderTemplates" });
+  const templates = {};
+  REMINDER_TYPES.forEach(type => {
+    templates[type] = { ...DEFAULT_REMINDER_TEMPLATES[type], ...((stored && stored.templates) || {})[type] };
+  });
+  return templates;
+}
+
+const renderTemplate = (template, vars) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+
+const daysLate = (dueDate, now = new Date()) => Math.max(Math.ceil((now - new Date(dueDate)) / DAY_MS), 0);
+
+// Send any reminders not yet sent. Returns { sent, skipped, failed }.
+async function sendReminders(db) {
+  const Notifications = db.collection("Notifications");
+  const now = new Date();
+  const result = { sent: 0, skipped: 0, failed: 0 };
+
+  // A claim left behind by a crash mid-send is released for retry
+  await Notifications.deleteMany({ status: "sending", createdAt: { $lt: new Date(now.getTime() - DAY_MS / 24) } });
+
+  const logs = await db.collection("BorrowLogs")
+    .find({ returnedOn: null, dueDate: { $lt: new Date(now.getTime() + DUE_SOON_DAYS * DAY_MS) } })
+    .toArray();
+  if (!logs.length) return result;
+
+  const members = await db.collection("Members")
+    .find({ _id: { $in: [...new Set(logs.map(l => l.memberId))].map(id => new ObjectId(id)) } }).toArray();
+  const books = await db.collection("Books")
+    .find({ _id: { $in: [...new Set(logs.map(l => l.bookId))].map(id => new ObjectId(id)) } }, { projection: { title: 1 } }).toArray();
+  const memberById = new Map(members.map(m => [m._id.toString(), m]));
+  const titleById = new Map(books.map(b => [b._id.toString(), b.title]));
+  const linkedUsers = await db.collection("Users")
+    .find({ "memberLink.memberId": { $in: [...memberById.keys()] }, "memberLink.status": "confirmed" }, { projection: { memberLink: 1, locale: 1 } })
+    .toArray();
+  const localeByMember = new Map(linkedUsers.map(u => [u.memberLink.memberId, resolveLocale(u.locale)]));
+  const templates = await getReminderTemplates(db);
+  const policy = await getFinePolicy(db);
+
+  for (const log of logs) {
+    const member = memberById.get(log.memberId);
+    if (!member || !member.email) {
+      result.skipped++;
+      continue;
+    }
+    const type = new Date(log.dueDate) < now ? "overdue" : "dueSoon";
+    const locale = localeByMember.get(log.memberId) || resolveLocale();
+    const vars = {
+      memberName: member.name,
+      bookTitle: titleById.get(log.bookId) || "Unknown title",
+      barcode: log.barcode || "",
+      dueDate: formatDate(log.dueDate, locale),
+      daysLeft: Math.max(Math.ceil((new Date(log.dueDate) - now) / DAY_MS), 0),
+      daysLate: daysLate(log.dueDate, now),
+      fine: formatMoney(calculateOverdueFine(policy, log.dueDate, now, member.role), locale)
+    };
+    const subject = renderTemplate(templates[type].subject, vars);
+
+    // Claim the notice first; the unique index turns a repeat into a skip
+    const notice = {
+      type,
+      logId: log._id.toString(),
+      memberId: log.memberId,
+      bookId: log.bookId,
+      dueDate: new Date(log.dueDate),
+      email: member.email,
+      subject,
+      status: "sending",
+      createdAt: now
+    };
+    try {
+      await Notifications.insertOne(notice);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      await sendMail(SMTP_CONFIG, { to: member.email, subject, text: renderTemplate(templates[type].text, vars) });
+      await Notifications.updateOne({ _id: notice._id }, { $set: { status: "sent", sentAt: new Date() } });
+      result.sent++;
+    } catch (err) {
+      console.error(`Reminder to ${member.email} failed:`, err.message);
+      await Notifications.deleteOne({ _id: notice._id });
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+// Run `task` every day at `hour` (server local time)
+function scheduleDaily(hour, task) {
+  const next = new Date();
+  next.setHours(hour, 0, 0, 0);
+  if (next <= new Date()) next.setDate(next.getDate() + 1);
+  setTimeout(async () => {
+    await task();
+    scheduleDaily(hour, task);
+  }, next - Date.now());
+}
+
+module.exports = {
+  REMINDERS_ENABLED,
+  REMINDER_HOUR,
+  REMINDER_TYPES,
+  getReminderTemplates,
+  daysLate,
+  sendReminders,
+  scheduleDaily
+};
@@ -0,0 +1,72 @@
+// backend/renewals.js
+// Loan renewals: the policy check and the update, shared by the desk
+// (/renew) and members renewing their own loans (/account/renew)
+const { ObjectId } = require("mongodb");
+const { DAY_MS, MAX_RENEWALS, RENEW_OVERDUE_LIMIT_DAYS } = require("./config");
+const { httpError } = require("./respond");
+const { getBorrowingRules, rulesForRole } = require("./rules");
+
+// Why a loan can't be renewed, or null. `renewals` is how often it has been
+// already, `waiting` whether anyone is queued for the title.
+function renewalBlock({ renewals, dueDate, waiting }, now = new Date()) {
+  if (renewals >= MAX_RENEWALS) return `Renewal limit of ${MAX_RENEWALS} reached`;
+  if (now - new Date(dueDate) > RENEW_OVERDUE_LIMIT_DAYS * DAY_MS) {
+    return "Loan is too far overdue to renew; please return the book";
+  }
+  if (waiting) return "Another member has a hold on this book";
+  return null;
+}
+
+// Extend a loan in place: the copy, the member's borrowedBooks entry and
+// the open BorrowLogs record all move to the new due date together. Each
+// renewal adds `days` (or the member's default loan length), capped at
+// their maximum. Throws a 400 when the policy says no, and a 409 when the
+// loan was renewed or returned since it was read, so two renewals sent at
+// once cannot both count against the same limit. Run it in withTransaction.
+async function renewLoan(db, book, copy, days, session) {
+  const Books = db.collection("Books");
+  const BorrowLogs = db.collection("BorrowLogs");
+  const copyId = copy._id.toString();
+  const log = await BorrowLogs.findOne({ copyId, memberId: copy.borrowedBy, returnedOn: null }, { session });
+  const renewals = (log && log.renewals) || 0;
+  const waiting = await db.collection("Holds").countDocuments({ bookId: book._id.toString(), status: "waiting" }, { session });
+
+  const now = new Date();
+  const block = renewalBlock({ renewals, dueDate: copy.dueDate, waiting }, now);
+  if (block) throw httpError(400, block);
+
+  const member = await db.collection("Members").findOne({ _id: new ObjectId(copy.borrowedBy) }, { session });
+  const rules = rulesForRole(await getBorrowingRules(db), member && member.role);
+  const extension = Math.min(parseInt(days) || rules.defaultLoanDays, rules.maxLoanDays);
+  const dueDate = new Date(Math.max(now.getTime(), new Date(copy.dueDate).getTime()) + extension * DAY_MS);
+
+  // The renewal count is claimed first: the log only matches while it still
+  // holds the count the policy was checked against
+  if (log) {
+    const counted = await BorrowLogs.updateOne(
+      { _id: log._id, returnedOn: null, renewals: log.renewals ?? null },
+      { $set: { dueDate, lastRenewedAt: now }, $inc: { renewals: 1 } },
+      { session }
+    );
+    if (counted.modifiedCount === 0) {
+      throw httpError(409, "Loan changed while renewing; please try again");
+    }
+  }
+  const result = await Books.updateOne(
+    { _id: book._id, copies: { $elemMatch: { _id: copy._id, status: "Borrowed", borrowedBy: copy.borrowedBy } } },
+    { $set: { "copies.$.dueDate": dueDate } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(409, "Loan changed while renewing; please try again");
+  }
+  await db.collection("Members").updateOne(
+    { _id: new ObjectId(copy.borrowedBy), "borrowedBooks.copyId": copyId },
+    { $set: { "borrowedBooks.$.dueDate": dueDate } },
+    { session }
+  );
+
+  return { dueDate, renewals: renewals + 1, renewalsLeft: MAX_RENEWALS - renewals - 1 };
+}
+
+module.exports = { renewalBlock, renewLoan };
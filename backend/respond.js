@@ -0,0 +1,39 @@
+// backend/respond.js
+// JSON responses and errors shared by every route module.
+//
+// Every error response has the same shape:
+//
+//   { "ok": false, "msg": "Human-readable summary",
+//     "code": "MACHINE_READABLE_CODE",              (optional)
+//     "errors": [{ "field": "year", "msg": "..." }] (validation failures only) }
+//
+// A request that fails validation gets 400 with code VALIDATION_FAILED and one
+// entry per invalid field; `field` is the dotted path into the body, query or
+// path parameters (e.g. "ratePerDay.student"). A malformed JSON body is 400
+// INVALID_JSON and an oversized one 413 PAYLOAD_TOO_LARGE.
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, extra = {}) {
+  return sendJson(res, status, { ok: false, msg: message, ...extra });
+}
+
+// A validation failure found by the handler itself (e.g. a duplicate email),
+// answered in the same shape as a schema failure
+function sendFieldError(res, field, message) {
+  return sendError(res, 400, message, { code: "VALIDATION_FAILED", errors: [{ field, msg: message }] });
+}
+
+// Errors thrown with a status are answered as { ok: false, msg, ...extra }
+// by the error-handling middleware instead of a 500
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+module.exports = { sendJson, sendError, sendFieldError, httpError };
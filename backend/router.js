@@ -0,0 +1,84 @@
+// backend/router.js
+// Small request router: an ordered stack of middleware and routes.
+// Handlers are async (req, res, next); awaiting next() runs the rest of the
+// chain, so middleware can work both before and after later handlers (the
+// error handler wraps everything after it in a try/catch).
+const url = require("url");
+const { sendError, httpError } = require("./respond");
+
+// Decoded while the chain runs, so a malformed escape ("%E0%A4%A") reaches
+// the error handler as a 400 instead of escaping handle()
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw httpError(400, "Malformed URL", { code: "INVALID_PATH" });
+  }
+}
+
+// "/api/v1/books/:id" -> regex with one capture per :param
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .replace(/[.+*?^$()[\]{}|\\]/g, "\\$&")
+    .replace(/\/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return "/([^/]+)";
+    });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function createRouter() {
+  const stack = [];
+
+  const add = (method, pattern, handlers) => {
+    stack.push({ method, ...(pattern ? compilePath(pattern) : {}), handlers });
+    return router;
+  };
+
+  const router = {
+    // Middleware for every request, in registration order
+    use: (...handlers) => add(null, null, handlers),
+    get: (pattern, ...handlers) => add("GET", pattern, handlers),
+    post: (pattern, ...handlers) => add("POST", pattern, handlers),
+    put: (pattern, ...handlers) => add("PUT", pattern, handlers),
+    patch: (pattern, ...handlers) => add("PATCH", pattern, handlers),
+    delete: (pattern, ...handlers) => add("DELETE", pattern, handlers),
+
+    // Run every matching layer in order. req gains path, query and params.
+    handle(req, res) {
+      const parsed = url.parse(req.url, true);
+      req.path = parsed.pathname;
+      req.query = parsed.query;
+      req.params = {};
+
+      const chain = [];
+      for (const layer of stack) {
+        if (layer.method && layer.method !== req.method) continue;
+        if (layer.regex) {
+          const match = layer.regex.exec(req.path);
+          if (!match) continue;
+          chain.push((req, res, next) => {
+            req.params = Object.fromEntries(layer.keys.map((key, i) => [key, decodeParam(match[i + 1])]));
+            return next();
+          });
+        }
+        chain.push(...layer.handlers);
+      }
+
+      const run = async (i) => {
+        if (i < chain.length) await chain[i](req, res, () => run(i + 1));
+      };
+      // Last resort for anything thrown before the error handler's layer,
+      // so one bad request cannot take the process down
+      return run(0).catch(err => {
+        console.error("Unhandled request error:", err);
+        if (!res.headersSent) sendError(res, 500, "Internal server error");
+        else res.end();
+      });
+    }
+  };
+  return router;
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,143 @@
+// backend/routes/account.js
+// My Account for signed-in members, and librarians confirming which member
+// record a login account belongs to
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, Users, Holds, withTransaction } = require("../db");
+const { LOCALES } = require("../config");
+const { sendError } = require("../respond");
+const { findLoanedCopy } = require("../copies");
+const { ACTIVE_HOLD_STATUSES, placeHold, cancelHold } = require("../holds");
+const { renewLoan } = require("../renewals");
+const { recordAudit } = require("../audit");
+const { publishBook } = require("../events");
+const { linkedMemberId, requestMemberLink, memberAccount } = require("../accounts");
+const { requireAuth, requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const renewSchema = { body: { copyId: { type: "objectId", required: true, label: "Copy ID" } } };
+const placeHoldSchema = { body: { bookId: { type: "objectId", required: true, label: "Book ID" } } };
+const holdId = { params: { id: { type: "objectId", required: true, label: "Hold ID" } } };
+const linkId = { params: { userId: { type: "objectId", required: true, label: "User ID" } } };
+const preferencesSchema = { body: { locale: { enum: LOCALES, required: true, label: "Language" } } };
+
+const accountUser = (user) => ({ id: user._id, name: user.name, email: user.email, role: user.role, locale: user.locale || null });
+
+// Self-service routes act on the member confirmed for the signed-in user
+async function requireLinkedMember(req, res, next) {
+  req.memberId = linkedMemberId(req.user);
+  if (!req.memberId) {
+    return sendError(res, 403, "Your account is not linked to a library membership yet", { code: "ACCOUNT_NOT_LINKED" });
+  }
+  return next();
+}
+
+module.exports = (router) => {
+  // The account summary; without a confirmed link it only carries the
+  // user and the link's state
+  router.get("/account", requireAuth, async (req, res) => {
+    const memberId = linkedMemberId(req.user);
+    const account = memberId ? await memberAccount(db, memberId) : null;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ user: accountUser(req.user), memberLink: req.user.memberLink || null, ...account }));
+  });
+
+  // The signed-in user's interface language
+  router.put("/account/preferences", requireAuth, json(), validateRequest(preferencesSchema), async (req, res) => {
+    await Users.updateOne({ _id: req.user._id }, { $set: { locale: req.body.locale } });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, locale: req.body.locale }));
+  });
+
+  // Ask to be linked to the member with this account's email
+  router.post("/account/link", requireAuth, async (req, res) => {
+    const memberLink = await requestMemberLink(db, req.user);
+    if (!memberLink) {
+      return sendError(res, 404, "No library member has this account's email address; please ask at the desk");
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, memberLink }));
+  });
+
+  router.post("/account/renew", requireAuth, requireLinkedMember, json(), validateRequest(renewSchema), async (req, res) => {
+    const book = await Books.findOne({ "copies._id": new ObjectId(req.body.copyId) });
+    const copy = book && findLoanedCopy(book.copies, { copyId: req.body.copyId });
+    if (!copy || copy.status !== "Borrowed" || copy.borrowedBy !== req.memberId) {
+      return sendError(res, 404, "You don't have this copy on loan");
+    }
+
+    const renewal = await withTransaction(session => renewLoan(db, book, copy, undefined, session));
+    await recordAudit(db, req.user, {
+      action: "renew",
+      entity: "book",
+      entityId: book._id,
+      before: copy,
+      after: { ...copy, dueDate: renewal.dueDate },
+      details: { copyId: req.body.copyId, barcode: copy.barcode, memberId: req.memberId, renewals: renewal.renewals, selfService: true }
+    });
+    await publishBook(db, book._id, "updated");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...renewal }));
+  });
+
+  // Join the queue for a title; the same checks as a hold placed at the desk
+  router.post("/account/holds", requireAuth, requireLinkedMember, json(), validateRequest(placeHoldSchema), async (req, res) => {
+    const book = await Books.findOne({ _id: new ObjectId(req.body.bookId) });
+    if (!book) {
+      return sendError(res, 404, "Book not found");
+    }
+    const placed = await placeHold(db, book, req.memberId);
+    res.writeHead(201, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...placed }));
+  });
+
+  router.delete("/account/holds/:id", requireAuth, requireLinkedMember, validateRequest(holdId), async (req, res) => {
+    const hold = await Holds.findOne({ _id: new ObjectId(req.params.id), memberId: req.memberId });
+    if (!hold || !ACTIVE_HOLD_STATUSES.includes(hold.status)) {
+      return sendError(res, 404, "Active hold not found");
+    }
+    await cancelHold(db, hold);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Hold cancelled" }));
+  });
+
+  // Link requests waiting for a librarian, with the member each would join
+  router.get("/account/links", requirePermission("members:write"), async (req, res) => {
+    const users = await Users.find({ "memberLink.status": "pending" }, { projection: { password: 0 } })
+      .sort({ "memberLink.requestedAt": 1 })
+      .toArray();
+    const members = await Members.find(
+      { _id: { $in: users.map(u => new ObjectId(u.memberLink.memberId)) } },
+      { projection: { name: 1, email: 1, role: 1 } }
+    ).toArray();
+    const memberById = new Map(members.map(m => [m._id.toString(), m]));
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(users.map(u => ({
+      user: accountUser(u),
+      memberLink: u.memberLink,
+      member: memberById.get(u.memberLink.memberId) || null
+    }))));
+  });
+
+  for (const [decision, status] of [["confirm", "confirmed"], ["reject", "rejected"]]) {
+    router.post(`/account/links/:userId/${decision}`, requirePermission("members:write"), validateRequest(linkId), async (req, res) => {
+      const user = await Users.findOne({ _id: new ObjectId(req.params.userId), "memberLink.status": "pending" });
+      if (!user) {
+        return sendError(res, 404, "No pending link request for this user");
+      }
+
+      const memberLink = { ...user.memberLink, status, decidedAt: new Date(), decidedBy: req.user._id.toString() };
+      await Users.updateOne({ _id: user._id }, { $set: { memberLink } });
+      await recordAudit(db, req.user, {
+        action: "link",
+        entity: "member",
+        entityId: memberLink.memberId,
+        before: { account: null },
+        after: { account: status === "confirmed" ? user.email : null },
+        details: { userId: user._id.toString(), email: user.email, decision: status }
+      });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ ok: true, memberLink }));
+    });
+  }
+};
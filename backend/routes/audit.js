@@ -0,0 +1,45 @@
+// backend/routes/audit.js
+// Browsing the audit trail
+const { db } = require("../db");
+const { AUDIT_ACTIONS, AUDIT_ENTITIES, auditFilter } = require("../audit");
+const { requirePermission } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const AUDIT_PAGE_SIZE = 50;
+
+const auditQuery = {
+  query: {
+    entity: { enum: AUDIT_ENTITIES },
+    entityId: { type: "objectId", label: "Record ID" },
+    action: { enum: AUDIT_ACTIONS },
+    user: { maxLength: 200 },
+    from: { type: "date" },
+    to: { type: "date", endOfDay: true },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: 200 }
+  }
+};
+
+// Newest first, paged like the catalog: ?entity, ?entityId, ?action,
+// ?user (id, or part of a name or email) and ?from/?to narrow it down
+async function listAudit(req, res) {
+  const AuditLog = db.collection("AuditLog");
+  const filter = auditFilter(req.query);
+  const page = req.query.page || 1;
+  const limit = req.query.limit || AUDIT_PAGE_SIZE;
+
+  const total = await AuditLog.countDocuments(filter);
+  const entries = await AuditLog.find(filter)
+    .sort({ at: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .toArray();
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ entries, total, page, limit, pages: Math.max(Math.ceil(total / limit), 1) }));
+}
+
+module.exports = (router) => {
+  router.get("/audit", requirePermission("audit:read"), validateRequest(auditQuery), listAudit);
+  router.get("/api/v1/audit", requirePermission("audit:read"), validateRequest(auditQuery), listAudit);
+};
@@ -0,0 +1,115 @@
+// backend/routes/auth.js
+// Sign-up, login and logout
+const { db, Users, Sessions } = require("../db");
+const { SESSION_TTL_MS, LOCALES } = require("../config");
+const { sendError, sendFieldError } = require("../respond");
+const { ROLES, hasPermission, hashPassword, verifyPassword, genToken, hashToken } = require("../auth");
+const { requireAuth, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+const { requestMemberLink } = require("../accounts");
+
+const signupSchema = {
+  body: {
+    name: { required: true, maxLength: 100 },
+    email: { type: "email", required: true, maxLength: 200 },
+    password: { required: true, minLength: 6, maxLength: 200 },
+    role: { enum: ROLES },
+    locale: { enum: LOCALES, label: "Language" }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email: { type: "email", required: true },
+    password: { required: true }
+  }
+};
+
+module.exports = (router) => {
+  router.post("/signup", json(), validateRequest(signupSchema), async (req, res) => {
+    const data = req.body;
+
+    const existing = await Users.findOne({ email: data.email });
+    if (existing) {
+      return sendFieldError(res, "email", "User already exists");
+    }
+
+    // Only admins may assign roles; the very first account bootstraps as admin
+    let role = "member";
+    if (hasPermission(req.user, "users:manage")) {
+      role = data.role || "member";
+    } else if ((await Users.countDocuments()) === 0) {
+      role = "admin";
+    }
+
+    const user = {
+      name: data.name,
+      email: data.email,
+      password: await hashPassword(data.password),
+      role,
+      locale: data.locale || null,
+      createdAt: new Date()
+    };
+    await Users.insertOne(user);
+
+    // A member signing up with the email the library has on file is offered
+    // their record; a librarian confirms the link before it takes effect
+    const memberLink = role === "member" ? await requestMemberLink(db, user) : null;
+    const msg = memberLink
+      ? "User created successfully. Your library membership will be linked once a librarian confirms it."
+      : "User created successfully";
+    res.writeHead(201, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg, memberLink }));
+  });
+
+  router.post("/login", json(), validateRequest(loginSchema), async (req, res) => {
+    const data = req.body;
+
+    const user = await Users.findOne({ email: data.email });
+    const check = user ? await verifyPassword(data.password, user.password) : { ok: false };
+    if (!check.ok) {
+      return sendError(res, 401, "Invalid email or password");
+    }
+
+    const now = new Date();
+    const userUpdate = { $set: { lastLogin: now }, $unset: { token: "" } };
+    if (check.legacy) userUpdate.$set.password = await hashPassword(data.password);
+    await Users.updateOne({ _id: user._id }, userUpdate);
+
+    const token = genToken();
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+    await Sessions.insertOne({
+      tokenHash: hashToken(token),
+      userId: user._id,
+      userAgent: req.headers["user-agent"] || null,
+      createdAt: now,
+      expiresAt
+    });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({
+      ok: true,
+      token,
+      expiresAt,
+      user: {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        id: user._id,
+        locale: user.locale || null,
+        memberLink: user.memberLink ? { memberId: user.memberLink.memberId, status: user.memberLink.status } : null
+      }
+    }));
+  });
+
+  router.post("/logout", requireAuth, async (req, res) => {
+    await Sessions.deleteOne({ _id: req.session._id });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Logged out" }));
+  });
+
+  router.post("/logout-all", requireAuth, async (req, res) => {
+    const result = await Sessions.deleteMany({ userId: req.session.userId });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Logged out everywhere", sessions: result.deletedCount }));
+  });
+};
@@ -0,0 +1,364 @@
+// backend/routes/books.js
+// Catalog: titles, duplicates and merging, MARC import/export.
+// The legacy routes take the id in the body; /api/v1/books/:id in the path.
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, BorrowLogs, Holds, Fines, withTransaction } = require("../db");
+const { IMPORT_BODY_LIMIT } = require("../config");
+const { sendError, sendFieldError, httpError } = require("../respond");
+const { normalizeIsbn } = require("../isbn");
+const { parseIso2709, toIso2709, parseMarcXml, toMarcXml, recordToBook, bookToRecord } = require("../marc");
+const { CIRCULATION_STATUSES, syncBookStatus } = require("../copies");
+const { BOOK_FIELDS, NEW_BOOK_FIELDS, buildBook, isbnKey } = require("../records");
+const { findFuzzyDuplicates } = require("../duplicates");
+const { CATALOG_SORTS, CATALOG_PAGE_SIZE, CATALOG_MAX_PAGE_SIZE, catalogFilter, textSearch, substringSearch, attachHoldCounts } = require("../catalog");
+const { ACTIVE_HOLD_STATUSES, renumberQueue } = require("../holds");
+const { runImport } = require("../importing");
+const { removeUnusedUpload } = require("../uploads");
+const { recordAudit } = require("../audit");
+const { moveToTrash } = require("../trash");
+const { publishBook } = require("../events");
+const { idempotent } = require("../idempotency");
+const { requirePermission, raw, text, json, idFromBody, idFromText } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const bookId = { params: { id: { type: "objectId", required: true, label: "Book ID" } } };
+
+const catalogQuery = {
+  query: {
+    q: { maxLength: 200 },
+    status: { enum: ["Available", "Borrowed", "Unavailable"] },
+    genre: { maxLength: 500 },
+    yearFrom: { type: "integer" },
+    yearTo: { type: "integer" },
+    sort: { enum: [...Object.keys(CATALOG_SORTS), "relevance"] },
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1 }
+  }
+};
+
+const createBookSchema = { body: NEW_BOOK_FIELDS };
+
+// Updates only touch the fields that were sent; an empty year or ISBN clears it
+const bookUpdate = {
+  ...bookId,
+  body: {
+    ...BOOK_FIELDS,
+    title: { ...BOOK_FIELDS.title, required: false, minLength: 1 },
+    author: { ...BOOK_FIELDS.author, required: false, minLength: 1 },
+    year: { ...BOOK_FIELDS.year, clearable: true },
+    isbn: { ...BOOK_FIELDS.isbn, clearable: true }
+  }
+};
+
+const mergeSchema = {
+  body: {
+    targetId: { type: "objectId", required: true, label: "Target book ID" },
+    sourceId: { type: "objectId", required: true, label: "Source book ID" }
+  }
+};
+
+const marcQuery = {
+  query: {
+    format: { enum: ["marc", "marcxml"] },
+    dryRun: { type: "boolean" },
+    skipInvalid: { type: "boolean" }
+  }
+};
+
+async function listBooks(req, res) {
+  const query = req.query;
+
+  // Without paging parameters the whole catalog is returned as a plain array
+  if (!query.page && !query.limit && !query.q && !query.status && !query.genre &&
+      !query.yearFrom && !query.yearTo && !query.sort) {
+    const books = await Books.find({}, { projection: { marc: 0 } }).sort({ createdAt: -1 }).toArray();
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(await attachHoldCounts(books)));
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || CATALOG_PAGE_SIZE, 1), CATALOG_MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const q = (query.q || "").trim();
+  const base = catalogFilter(query);
+
+  let filter = q ? { ...base, ...textSearch(q) } : base;
+  let total = await Books.countDocuments(filter);
+  let relevance = !!q;
+  if (q && total === 0) {
+    filter = { $and: [base, substringSearch(q)] };
+    total = await Books.countDocuments(filter);
+    relevance = false;
+  }
+
+  let sort = CATALOG_SORTS[query.sort] || CATALOG_SORTS.newest;
+  // The raw MARC record stays out of catalog listings
+  let projection = { marc: 0 };
+  if (relevance && (!query.sort || query.sort === "relevance")) {
+    projection = { marc: 0, score: { $meta: "textScore" } };
+    sort = { score: { $meta: "textScore" } };
+  }
+
+  const books = await Books.find(filter, { projection })
+    .sort({ ...sort, _id: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .toArray();
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({
+    books: await attachHoldCounts(books),
+    total,
+    page,
+    limit,
+    pages: Math.max(Math.ceil(total / limit), 1)
+  }));
+}
+
+// A single title with its copies and hold queue length
+async function getBook(req, res) {
+  const book = await Books.findOne({ _id: new ObjectId(req.params.id) }, { projection: { marc: 0 } });
+  if (!book) {
+    return sendError(res, 404, "Book not found");
+  }
+  await attachHoldCounts([book]);
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(book));
+}
+
+// Idempotent, so an add queued offline and replayed twice adds one book
+async function createBook(req, res) {
+  const data = req.body;
+
+  return idempotent(req, res, async () => {
+    const { book, error } = buildBook(data);
+    if (error) {
+      throw httpError(400, error);
+    }
+
+    const warnings = [];
+    if (book.isbn && await Books.findOne({ isbn: book.isbn })) {
+      warnings.push(`Another title already has ISBN ${book.isbn}; consider adding copies to it instead`);
+    }
+
+    const result = await Books.insertOne(book);
+    await recordAudit(db, req.user, { action: "create", entity: "book", entityId: result.insertedId, after: book });
+    await publishBook(db, result.insertedId, "created");
+    return { ok: true, id: result.insertedId, warnings };
+  }, 201);
+}
+
+async function updateBook(req, res) {
+  const data = req.body;
+  const _id = new ObjectId(req.params.id);
+  const update = { ...data, updatedAt: new Date() };
+  // The edit form sends an empty cover when no new image was chosen
+  if (!update.cover) delete update.cover;
+
+  const previous = await Books.findOneAndUpdate({ _id }, { $set: update }, { projection: { marc: 0 } });
+
+  if (!previous) {
+    return sendError(res, 404, "Book not found");
+  }
+  await recordAudit(db, req.user, { action: "update", entity: "book", entityId: _id, before: previous, after: { ...previous, ...update } });
+  await publishBook(db, _id, "updated");
+
+  // A replaced cover is deleted unless another book shares the file
+  if (update.cover && previous.cover !== update.cover) await removeUnusedUpload(db, previous.cover);
+
+  const warnings = [];
+  if (data.isbn && await Books.findOne({ isbn: data.isbn, _id: { $ne: _id } })) {
+    warnings.push(`Another title already has ISBN ${data.isbn}; consider merging them`);
+  }
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, msg: "Book updated successfully", warnings }));
+}
+
+async function deleteBook(req, res) {
+  const _id = new ObjectId(req.params.id);
+  const book = await Books.findOne({ _id });
+
+  if (!book) {
+    return sendError(res, 404, "Book not found");
+  }
+
+  if ((book.copies || []).some(c => CIRCULATION_STATUSES.includes(c.status))) {
+    return sendError(res, 400, "Cannot delete a book while copies are on loan or on hold");
+  }
+
+  // The book goes to the recycle bin, cover and all, until purged
+  await withTransaction(session => moveToTrash(db, req.user, "book", book, session));
+  await publishBook(db, _id, "deleted");
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, msg: "Book moved to the trash" }));
+}
+
+module.exports = (router) => {
+  router.get("/books", validateRequest(catalogQuery), listBooks);
+  router.get("/api/v1/books", validateRequest(catalogQuery), listBooks);
+  router.get("/api/v1/books/:id", validateRequest(bookId), getBook);
+
+  // Distinct genres with title counts, for the catalog filter chips
+  router.get("/books/genres", async (req, res) => {
+    const genres = await Books.aggregate([
+      { $group: { _id: "$genre", count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(genres.filter(g => g._id).map(g => ({ genre: g._id, count: g.count }))));
+  });
+
+  router.post("/books", requirePermission("books:write"), json(), validateRequest(createBookSchema), createBook);
+  router.post("/api/v1/books", requirePermission("books:write"), json(), validateRequest(createBookSchema), createBook);
+
+  router.put("/books", requirePermission("books:write"), json(), idFromBody, validateRequest(bookUpdate), updateBook);
+  router.put("/api/v1/books/:id", requirePermission("books:write"), json(), validateRequest(bookUpdate), updateBook);
+
+  router.get("/books/duplicates", requirePermission("books:write"), async (req, res) => {
+    const books = await Books.find({}, { projection: { title: 1, author: 1, isbn: 1, year: 1, cover: 1, totalCopies: 1 } }).toArray();
+
+    const byIsbn = new Map();
+    books.forEach(b => {
+      if (!b.isbn) return;
+      if (!byIsbn.has(b.isbn)) byIsbn.set(b.isbn, []);
+      byIsbn.get(b.isbn).push(b);
+    });
+    const isbnGroups = [...byIsbn.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([isbn, group]) => ({ isbn, books: group }));
+
+    // Pairs already reported by ISBN aren't repeated as fuzzy matches
+    const sameIsbn = (pair) => pair.books[0].isbn && pair.books[0].isbn === pair.books[1].isbn;
+    const fuzzy = findFuzzyDuplicates(books).filter(pair => !sameIsbn(pair));
+    const invalidIsbn = books.filter(b => b.isbn && normalizeIsbn(b.isbn).isbn13 !== b.isbn);
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ byIsbn: isbnGroups, byTitleAuthor: fuzzy, invalidIsbn }));
+  });
+
+  // Fold sourceId into targetId: copies, borrow history, holds, fines and
+  // loans move to the target, which keeps its own fields and fills any gaps
+  // (including the cover) from the source; the source then goes to the trash
+  router.post("/books/merge", requirePermission("books:write"), json(), validateRequest(mergeSchema), async (req, res) => {
+    const data = req.body;
+
+    if (data.targetId === data.sourceId) {
+      return sendFieldError(res, "sourceId", "Two different book IDs are required");
+    }
+
+    const target = await Books.findOne({ _id: new ObjectId(data.targetId) });
+    const source = await Books.findOne({ _id: new ObjectId(data.sourceId) });
+    if (!target || !source) {
+      return sendError(res, 404, "Book not found");
+    }
+
+    const targetId = target._id.toString();
+    const sourceId = source._id.toString();
+    const isDefaultCover = (cover) => !cover || cover.includes("default");
+    const fill = {};
+    if ((!target.genre || target.genre === "Unknown") && source.genre) fill.genre = source.genre;
+    if (!target.year && source.year) fill.year = source.year;
+    if (!target.isbn && source.isbn) fill.isbn = source.isbn;
+    if (isDefaultCover(target.cover) && !isDefaultCover(source.cover)) fill.cover = source.cover;
+
+    await Books.updateOne(
+      { _id: target._id },
+      {
+        $push: { copies: { $each: source.copies || [] } },
+        $inc: { borrowCount: source.borrowCount || 0 },
+        $set: { ...fill, updatedAt: new Date() }
+      }
+    );
+    await BorrowLogs.updateMany({ bookId: sourceId }, { $set: { bookId: targetId } });
+    await Fines.updateMany({ bookId: sourceId }, { $set: { bookId: targetId } });
+    await Members.updateMany(
+      { "borrowedBooks.bookId": sourceId },
+      { $set: { "borrowedBooks.$[e].bookId": targetId } },
+      { arrayFilters: [{ "e.bookId": sourceId }] }
+    );
+
+    // Combine the hold queues in the order holds were placed; a member
+    // queued for both keeps only their earlier hold
+    const activeHolds = await Holds.find({
+      bookId: { $in: [targetId, sourceId] },
+      status: { $in: ACTIVE_HOLD_STATUSES }
+    }).sort({ createdAt: 1 }).toArray();
+    const seenMembers = new Set();
+    for (const hold of activeHolds) {
+      if (seenMembers.has(hold.memberId) && hold.status === "waiting") {
+        await Holds.updateOne({ _id: hold._id }, { $set: { status: "cancelled", closedAt: new Date() } });
+      }
+      seenMembers.add(hold.memberId);
+    }
+    await Holds.updateMany({ bookId: sourceId }, { $set: { bookId: targetId } });
+    const queue = await Holds.find({ bookId: targetId, status: "waiting" }).sort({ createdAt: 1 }).toArray();
+    await renumberQueue(Holds, queue);
+
+    // The emptied source is kept in the recycle bin for reference
+    await withTransaction(session => moveToTrash(db, req.user, "book", { ...source, copies: [] }, session));
+    await syncBookStatus(Books, target._id);
+    await recordAudit(db, req.user, {
+      action: "merge",
+      entity: "book",
+      entityId: target._id,
+      before: target,
+      after: { ...target, ...fill },
+      details: { sourceId, sourceTitle: source.title, copiesMoved: (source.copies || []).length }
+    });
+    await publishBook(db, source._id, "deleted");
+    await publishBook(db, target._id, "updated");
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, id: targetId, copiesMoved: (source.copies || []).length }));
+  });
+
+  router.delete("/books", requirePermission("books:write"), text(), idFromText, validateRequest(bookId), deleteBook);
+  router.delete("/api/v1/books/:id", requirePermission("books:write"), validateRequest(bookId), deleteBook);
+
+  // MARC21 exchange: ?format=marcxml for MARCXML, otherwise ISO 2709 (.mrc).
+  // Imports accept ?dryRun and ?skipInvalid like /import/books and keep each
+  // source record on the book as `marc`, so fields we don't model survive
+  // a later export.
+  router.post("/books/marc", requirePermission("books:write"), raw({ limit: IMPORT_BODY_LIMIT }), validateRequest(marcQuery), async (req, res) => {
+    let rows;
+    try {
+      const buffer = req.body;
+      const isXml = req.query.format === "marcxml" || /xml/.test(req.headers["content-type"] || "") ||
+        buffer.toString("utf8", 0, 64).trimStart().startsWith("<");
+      rows = (isXml ? parseMarcXml(buffer.toString("utf8")) : parseIso2709(buffer)).map(recordToBook);
+    } catch (err) {
+      return sendError(res, 400, "Could not parse MARC data: " + err.message);
+    }
+    if (!rows.length) {
+      return sendError(res, 400, "No MARC records found");
+    }
+
+    const keys = rows.map(row => isbnKey(row.isbn)).filter(Boolean);
+    const stored = await Books.find({ isbn: { $in: keys } }, { projection: { isbn: 1 } }).toArray();
+    const existingKeys = new Set(stored.map(b => b.isbn));
+    const buildFromMarc = (data, row) => {
+      const built = buildBook(data);
+      if (built.book) built.book.marc = row.marc;
+      return built;
+    };
+    return runImport(req, res, Books, rows, NEW_BOOK_FIELDS, buildFromMarc, (book) => isbnKey(book.isbn), existingKeys, "ISBN");
+  });
+
+  router.get("/books/marc", requirePermission("books:write"), validateRequest(marcQuery), async (req, res) => {
+    const books = await Books.find().sort({ title: 1 }).toArray();
+    const records = books.map(bookToRecord);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (req.query.format === "marcxml") {
+      res.writeHead(200, {
+        "Content-Type": "application/marcxml+xml; charset=utf-8",
+        "Content-Disposition": `attachment; filename="books-${stamp}.xml"`
+      });
+      return res.end(toMarcXml(records));
+    }
+    res.writeHead(200, {
+      "Content-Type": "application/marc",
+      "Content-Disposition": `attachment; filename="books-${stamp}.mrc"`
+    });
+    return res.end(toIso2709(records));
+  });
+};
@@ -0,0 +1,69 @@
+// backend/routes/bulk.js
+// Bulk import and export of books and members as CSV or JSON
+const { Books, Members } = require("../db");
+const { IMPORT_BODY_LIMIT } = require("../config");
+const { sendError } = require("../respond");
+const {
+  NEW_BOOK_FIELDS,
+  MEMBER_FIELDS,
+  buildBook,
+  buildMember,
+  isbnKey,
+  emailKey,
+  BOOK_EXPORT_COLUMNS,
+  MEMBER_EXPORT_COLUMNS,
+  bookExportRow,
+  memberExportRow
+} = require("../records");
+const { parseImportRows, runImport, sendExport } = require("../importing");
+const { requirePermission, text } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const importQuery = {
+  query: {
+    format: { enum: ["csv", "json"] },
+    dryRun: { type: "boolean" },
+    skipInvalid: { type: "boolean" }
+  }
+};
+
+const exportQuery = { query: { format: { enum: ["csv", "json"] } } };
+
+module.exports = (router) => {
+  router.post("/import/books", requirePermission("books:write"), text({ limit: IMPORT_BODY_LIMIT }), validateRequest(importQuery), async (req, res) => {
+    let rows;
+    try {
+      rows = parseImportRows(req);
+    } catch (err) {
+      return sendError(res, 400, "Could not parse import data: " + err.message);
+    }
+
+    const keys = rows.map(row => isbnKey(row && row.isbn)).filter(Boolean);
+    const stored = await Books.find({ isbn: { $in: keys } }, { projection: { isbn: 1 } }).toArray();
+    const existingKeys = new Set(stored.map(b => b.isbn));
+    return runImport(req, res, Books, rows, NEW_BOOK_FIELDS, buildBook, (book) => isbnKey(book.isbn), existingKeys, "ISBN");
+  });
+
+  router.post("/import/members", requirePermission("members:write"), text({ limit: IMPORT_BODY_LIMIT }), validateRequest(importQuery), async (req, res) => {
+    let rows;
+    try {
+      rows = parseImportRows(req);
+    } catch (err) {
+      return sendError(res, 400, "Could not parse import data: " + err.message);
+    }
+
+    const stored = await Members.find({}, { projection: { email: 1 } }).toArray();
+    const existingKeys = new Set(stored.map(m => emailKey(m.email)).filter(Boolean));
+    return runImport(req, res, Members, rows, MEMBER_FIELDS, buildMember, (member) => emailKey(member.email), existingKeys, "email");
+  });
+
+  router.get("/export/books", requirePermission("books:write"), validateRequest(exportQuery), async (req, res) => {
+    const books = await Books.find().sort({ title: 1 }).toArray();
+    return sendExport(req, res, "books", books.map(bookExportRow), BOOK_EXPORT_COLUMNS);
+  });
+
+  router.get("/export/members", requirePermission("members:read"), validateRequest(exportQuery), async (req, res) => {
+    const members = await Members.find().sort({ name: 1 }).toArray();
+    return sendExport(req, res, "members", members.map(memberExportRow), MEMBER_EXPORT_COLUMNS);
+  });
+};
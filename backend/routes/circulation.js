@@ -0,0 +1,404 @@
+// backend/routes/circulation.js
+// Borrowing rules and eligibility, borrow, return, lost and renew
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, BorrowLogs, Holds, Fines, withTransaction } = require("../db");
+const { DAY_MS, CURRENCY } = require("../config");
+const { sendError, httpError } = require("../respond");
+const { copyInState, findLoanedCopy, findCirculationBook, syncBookStatus } = require("../copies");
+const { getFinePolicy, calculateOverdueFine, roundMoney, fineBalance } = require("../fines");
+const { BORROWING_RULE_KEYS, getBorrowingRules, rulesForRole, checkBorrowingEligibility } = require("../rules");
+const { ACTIVE_HOLD_STATUSES, offerCopyToQueue, releaseHeldCopy } = require("../holds");
+const { recordAudit } = require("../audit");
+const { publishBook, publishMember } = require("../events");
+const { renewLoan } = require("../renewals");
+const { idempotent } = require("../idempotency");
+const { memberAccount } = require("../accounts");
+const { requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+// Borrow, return, lost and renew find the copy by barcode, or by title (and
+// optionally copy or borrowing member)
+const loanRef = {
+  bookId: { type: "objectId", requiredWithout: "barcode", label: "Book ID" },
+  barcode: { maxLength: 64 },
+  copyId: { type: "objectId", label: "Copy ID" },
+  memberId: { type: "objectId", label: "Member ID" }
+};
+const loanDays = { type: "integer", min: 1, label: "Loan length" };
+
+const borrowSchema = {
+  body: { ...loanRef, memberId: { ...loanRef.memberId, required: true }, days: loanDays }
+};
+const renewSchema = { body: { ...loanRef, days: loanDays } };
+
+const eligibilityQuery = { query: { memberId: { type: "objectId", required: true, label: "Member ID" } } };
+const memberId = { params: { id: { type: "objectId", required: true, label: "Member ID" } } };
+
+const borrowingRulesSchema = {
+  body: {
+    type: "object",
+    label: "Borrowing rules",
+    values: {
+      type: "object",
+      fields: Object.fromEntries(BORROWING_RULE_KEYS.map(key => [
+        key,
+        { type: key === "maxOutstandingFines" ? "number" : "integer", min: 0 }
+      ]))
+    }
+  }
+};
+
+// Loans are audited against their title: the copy before and after, plus
+// who it was lent to
+const loanAudit = (action, book, copy, changes, details) => ({
+  action,
+  entity: "book",
+  entityId: book._id,
+  before: copy,
+  after: { ...copy, ...changes },
+  details: { copyId: copy._id.toString(), barcode: copy.barcode, ...details }
+});
+
+// A member's standing against their role's borrowing rules
+async function borrowingStatus(member) {
+  const rules = rulesForRole(await getBorrowingRules(db), member.role);
+  const now = new Date();
+  const current = member.borrowedBooks || [];
+  const fines = await Fines.find({ memberId: member._id.toString(), status: "outstanding" }).toArray();
+  const standing = {
+    loans: current.length,
+    overdue: current.filter(l => new Date(l.dueDate) < now).length,
+    balance: roundMoney(fines.reduce((sum, f) => sum + fineBalance(f), 0)),
+    currency: CURRENCY
+  };
+  return { rules, ...standing, block: checkBorrowingEligibility(rules, standing) };
+}
+
+module.exports = (router) => {
+  router.get("/members/eligibility", requirePermission("circulation"), validateRequest(eligibilityQuery), async (req, res) => {
+    const member = await Members.findOne({ _id: new ObjectId(req.query.memberId) });
+    if (!member) {
+      return sendError(res, 404, "Member not found");
+    }
+
+    const status = await borrowingStatus(member);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, eligible: !status.block, ...status }));
+  });
+
+  // Everything the circulation desk shows for a member: their loans, holds
+  // and fines, and whether they may borrow right now
+  router.get("/circulation/members/:id", requirePermission("circulation"), validateRequest(memberId), async (req, res) => {
+    const member = await Members.findOne({ _id: new ObjectId(req.params.id) });
+    if (!member) {
+      return sendError(res, 404, "Member not found");
+    }
+
+    const { history, ...account } = await memberAccount(db, req.params.id);
+    const status = await borrowingStatus(member);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...account, eligible: !status.block, standing: status }));
+  });
+
+  router.get("/borrowing-rules", requirePermission("circulation"), async (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(await getBorrowingRules(db)));
+  });
+
+  router.put("/borrowing-rules", requirePermission("settings:manage"), json(), validateRequest(borrowingRulesSchema), async (req, res) => {
+    const rules = req.body;
+
+    await db.collection("Settings").updateOne(
+      { _id: "borrowingRules" },
+      { $set: { rules, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, rules: await getBorrowingRules(db) }));
+  });
+
+  router.post("/borrow", requirePermission("circulation"), json(), validateRequest(borrowSchema), async (req, res) => {
+    const data = req.body;
+
+    return idempotent(req, res, async () => {
+      const mId = new ObjectId(data.memberId);
+
+      // A specific copy can be chosen by barcode or copyId; for a title (its
+      // id or a scanned ISBN) a copy on hold for this member, or else the
+      // first available one, is lent out
+      const { book, ref } = await findCirculationBook(Books, data);
+      const member = await Members.findOne({ _id: mId });
+
+      if (!book || !member) {
+        throw httpError(404, "Book or member not found");
+      }
+
+      const standing = await borrowingStatus(member);
+      if (standing.block) {
+        throw httpError(400, standing.block.msg, { code: standing.block.code });
+      }
+
+      const days = parseInt(data.days) || standing.rules.defaultLoanDays;
+      if (days < 1 || days > standing.rules.maxLoanDays) {
+        throw httpError(400, `Loan length must be between 1 and ${standing.rules.maxLoanDays} days`, { code: "LOAN_TOO_LONG" });
+      }
+
+      const copies = book.copies || [];
+      let copy;
+      if (ref.barcode) copy = copies.find(c => c.barcode === ref.barcode);
+      else if (ref.copyId) copy = copies.find(c => c._id.toString() === ref.copyId);
+      else {
+        copy = copies.find(c => c.status === "On Hold" && c.holdFor === mId.toString()) ||
+          copies.find(c => c.status === "Available");
+      }
+
+      if (!copy) {
+        throw data.copyId
+          ? httpError(404, "Copy not found")
+          : httpError(400, "No copies of this book are available");
+      }
+
+      const heldForMember = copy.status === "On Hold" && copy.holdFor === mId.toString();
+      if (copy.status !== "Available" && !heldForMember) {
+        const reason = {
+          "Borrowed": "already borrowed",
+          "On Hold": "on hold for another member"
+        }[copy.status] || copy.status.toLowerCase();
+        throw httpError(400, `This copy is ${reason}`);
+      }
+
+      const borrowedOn = new Date();
+      const dueDate = new Date(borrowedOn.getTime() + days * DAY_MS);
+      const copyId = copy._id.toString();
+      const loan = { bookId: book._id.toString(), copyId, barcode: copy.barcode, borrowedOn, dueDate };
+
+      await withTransaction(async (session) => {
+        // Conditional on the copy still being in the state we checked
+        const claimed = await Books.updateOne(
+          copyInState(book._id, copy),
+          {
+            $set: {
+              "copies.$.status": "Borrowed",
+              "copies.$.borrowedBy": mId.toString(),
+              "copies.$.dueDate": dueDate,
+              "copies.$.holdFor": null
+            },
+            $inc: { borrowCount: 1 }
+          },
+          { session }
+        );
+        if (claimed.modifiedCount === 0) {
+          throw httpError(409, "This copy was just borrowed by someone else");
+        }
+
+        // Conditional on the member still being under their loan limit, so
+        // two desks can't both lend the last allowed item
+        const pushed = await Members.updateOne(
+          { _id: mId, [`borrowedBooks.${standing.rules.maxLoans - 1}`]: { $exists: false } },
+          { $push: { borrowedBooks: loan } },
+          { session }
+        );
+        if (pushed.modifiedCount === 0) {
+          // Without a transaction the copy claim has to be undone by hand
+          if (!session) {
+            await Books.updateOne(
+              { _id: book._id, "copies._id": copy._id },
+              {
+                $set: {
+                  "copies.$.status": copy.status,
+                  "copies.$.borrowedBy": null,
+                  "copies.$.dueDate": null,
+                  "copies.$.holdFor": copy.holdFor || null
+                },
+                $inc: { borrowCount: -1 }
+              }
+            );
+          }
+          throw httpError(400, `Member already has the maximum of ${standing.rules.maxLoans} loans`, { code: "MAX_LOANS_REACHED" });
+        }
+
+        await BorrowLogs.insertOne({ ...loan, memberId: mId.toString(), returnedOn: null, fine: 0 }, { session });
+        await syncBookStatus(Books, book._id, session);
+        await recordAudit(db, req.user, loanAudit("borrow", book, copy,
+          { status: "Borrowed", borrowedBy: mId.toString(), dueDate, holdFor: null },
+          { memberId: mId.toString() }), session);
+
+        // Borrowing the title fulfils the member's hold on it; a copy that was
+        // set aside for them but not the one taken goes back to the queue
+        const hold = await Holds.findOneAndUpdate(
+          { bookId: book._id.toString(), memberId: mId.toString(), status: { $in: ACTIVE_HOLD_STATUSES } },
+          { $set: { status: "fulfilled", closedAt: borrowedOn } },
+          { session }
+        );
+        if (hold && hold.status === "ready" && hold.copyId !== copyId) await releaseHeldCopy(db, hold, session);
+      });
+      await publishBook(db, book._id, "updated");
+      await publishMember(db, mId, "updated");
+
+      return { ok: true, dueDate, barcode: copy.barcode, title: book.title };
+    });
+  });
+
+  router.post("/return", requirePermission("circulation"), json(), validateRequest({ body: loanRef }), async (req, res) => {
+    const data = req.body;
+
+    return idempotent(req, res, async () => {
+      const { book, ref } = await findCirculationBook(Books, data);
+      if (!book) {
+        throw httpError(404, "Book not found");
+      }
+
+      const copy = findLoanedCopy(book.copies, ref);
+      if (!copy || copy.status !== "Borrowed") {
+        throw httpError(400, "Book is not currently borrowed");
+      }
+
+      const bId = book._id;
+      const mId = new ObjectId(copy.borrowedBy);
+      const copyId = copy._id.toString();
+      const now = new Date();
+      const member = await Members.findOne({ _id: mId });
+      const fine = calculateOverdueFine(await getFinePolicy(db), copy.dueDate, now, member && member.role);
+
+      const hold = await withTransaction(async (session) => {
+        // The copy goes to the next hold in line, or back on the shelf; this
+        // is conditional on it still being lent to the same member
+        const hold = await offerCopyToQueue(db, bId, copy, session);
+        await Members.updateOne(
+          { _id: mId },
+          { $pull: { borrowedBooks: { copyId } } },
+          { session }
+        );
+        const log = await BorrowLogs.findOneAndUpdate(
+          { copyId, memberId: mId.toString(), returnedOn: null },
+          { $set: { returnedOn: now, fine } },
+          { session }
+        );
+        if (fine > 0) {
+          await Fines.insertOne({
+            memberId: mId.toString(),
+            bookId: bId.toString(),
+            copyId,
+            borrowLogId: log ? log._id.toString() : null,
+            type: "overdue",
+            amount: fine,
+            paid: 0,
+            waived: 0,
+            status: "outstanding",
+            payments: [],
+            createdAt: now
+          }, { session });
+        }
+        await recordAudit(db, req.user, loanAudit("return", book, copy,
+          { status: hold ? "On Hold" : "Available", borrowedBy: null, dueDate: null, holdFor: hold ? hold.memberId : null },
+          { memberId: mId.toString(), fine }), session);
+        return hold;
+      });
+      await publishBook(db, bId, "updated");
+      await publishMember(db, mId, "updated");
+
+      let holdInfo = null;
+      if (hold) {
+        const holder = await Members.findOne({ _id: new ObjectId(hold.memberId) });
+        holdInfo = { memberId: hold.memberId, memberName: holder ? holder.name : null, pickupBy: hold.pickupBy };
+      }
+
+      return {
+        ok: true,
+        fine,
+        currency: CURRENCY,
+        barcode: copy.barcode,
+        title: book.title,
+        memberId: mId.toString(),
+        memberName: member ? member.name : null,
+        hold: holdInfo
+      };
+    });
+  });
+
+  // A borrowed copy reported lost: the loan is closed, the copy marked Lost,
+  // and the member is charged the replacement cost plus any overdue fine
+  router.post("/lost", requirePermission("circulation"), json(), validateRequest({ body: loanRef }), async (req, res) => {
+    const data = req.body;
+
+    return idempotent(req, res, async () => {
+      const { book, ref } = await findCirculationBook(Books, data);
+      if (!book) {
+        throw httpError(404, "Book not found");
+      }
+
+      const copy = findLoanedCopy(book.copies, ref);
+      if (!copy || copy.status !== "Borrowed") {
+        throw httpError(400, "Book is not currently borrowed");
+      }
+
+      const copyId = copy._id.toString();
+      const memberId = copy.borrowedBy;
+      const now = new Date();
+      const member = await Members.findOne({ _id: new ObjectId(memberId) });
+      const policy = await getFinePolicy(db);
+      const overdue = calculateOverdueFine(policy, copy.dueDate, now, member && member.role);
+      const fine = policy.replacementCharge + overdue;
+
+      await withTransaction(async (session) => {
+        // Conditional on the copy still being lent to the same member, so a
+        // repeated report can't close the loan or charge for it twice
+        const marked = await Books.updateOne(
+          copyInState(book._id, copy),
+          { $set: { "copies.$.status": "Lost", "copies.$.borrowedBy": null, "copies.$.dueDate": null } },
+          { session }
+        );
+        if (marked.modifiedCount === 0) {
+          throw httpError(409, "This copy is no longer on loan");
+        }
+        await syncBookStatus(Books, book._id, session);
+        await Members.updateOne({ _id: new ObjectId(memberId) }, { $pull: { borrowedBooks: { copyId } } }, { session });
+        const log = await BorrowLogs.findOneAndUpdate(
+          { copyId, memberId, returnedOn: null },
+          { $set: { returnedOn: now, lost: true, fine } },
+          { session }
+        );
+        await Fines.insertOne({
+          memberId,
+          bookId: book._id.toString(),
+          copyId,
+          borrowLogId: log ? log._id.toString() : null,
+          type: "lost",
+          amount: fine,
+          paid: 0,
+          waived: 0,
+          status: "outstanding",
+          payments: [],
+          createdAt: now
+        }, { session });
+        await recordAudit(db, req.user, loanAudit("lost", book, copy, { status: "Lost", borrowedBy: null, dueDate: null }, { memberId, fine }), session);
+      });
+      await publishBook(db, book._id, "updated");
+      await publishMember(db, memberId, "updated");
+
+      return { ok: true, fine, currency: CURRENCY };
+    });
+  });
+
+  // Extend a loan; see renewLoan for the policy
+  router.post("/renew", requirePermission("circulation"), json(), validateRequest(renewSchema), async (req, res) => {
+    const data = req.body;
+
+    const { book, ref } = await findCirculationBook(Books, data);
+    if (!book) {
+      return sendError(res, 404, "Book not found");
+    }
+
+    const copy = findLoanedCopy(book.copies, ref);
+    if (!copy || copy.status !== "Borrowed") {
+      return sendError(res, 400, "Book is not currently borrowed");
+    }
+
+    const renewal = await withTransaction(session => renewLoan(db, book, copy, data.days, session));
+    await recordAudit(db, req.user, loanAudit("renew", book, copy, { dueDate: renewal.dueDate }, { memberId: copy.borrowedBy, renewals: renewal.renewals }));
+    await publishBook(db, book._id, "updated");
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...renewal, barcode: copy.barcode, title: book.title }));
+  });
+};
@@ -0,0 +1,121 @@
+// backend/routes/copies.js
+// Adding, updating and removing the physical copies of a title
+const { ObjectId } = require("mongodb");
+const { db, Books } = require("../db");
+const { sendError, sendFieldError } = require("../respond");
+const { COPY_STATUSES, CIRCULATION_STATUSES, newCopy, syncBookStatus } = require("../copies");
+const { offerCopyToQueue } = require("../holds");
+const { recordAudit } = require("../audit");
+const { publishBook } = require("../events");
+const { requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+// Copy changes are audited as updates of their title, with the copy's own
+// fields as the before/after
+const copyAudit = (copy, change) => ({ change, copyId: copy._id.toString(), barcode: copy.barcode });
+
+const copyRef = {
+  bookId: { type: "objectId", required: true, label: "Book ID" },
+  copyId: { type: "objectId", required: true, label: "Copy ID" }
+};
+
+const addCopySchema = {
+  body: {
+    bookId: copyRef.bookId,
+    barcode: { maxLength: 64 },
+    location: { maxLength: 100 },
+    condition: { maxLength: 50 }
+  }
+};
+
+const updateCopySchema = {
+  body: {
+    ...copyRef,
+    location: { maxLength: 100 },
+    condition: { maxLength: 50 },
+    status: { enum: COPY_STATUSES }
+  }
+};
+
+module.exports = (router) => {
+  router.post("/books/copies", requirePermission("books:write"), json(), validateRequest(addCopySchema), async (req, res) => {
+    const data = req.body;
+
+    if (data.barcode && await Books.findOne({ "copies.barcode": data.barcode })) {
+      return sendFieldError(res, "barcode", "A copy with this barcode already exists");
+    }
+
+    const _id = new ObjectId(data.bookId);
+    const copy = newCopy(data);
+    const result = await Books.updateOne({ _id }, { $push: { copies: copy }, $set: { updatedAt: new Date() } });
+
+    if (result.matchedCount === 0) {
+      return sendError(res, 404, "Book not found");
+    }
+
+    await recordAudit(db, req.user, { action: "update", entity: "book", entityId: _id, after: copy, details: copyAudit(copy, "copy added") });
+
+    // A new copy goes straight to the hold queue if anyone is waiting
+    await offerCopyToQueue(db, _id, copy);
+    await publishBook(db, _id, "updated");
+    res.writeHead(201, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, copy }));
+  });
+
+  router.put("/books/copies", requirePermission("books:write"), json(), validateRequest(updateCopySchema), async (req, res) => {
+    const data = req.body;
+
+    const _id = new ObjectId(data.bookId);
+    const copyId = new ObjectId(data.copyId);
+    const book = await Books.findOne({ _id, "copies._id": copyId });
+    if (!book) {
+      return sendError(res, 404, "Copy not found");
+    }
+
+    const copy = book.copies.find(c => c._id.equals(copyId));
+    const update = {};
+    if (data.location !== undefined) update["copies.$.location"] = data.location || null;
+    if (data.condition !== undefined) update["copies.$.condition"] = data.condition;
+    if (data.status !== undefined && data.status !== copy.status) {
+      // Loans and holds are only changed through circulation routes
+      if (CIRCULATION_STATUSES.includes(data.status) || CIRCULATION_STATUSES.includes(copy.status)) {
+        return sendFieldError(res, "status", "Invalid status change for this copy");
+      }
+      update["copies.$.status"] = data.status;
+    }
+
+    await Books.updateOne({ _id, "copies._id": copyId }, { $set: { ...update, updatedAt: new Date() } });
+    const changed = Object.fromEntries(Object.entries(update).map(([key, value]) => [key.replace("copies.$.", ""), value]));
+    await recordAudit(db, req.user, {
+      action: "update", entity: "book", entityId: _id, before: copy, after: { ...copy, ...changed }, details: copyAudit(copy, "copy updated")
+    });
+    if (update["copies.$.status"] === "Available") await offerCopyToQueue(db, _id, { ...copy, status: "Available" });
+    else await syncBookStatus(Books, _id);
+    await publishBook(db, _id, "updated");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Copy updated successfully" }));
+  });
+
+  router.delete("/books/copies", requirePermission("books:write"), json(), validateRequest({ body: copyRef }), async (req, res) => {
+    const data = req.body;
+
+    const _id = new ObjectId(data.bookId);
+    const copyId = new ObjectId(data.copyId);
+    const book = await Books.findOne({ _id, "copies._id": copyId });
+    if (!book) {
+      return sendError(res, 404, "Copy not found");
+    }
+
+    const copy = book.copies.find(c => c._id.equals(copyId));
+    if (CIRCULATION_STATUSES.includes(copy.status)) {
+      return sendError(res, 400, "Cannot remove a copy that is on loan or on hold");
+    }
+
+    await Books.updateOne({ _id }, { $pull: { copies: { _id: copyId } }, $set: { updatedAt: new Date() } });
+    await recordAudit(db, req.user, { action: "update", entity: "book", entityId: _id, before: copy, details: copyAudit(copy, "copy removed") });
+    await syncBookStatus(Books, _id);
+    await publishBook(db, _id, "updated");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Copy removed successfully" }));
+  });
+};
@@ -0,0 +1,13 @@
+// backend/routes/events.js
+// The live change feed open catalog pages listen to
+const { openEventStream } = require("../events");
+const { requireAuth } = require("../middleware");
+
+async function streamEvents(req, res) {
+  return openEventStream(req, res);
+}
+
+module.exports = (router) => {
+  router.get("/events", requireAuth, streamEvents);
+  router.get("/api/v1/events", requireAuth, streamEvents);
+};
@@ -0,0 +1,160 @@
+// backend/routes/fines.js
+// Fine ledger, payments, waivers and the fine policy
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, Fines } = require("../db");
+const { sendError, sendFieldError } = require("../respond");
+const { CURRENCY } = require("../config");
+const { getFinePolicy, roundMoney, fineBalance, fineUnchanged } = require("../fines");
+const { formatMoney } = require("../i18n");
+const { requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const FINE_STATUSES = ["outstanding", "paid", "waived"];
+const amount = { type: "number", min: 0 };
+
+const finesQuery = {
+  query: {
+    memberId: { type: "objectId", label: "Member ID" },
+    status: { enum: FINE_STATUSES }
+  }
+};
+const balanceQuery = { query: { memberId: { type: "objectId", required: true, label: "Member ID" } } };
+
+const paySchema = {
+  body: {
+    fineId: { type: "objectId", required: true, label: "Fine ID" },
+    amount: { type: "number" },
+    method: { maxLength: 50 }
+  }
+};
+const waiveSchema = {
+  body: {
+    fineId: { type: "objectId", required: true, label: "Fine ID" },
+    reason: { required: true, maxLength: 500 }
+  }
+};
+
+const policySchema = {
+  body: {
+    graceDays: amount,
+    maxPerItem: amount,
+    replacementCharge: amount,
+    ratePerDay: { type: "object", values: amount, label: "Rate per day" }
+  }
+};
+
+module.exports = (router) => {
+  router.get("/fines", requirePermission("fines:manage"), validateRequest(finesQuery), async (req, res) => {
+    const filter = {};
+    if (req.query.memberId) filter.memberId = req.query.memberId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const fines = await Fines.find(filter).sort({ createdAt: -1 }).toArray();
+    const books = await Books.find(
+      { _id: { $in: [...new Set(fines.map(f => f.bookId))].map(id => new ObjectId(id)) } },
+      { projection: { title: 1 } }
+    ).toArray();
+    const members = await Members.find(
+      { _id: { $in: [...new Set(fines.map(f => f.memberId))].map(id => new ObjectId(id)) } },
+      { projection: { name: 1 } }
+    ).toArray();
+    const titles = Object.fromEntries(books.map(b => [b._id.toString(), b.title]));
+    const names = Object.fromEntries(members.map(m => [m._id.toString(), m.name]));
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(fines.map(f => ({
+      ...f,
+      balance: fineBalance(f),
+      bookTitle: titles[f.bookId] || null,
+      memberName: names[f.memberId] || null
+    }))));
+  });
+
+  router.get("/fines/balance", requirePermission("fines:manage"), validateRequest(balanceQuery), async (req, res) => {
+    const memberId = req.query.memberId;
+
+    const fines = await Fines.find({ memberId, status: "outstanding" }).sort({ createdAt: 1 }).toArray();
+    const balance = roundMoney(fines.reduce((sum, f) => sum + fineBalance(f), 0));
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ memberId, balance, currency: CURRENCY, fines: fines.map(f => ({ ...f, balance: fineBalance(f) })) }));
+  });
+
+  router.post("/fines/pay", requirePermission("fines:manage"), json(), validateRequest(paySchema), async (req, res) => {
+    const data = req.body;
+
+    const fine = await Fines.findOne({ _id: new ObjectId(data.fineId) });
+    if (!fine) {
+      return sendError(res, 404, "Fine not found");
+    }
+
+    const owed = fineBalance(fine);
+    const amount = data.amount === undefined ? owed : roundMoney(data.amount);
+    if (!(amount > 0) || amount > owed) {
+      return sendFieldError(res, "amount", `Payment must be between 0 and the outstanding ${formatMoney(owed)}`);
+    }
+
+    // A payment taken at the same time has changed what is owed; this one
+    // is refused rather than overpaying the fine
+    const payment = { amount, method: data.method || "cash", at: new Date(), by: req.user._id.toString() };
+    const remaining = roundMoney(owed - amount);
+    const result = await Fines.updateOne(
+      fineUnchanged(fine),
+      { $set: { paid: roundMoney((fine.paid || 0) + amount), status: remaining > 0 ? "outstanding" : "paid" }, $push: { payments: payment } }
+    );
+    if (result.modifiedCount === 0) {
+      return sendError(res, 409, "This fine was just changed by another request; please reload it");
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, balance: remaining, currency: CURRENCY }));
+  });
+
+  router.post("/fines/waive", requirePermission("fines:manage"), json(), validateRequest(waiveSchema), async (req, res) => {
+    const data = req.body;
+
+    const fine = await Fines.findOne({ _id: new ObjectId(data.fineId) });
+    if (!fine) {
+      return sendError(res, 404, "Fine not found");
+    }
+
+    const owed = fineBalance(fine);
+    if (owed <= 0) {
+      return sendError(res, 400, "Fine has no outstanding balance");
+    }
+
+    const result = await Fines.updateOne(
+      fineUnchanged(fine),
+      {
+        $set: {
+          waived: roundMoney((fine.waived || 0) + owed),
+          status: "waived",
+          waiver: { amount: owed, reason: data.reason, at: new Date(), by: req.user._id.toString() }
+        }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return sendError(res, 409, "This fine was just changed by another request; please reload it");
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, balance: 0, currency: CURRENCY }));
+  });
+
+  router.get("/fines/policy", requirePermission("fines:manage"), async (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(await getFinePolicy(db)));
+  });
+
+  router.put("/fines/policy", requirePermission("fines:manage"), json(), validateRequest(policySchema), async (req, res) => {
+    const policy = req.body;
+
+    const current = await getFinePolicy(db);
+    await db.collection("Settings").updateOne(
+      { _id: "finePolicy" },
+      { $set: { policy: { ...current, ...policy }, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, policy: await getFinePolicy(db) }));
+  });
+};
@@ -0,0 +1,101 @@
+// backend/routes/holds.js
+// Placing, reordering and cancelling holds
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, Holds } = require("../db");
+const { sendError } = require("../respond");
+const { ACTIVE_HOLD_STATUSES, placeHold, cancelHold, renumberQueue } = require("../holds");
+const { requirePermission, text, json, idFromText } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const holdsQuery = {
+  query: {
+    bookId: { type: "objectId", label: "Book ID" },
+    memberId: { type: "objectId", label: "Member ID" }
+  }
+};
+const placeHoldSchema = {
+  body: {
+    bookId: { type: "objectId", required: true, label: "Book ID" },
+    memberId: { type: "objectId", required: true, label: "Member ID" }
+  }
+};
+const moveHoldSchema = {
+  body: {
+    id: { type: "objectId", required: true, label: "Hold ID" },
+    position: { type: "integer", required: true, min: 1 }
+  }
+};
+const holdId = { params: { id: { type: "objectId", required: true, label: "Hold ID" } } };
+
+module.exports = (router) => {
+  router.get("/holds", requirePermission("circulation"), validateRequest(holdsQuery), async (req, res) => {
+    const filter = { status: { $in: ACTIVE_HOLD_STATUSES } };
+    if (req.query.bookId) filter.bookId = req.query.bookId;
+    if (req.query.memberId) filter.memberId = req.query.memberId;
+
+    const holds = await Holds.find(filter).sort({ bookId: 1, position: 1 }).toArray();
+    const books = await Books.find(
+      { _id: { $in: [...new Set(holds.map(h => h.bookId))].map(id => new ObjectId(id)) } },
+      { projection: { title: 1 } }
+    ).toArray();
+    const members = await Members.find(
+      { _id: { $in: [...new Set(holds.map(h => h.memberId))].map(id => new ObjectId(id)) } },
+      { projection: { name: 1, email: 1 } }
+    ).toArray();
+    const titles = Object.fromEntries(books.map(b => [b._id.toString(), b.title]));
+    const names = Object.fromEntries(members.map(m => [m._id.toString(), m.name]));
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(holds.map(h => ({
+      ...h,
+      bookTitle: titles[h.bookId] || null,
+      memberName: names[h.memberId] || null
+    }))));
+  });
+
+  router.post("/holds", requirePermission("circulation"), json(), validateRequest(placeHoldSchema), async (req, res) => {
+    const data = req.body;
+
+    const book = await Books.findOne({ _id: new ObjectId(data.bookId) });
+    const member = await Members.findOne({ _id: new ObjectId(data.memberId) });
+    if (!book || !member) {
+      return sendError(res, 404, "Book or member not found");
+    }
+
+    const placed = await placeHold(db, book, member._id.toString());
+    res.writeHead(201, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...placed }));
+  });
+
+  // Move a waiting hold to a new 1-based place in its title's queue
+  router.put("/holds", requirePermission("circulation"), json(), validateRequest(moveHoldSchema), async (req, res) => {
+    const data = req.body;
+    const position = data.position;
+
+    const hold = await Holds.findOne({ _id: new ObjectId(data.id) });
+    if (!hold || hold.status !== "waiting") {
+      return sendError(res, 404, "Waiting hold not found");
+    }
+
+    const queue = await Holds.find({ bookId: hold.bookId, status: "waiting" }).sort({ position: 1 }).toArray();
+    const rest = queue.filter(h => !h._id.equals(hold._id));
+    const index = Math.min(Math.max(position, 1), queue.length) - 1;
+    rest.splice(index, 0, hold);
+    await renumberQueue(Holds, rest);
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Hold queue updated" }));
+  });
+
+  router.delete("/holds", requirePermission("circulation"), text(), idFromText, validateRequest(holdId), async (req, res) => {
+    const hold = await Holds.findOne({ _id: new ObjectId(req.params.id) });
+    if (!hold || !ACTIVE_HOLD_STATUSES.includes(hold.status)) {
+      return sendError(res, 404, "Active hold not found");
+    }
+
+    await cancelHold(db, hold);
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, msg: "Hold cancelled" }));
+  });
+};
@@ -0,0 +1,11 @@
+// backend/routes/i18n.js
+// The library's currency and interface languages; public, so the login page
+// can offer its language choice
+const { localeSettings } = require("../i18n");
+
+module.exports = (router) => {
+  router.get("/i18n", async (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" });
+    return res.end(JSON.stringify(localeSettings()));
+  });
+};
@@ -0,0 +1,109 @@
+// backend/routes/labels.js
+// Barcodes and QR codes for books and members (SVG), and printable label
+// sheets and member cards (HTML)
+const { ObjectId } = require("mongodb");
+const { Books, Members } = require("../db");
+const { sendError } = require("../respond");
+const { code128Svg } = require("../code128");
+const { qrSvg } = require("../qrcode");
+const { SYMBOLOGIES, LABEL_ENCODINGS, MAX_LABELS, bookCode, bookLabelSheet, memberCardSheet } = require("../labels");
+const { requirePermission } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const IDS = /^[0-9a-f]{24}(,[0-9a-f]{24})*$/i;
+
+const bookBarcode = {
+  params: { id: { type: "objectId", required: true, label: "Book ID" } },
+  query: { symbology: { enum: SYMBOLOGIES }, encode: { enum: ["id", "isbn"] } }
+};
+const memberBarcode = {
+  params: { id: { type: "objectId", required: true, label: "Member ID" } },
+  query: { symbology: { enum: SYMBOLOGIES } }
+};
+const bookSheet = {
+  query: {
+    ids: { required: true, pattern: IDS, label: "Book ID list" },
+    symbology: { enum: SYMBOLOGIES },
+    encode: { enum: LABEL_ENCODINGS }
+  }
+};
+const memberSheet = { query: { ids: { required: true, pattern: IDS, label: "Member ID list" } } };
+
+// "a,b,a" -> unique ObjectIds, or null when there are too many
+function parseIds(ids) {
+  const unique = [...new Set(ids.toLowerCase().split(","))];
+  return unique.length > MAX_LABELS ? null : unique.map(id => new ObjectId(id));
+}
+
+// Documents in the order their ids were given
+async function findInOrder(collection, ids, options) {
+  const docs = await collection.find({ _id: { $in: ids } }, options).toArray();
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+function sendSvg(res, text, symbology) {
+  const svg = symbology === "qr" ? qrSvg(text) : code128Svg(text);
+  res.writeHead(200, { "Content-Type": "image/svg+xml", "Cache-Control": "private, max-age=3600" });
+  return res.end(svg);
+}
+
+function sendHtml(res, html) {
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  return res.end(html);
+}
+
+async function bookBarcodeSvg(req, res) {
+  const book = await Books.findOne({ _id: new ObjectId(req.params.id) }, { projection: { isbn: 1 } });
+  if (!book) {
+    return sendError(res, 404, "Book not found");
+  }
+  if (req.query.encode === "isbn" && !book.isbn) {
+    return sendError(res, 400, "This book has no ISBN");
+  }
+  return sendSvg(res, bookCode(book, req.query.encode), req.query.symbology);
+}
+
+async function memberBarcodeSvg(req, res) {
+  const member = await Members.findOne({ _id: new ObjectId(req.params.id) }, { projection: { _id: 1 } });
+  if (!member) {
+    return sendError(res, 404, "Member not found");
+  }
+  return sendSvg(res, member._id.toString(), req.query.symbology);
+}
+
+async function bookLabelsPage(req, res) {
+  const ids = parseIds(req.query.ids);
+  if (!ids) {
+    return sendError(res, 400, `At most ${MAX_LABELS} books can be printed at once`);
+  }
+  const books = await findInOrder(Books, ids, { projection: { title: 1, author: 1, isbn: 1, copies: 1 } });
+  if (!books.length) {
+    return sendError(res, 404, "None of these books were found");
+  }
+  return sendHtml(res, bookLabelSheet(books, req.query));
+}
+
+async function memberCardsPage(req, res) {
+  const ids = parseIds(req.query.ids);
+  if (!ids) {
+    return sendError(res, 400, `At most ${MAX_LABELS} members can be printed at once`);
+  }
+  const members = await findInOrder(Members, ids);
+  if (!members.length) {
+    return sendError(res, 404, "None of these members were found");
+  }
+  return sendHtml(res, memberCardSheet(members));
+}
+
+module.exports = (router) => {
+  router.get("/books/:id/barcode", validateRequest(bookBarcode), bookBarcodeSvg);
+  router.get("/api/v1/books/:id/barcode", validateRequest(bookBarcode), bookBarcodeSvg);
+  router.get("/members/:id/barcode", requirePermission("members:read"), validateRequest(memberBarcode), memberBarcodeSvg);
+  router.get("/api/v1/members/:id/barcode", requirePermission("members:read"), validateRequest(memberBarcode), memberBarcodeSvg);
+
+  router.get("/labels/books", requirePermission("books:write"), validateRequest(bookSheet), bookLabelsPage);
+  router.get("/api/v1/labels/books", requirePermission("books:write"), validateRequest(bookSheet), bookLabelsPage);
+  router.get("/labels/members", requirePermission("members:read"), validateRequest(memberSheet), memberCardsPage);
+  router.get("/api/v1/labels/members", requirePermission("members:read"), validateRequest(memberSheet), memberCardsPage);
+};
@@ -0,0 +1,158 @@
+// backend/routes/members.js
+// Members: the legacy routes take the id in the body, /api/v1/members/:id
+// in the path
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, BorrowLogs, withTransaction } = require("../db");
+const { sendError, sendFieldError } = require("../respond");
+const { MEMBER_FIELDS, buildMember } = require("../records");
+const { escapeRegex } = require("../catalog");
+const { recordAudit } = require("../audit");
+const { moveToTrash } = require("../trash");
+const { publishMember } = require("../events");
+const { requirePermission, text, json, idFromBody, idFromText } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const memberId = { params: { id: { type: "objectId", required: true, label: "Member ID" } } };
+
+// Updates only touch the fields that were sent
+const memberUpdate = {
+  ...memberId,
+  body: {
+    name: { ...MEMBER_FIELDS.name, required: false, minLength: 1 },
+    email: { ...MEMBER_FIELDS.email, required: false },
+    role: MEMBER_FIELDS.role
+  }
+};
+
+const loansQuery = { ...memberId, query: { history: { type: "boolean" } } };
+const membersQuery = { query: { q: { maxLength: 100, label: "Search" } } };
+
+// Members searched with ?q=
+const MEMBER_SEARCH_LIMIT = 20;
+
+// Everyone, or with ?q= up to MEMBER_SEARCH_LIMIT members whose name or
+// email contains it (or whose id it is, as scanned from a member card)
+async function listMembers(req, res) {
+  const q = (req.query.q || "").trim();
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    const or = [{ name: pattern }, { email: pattern }];
+    if (/^[0-9a-f]{24}$/i.test(q)) or.unshift({ _id: new ObjectId(q) });
+    const members = await Members.find({ $or: or }).sort({ name: 1 }).limit(MEMBER_SEARCH_LIMIT).toArray();
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(members));
+  }
+
+  const members = await Members.find().sort({ createdAt: -1 }).toArray();
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(members));
+}
+
+async function getMember(req, res) {
+  const member = await Members.findOne({ _id: new ObjectId(req.params.id) });
+  if (!member) {
+    return sendError(res, 404, "Member not found");
+  }
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(member));
+}
+
+async function createMember(req, res) {
+  const data = req.body;
+
+  const { member, error } = buildMember(data);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  const existing = await Members.findOne({ email: data.email });
+  if (existing) {
+    return sendFieldError(res, "email", "Member with this email already exists");
+  }
+
+  const r = await Members.insertOne(member);
+  await recordAudit(db, req.user, { action: "create", entity: "member", entityId: r.insertedId, after: member });
+  await publishMember(db, r.insertedId, "created");
+  res.writeHead(201, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, id: r.insertedId }));
+}
+
+async function updateMember(req, res) {
+  const data = req.body;
+  const _id = new ObjectId(req.params.id);
+
+  if (data.email && await Members.findOne({ email: data.email, _id: { $ne: _id } })) {
+    return sendFieldError(res, "email", "Member with this email already exists");
+  }
+
+  const previous = await Members.findOneAndUpdate({ _id }, { $set: { ...data, updatedAt: new Date() } });
+  if (!previous) {
+    return sendError(res, 404, "Member not found");
+  }
+  await recordAudit(db, req.user, { action: "update", entity: "member", entityId: _id, before: previous, after: { ...previous, ...data } });
+  await publishMember(db, _id, "updated");
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, msg: "Member updated successfully" }));
+}
+
+async function deleteMember(req, res) {
+  const member = await Members.findOne({ _id: new ObjectId(req.params.id) });
+  if (!member) {
+    return sendError(res, 404, "Member not found");
+  }
+  if ((member.borrowedBooks || []).length) {
+    return sendError(res, 400, "Cannot delete a member who has books on loan");
+  }
+  await withTransaction(session => moveToTrash(db, req.user, "member", member, session));
+  await publishMember(db, member._id, "deleted");
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, msg: "Member moved to the trash" }));
+}
+
+// A member's open loans, most recent first, with the title and how overdue
+// each is; ?history=true adds returned loans as well
+async function memberLoans(req, res) {
+  const member = await Members.findOne({ _id: new ObjectId(req.params.id) }, { projection: { _id: 1 } });
+  if (!member) {
+    return sendError(res, 404, "Member not found");
+  }
+
+  const filter = { memberId: member._id.toString() };
+  if (!req.query.history) filter.returnedOn = null;
+  const logs = await BorrowLogs.find(filter).sort({ borrowedOn: -1 }).toArray();
+  const books = await Books.find(
+    { _id: { $in: [...new Set(logs.map(l => l.bookId))].map(id => new ObjectId(id)) } },
+    { projection: { title: 1, author: 1, cover: 1 } }
+  ).toArray();
+  const bookById = new Map(books.map(b => [b._id.toString(), b]));
+
+  const now = new Date();
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(logs.map(log => {
+    const book = bookById.get(log.bookId) || {};
+    return {
+      ...log,
+      title: book.title || null,
+      author: book.author || null,
+      cover: book.cover || null,
+      renewals: log.renewals || 0,
+      overdue: !log.returnedOn && new Date(log.dueDate) < now
+    };
+  })));
+}
+
+module.exports = (router) => {
+  router.get("/members", requirePermission("members:read"), validateRequest(membersQuery), listMembers);
+  router.get("/api/v1/members", requirePermission("members:read"), validateRequest(membersQuery), listMembers);
+  router.get("/api/v1/members/:id", requirePermission("members:read"), validateRequest(memberId), getMember);
+  router.get("/api/v1/members/:id/loans", requirePermission("members:read"), validateRequest(loansQuery), memberLoans);
+
+  router.post("/members", requirePermission("members:write"), json(), validateRequest({ body: MEMBER_FIELDS }), createMember);
+  router.post("/api/v1/members", requirePermission("members:write"), json(), validateRequest({ body: MEMBER_FIELDS }), createMember);
+
+  router.put("/members", requirePermission("members:write"), json(), idFromBody, validateRequest(memberUpdate), updateMember);
+  router.put("/api/v1/members/:id", requirePermission("members:write"), json(), validateRequest(memberUpdate), updateMember);
+
+  router.delete("/members", requirePermission("members:write"), text(), idFromText, validateRequest(memberId), deleteMember);
+  router.delete("/api/v1/members/:id", requirePermission("members:write"), validateRequest(memberId), deleteMember);
+};
@@ -0,0 +1,44 @@
+// backend/routes/reminders.js
+// Running reminders on demand and editing their templates
+const { db } = require("../db");
+const { REMINDER_TYPES, getReminderTemplates, sendReminders } = require("../reminders");
+const { requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const template = {
+  type: "object",
+  fields: {
+    subject: { required: true, maxLength: 200 },
+    text: { required: true, maxLength: 5000 }
+  }
+};
+const templatesSchema = {
+  body: Object.fromEntries(REMINDER_TYPES.map(type => [type, { ...template, label: `Template ${type}` }]))
+};
+
+module.exports = (router) => {
+  // Run the reminder scan now, e.g. to check SMTP settings against a stand-in
+  router.post("/reminders/run", requirePermission("settings:manage"), async (req, res) => {
+    const result = await sendReminders(db);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, ...result }));
+  });
+
+  router.get("/reminders/templates", requirePermission("settings:manage"), async (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(await getReminderTemplates(db)));
+  });
+
+  router.put("/reminders/templates", requirePermission("settings:manage"), json(), validateRequest(templatesSchema), async (req, res) => {
+    const templates = req.body;
+
+    const current = await getReminderTemplates(db);
+    await db.collection("Settings").updateOne(
+      { _id: "reminderTemplates" },
+      { $set: { templates: { ...current, ...templates }, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ ok: true, templates: { ...current, ...templates } }));
+  });
+};
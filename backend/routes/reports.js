@@ -0,0 +1,111 @@
+// backend/routes/reports.js
+// Circulation reports
+const { ObjectId } = require("mongodb");
+const { db, Books, Members, BorrowLogs } = require("../db");
+const { getFinePolicy, calculateOverdueFine } = require("../fines");
+const { daysLate } = require("../reminders");
+const { REPORT_INTERVALS, ANALYTICS_REPORTS, reportRange } = require("../analytics");
+const { toCsv } = require("../csv");
+const { requirePermission } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const analyticsQuery = {
+  query: {
+    from: { type: "date" },
+    to: { type: "date", endOfDay: true },
+    interval: { enum: REPORT_INTERVALS },
+    format: { enum: ["json", "csv"] }
+  }
+};
+
+// JSON by default; ?format=csv downloads the rows, named after the report
+// and its range
+function sendReport(req, res, name, report, columns) {
+  if (req.query.format === "csv") {
+    const day = (date) => date.toISOString().slice(0, 10);
+    res.writeHead(200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${name}-${day(report.from)}-to-${day(report.to)}.csv"`
+    });
+    return res.end(toCsv(report.rows, columns));
+  }
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(report));
+}
+
+module.exports = (router) => {
+  router.get("/reports/most-borrowed", requirePermission("reports:read"), async (req, res) => {
+    const top = await Books.find().sort({ borrowCount: -1 }).limit(10).toArray();
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(top));
+  });
+
+  router.get("/reports/active-members", requirePermission("reports:read"), async (req, res) => {
+    const agg = await BorrowLogs.aggregate([
+      { $group: { _id: "$memberId", borrowCount: { $sum: 1 } } },
+      { $sort: { borrowCount: -1 } },
+      { $limit: 10 }
+    ]).toArray();
+
+    const result = await Promise.all(
+      agg.map(async (a) => {
+        const mem = await Members.findOne({ _id: new ObjectId(a._id) }).catch(() => null);
+        return { memberId: a._id, borrowCount: a.borrowCount, member: mem };
+      })
+    );
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(result));
+  });
+
+  // Open loans past due, most overdue first, with the fine accrued so far
+  router.get("/reports/overdue", requirePermission("reports:read"), async (req, res) => {
+    const now = new Date();
+    const logs = await BorrowLogs.find({ returnedOn: null, dueDate: { $lt: now } }).sort({ dueDate: 1 }).toArray();
+    const policy = await getFinePolicy(db);
+    const members = await Members.find({ _id: { $in: [...new Set(logs.map(l => l.memberId))].map(id => new ObjectId(id)) } }).toArray();
+    const books = await Books.find(
+      { _id: { $in: [...new Set(logs.map(l => l.bookId))].map(id => new ObjectId(id)) } },
+      { projection: { title: 1, author: 1 } }
+    ).toArray();
+    const memberById = new Map(members.map(m => [m._id.toString(), m]));
+    const bookById = new Map(books.map(b => [b._id.toString(), b]));
+    const notices = await db.collection("Notifications")
+      .find({ logId: { $in: logs.map(l => l._id.toString()) }, status: "sent" }).toArray();
+
+    const overdue = logs.map(log => {
+      const member = memberById.get(log.memberId) || {};
+      const book = bookById.get(log.bookId) || {};
+      const reminded = notices.filter(n => n.logId === log._id.toString()).map(n => n.sentAt);
+      return {
+        logId: log._id,
+        bookId: log.bookId,
+        title: book.title,
+        author: book.author,
+        barcode: log.barcode,
+        memberId: log.memberId,
+        memberName: member.name,
+        email: member.email,
+        borrowedOn: log.borrowedOn,
+        dueDate: log.dueDate,
+        daysLate: daysLate(log.dueDate, now),
+        fine: calculateOverdueFine(policy, log.dueDate, now, member.role),
+        lastReminderAt: reminded.length ? new Date(Math.max(...reminded.map(d => new Date(d)))) : null
+      };
+    });
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(overdue));
+  });
+
+  // Circulation analytics: /reports/loans, /reports/genres,
+  // /reports/utilization, /reports/loan-duration and /reports/fines, each
+  // over ?from/?to and, where it has periods, by ?interval
+  for (const [name, [build, columns]] of Object.entries(ANALYTICS_REPORTS)) {
+    router.get(`/reports/${name}`, requirePermission("reports:read"), validateRequest(analyticsQuery), async (req, res) => {
+      const range = reportRange(req.query);
+      const report = { ...range, ...(await build(db, range)) };
+      return sendReport(req, res, name, report, columns);
+    });
+  }
+};
@@ -0,0 +1,75 @@
+// backend/routes/trash.js
+// The recycle bin: listing, restoring and purging deleted books and members
+const { ObjectId } = require("mongodb");
+const { db, withTransaction } = require("../db");
+const { sendError } = require("../respond");
+const { hasPermission } = require("../auth");
+const { recordAudit } = require("../audit");
+const { TRASH_ENTITIES, restoreFromTrash } = require("../trash");
+const { publishBook, publishMember } = require("../events");
+const { removeUnusedUpload } = require("../uploads");
+const { requireAuth, requirePermission } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const trashQuery = { query: { entity: { enum: Object.keys(TRASH_ENTITIES) } } };
+const trashId = { params: { id: { type: "objectId", required: true, label: "Trash ID" } } };
+
+// Entities the user could restore, i.e. has write access to
+const restorable = (user) =>
+  Object.keys(TRASH_ENTITIES).filter(entity => hasPermission(user, TRASH_ENTITIES[entity].permission));
+
+// Most recently deleted first, without the stored documents themselves
+async function listTrash(req, res) {
+  const allowed = restorable(req.user);
+  if (!allowed.length) {
+    return sendError(res, 403, "You do not have permission to perform this action");
+  }
+  const entities = req.query.entity ? allowed.filter(entity => entity === req.query.entity) : allowed;
+
+  const entries = await db.collection("Trash")
+    .find({ entity: { $in: entities } }, { projection: { doc: 0 } })
+    .sort({ deletedAt: -1 })
+    .toArray();
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify(entries));
+}
+
+async function restoreTrash(req, res) {
+  const entry = await db.collection("Trash").findOne({ _id: new ObjectId(req.params.id) });
+  if (!entry) {
+    return sendError(res, 404, "Trash entry not found");
+  }
+  if (!hasPermission(req.user, TRASH_ENTITIES[entry.entity].permission)) {
+    return sendError(res, 403, "You do not have permission to perform this action");
+  }
+
+  await withTransaction(session => restoreFromTrash(db, req.user, entry, session));
+  await (entry.entity === "book" ? publishBook : publishMember)(db, entry.entityId, "created");
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, entity: entry.entity, id: entry.entityId, msg: `Restored ${entry.label}` }));
+}
+
+// Delete for good; a purged book's cover goes too if nothing else uses it
+async function purgeTrash(req, res) {
+  const entry = await db.collection("Trash").findOne({ _id: new ObjectId(req.params.id) });
+  if (!entry) {
+    return sendError(res, 404, "Trash entry not found");
+  }
+
+  await db.collection("Trash").deleteOne({ _id: entry._id });
+  await recordAudit(db, req.user, { action: "purge", entity: entry.entity, entityId: entry.entityId, details: { label: entry.label } });
+  if (entry.entity === "book") await removeUnusedUpload(db, entry.doc.cover);
+  res.writeHead(200, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, msg: `Permanently deleted ${entry.label}` }));
+}
+
+module.exports = (router) => {
+  router.get("/trash", requireAuth, validateRequest(trashQuery), listTrash);
+  router.get("/api/v1/trash", requireAuth, validateRequest(trashQuery), listTrash);
+
+  router.post("/trash/:id/restore", requireAuth, validateRequest(trashId), restoreTrash);
+  router.post("/api/v1/trash/:id/restore", requireAuth, validateRequest(trashId), restoreTrash);
+
+  router.delete("/trash/:id", requirePermission("settings:manage"), validateRequest(trashId), purgeTrash);
+  router.delete("/api/v1/trash/:id", requirePermission("settings:manage"), validateRequest(trashId), purgeTrash);
+};
@@ -0,0 +1,49 @@
+// backend/routes/uploads.js
+// Book cover uploads
+const { Readable } = require("stream");
+const { UPLOAD_BODY_LIMIT } = require("../config");
+const { storeUpload } = require("../uploads");
+const { multipartBoundary } = require("../multipart");
+const { requirePermission, json } = require("../middleware");
+const { validateRequest } = require("../validation");
+
+const uploadSchema = {
+  body: {
+    base64: { required: true, label: "Image data" },
+    filename: { maxLength: 255 }
+  }
+};
+
+// Older clients send { filename, base64 } as JSON. Base64 is a third larger
+// than the image it encodes, so the body may be too.
+const parseLegacyJson = json({ limit: Math.ceil(UPLOAD_BODY_LIMIT * 4 / 3) + 1024 });
+const validateLegacyJson = validateRequest(uploadSchema);
+
+async function legacyBase64(req, res, next) {
+  if (!/application\/json/i.test(req.headers["content-type"] || "")) return next();
+  return parseLegacyJson(req, res, () => validateLegacyJson(req, res, next));
+}
+
+// POST /uploadCover takes the image as multipart/form-data (the first file
+// field), as the raw request body (any image/* or application/octet-stream
+// Content-Type), or as legacy base64 JSON. Either way it is streamed to
+// disk, sniffed and stored once per distinct image; see storeUpload.
+async function uploadCover(req, res) {
+  let source = req;
+  let boundary = null;
+  if (req.body) {
+    const base64 = req.body.base64.replace(/^data:[^,]*,/, "");
+    source = Readable.from([Buffer.from(base64, "base64")]);
+  } else {
+    boundary = multipartBoundary(req.headers["content-type"]);
+  }
+
+  const upload = await storeUpload(source, UPLOAD_BODY_LIMIT, boundary);
+  res.writeHead(upload.duplicate ? 200 : 201, { "Content-Type": "application/json" });
+  return res.end(JSON.stringify({ ok: true, ...upload }));
+}
+
+module.exports = (router) => {
+  router.post("/uploadCover", requirePermission("books:write"), legacyBase64, uploadCover);
+  router.post("/api/v1/uploads", requirePermission("books:write"), legacyBase64, uploadCover);
+};
@@ -0,0 +1,51 @@
+// backend/rules.js
+// Per-role borrowing limits and the eligibility check for new loans
+const { formatMoney } = require("./i18n");
+
+// Per-role limits keyed by Members.role, stored in Settings
+// ({ _id: "borrowingRules" }) over these defaults. Roles without an entry use
+// "default". A member is blocked once they owe more than maxOutstandingFines
+// or hold more than maxOverdueItems overdue loans.
+const DEFAULT_BORROWING_RULES = {
+  default: { maxLoans: 5, defaultLoanDays: 7, maxLoanDays: 14, maxOutstandingFines: 100, maxOverdueItems: 0 },
+  student: { maxLoans: 5, defaultLoanDays: 7, maxLoanDays: 21, maxOutstandingFines: 100, maxOverdueItems: 0 },
+  staff: { maxLoans: 10, defaultLoanDays: 14, maxLoanDays: 42, maxOutstandingFines: 200, maxOverdueItems: 1 },
+  faculty: { maxLoans: 20, defaultLoanDays: 28, maxLoanDays: 90, maxOutstandingFines: 500, maxOverdueItems: 2 }
+};
+const BORROWING_RULE_KEYS = Object.keys(DEFAULT_BORROWING_RULES.default);
+// The roles a member can have
+const MEMBER_ROLES = Object.keys(DEFAULT_BORROWING_RULES).filter(role => role !== "default");
+
+async function getBorrowingRules(db) {
+  const stored = await db.collection("Settings").findOne({ _id: "borrowingRules" });
+  const rules = {};
+  for (const [role, limits] of Object.entries({ ...DEFAULT_BORROWING_RULES, ...(stored ? stored.rules : {}) })) {
+    rules[role] = { ...DEFAULT_BORROWING_RULES.default, ...DEFAULT_BORROWING_RULES[role], ...limits };
+  }
+  return rules;
+}
+
+const rulesForRole = (rules, role) => rules[role] || rules.default;
+
+// Returns { code, msg } for the first rule that blocks a new loan, or null
+function checkBorrowingEligibility(rules, { loans, overdue, balance }) {
+  if (balance > rules.maxOutstandingFines) {
+    return { code: "FINES_OUTSTANDING", msg: `Outstanding fines of ${formatMoney(balance)} exceed the limit of ${formatMoney(rules.maxOutstandingFines)}` };
+  }
+  if (overdue > rules.maxOverdueItems) {
+    return { code: "OVERDUE_ITEMS", msg: `Member has ${overdue} overdue item(s); return them before borrowing` };
+  }
+  if (loans >= rules.maxLoans) {
+    return { code: "MAX_LOANS_REACHED", msg: `Member already has the maximum of ${rules.maxLoans} loans` };
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_BORROWING_RULES,
+  BORROWING_RULE_KEYS,
+  MEMBER_ROLES,
+  getBorrowingRules,
+  rulesForRole,
+  checkBorrowingEligibility
+};
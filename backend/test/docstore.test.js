@@ -0,0 +1,189 @@
+// backend/test/docstore.test.js
+// The embedded store (STORAGE=memory / STORAGE=file) against the queries,
+// updates and pipelines the routes send it
+const { test, describe, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { createStore } = require("../docstore");
+
+const titles = (docs) => docs.map(d => d.title);
+
+describe("queries", () => {
+  const db = createStore();
+  const Books = db.collection("Books");
+
+  before(async () => {
+    await Books.insertMany([
+      { title: "Dune", genre: "SF", year: 1965, isbn: "9780441013593", tags: ["classic", "desert"],
+        copies: [{ barcode: "D1", status: "Available" }, { barcode: "D2", status: "Borrowed", borrowedBy: "m1" }] },
+      { title: "Emma", genre: "Classic", year: 1815, isbn: "", tags: ["classic"],
+        copies: [{ barcode: "E1", status: "Lost" }] },
+      { title: "Neuromancer", genre: "SF", year: 1984, copies: [] }
+    ]);
+  });
+
+  test("comparison, $in/$nin and $exists", async () => {
+    assert.deepEqual(titles(await Books.find({ year: { $gte: 1900, $lt: 1970 } }).toArray()), ["Dune"]);
+    assert.deepEqual(titles(await Books.find({ genre: { $in: ["Classic"] } }).toArray()), ["Emma"]);
+    assert.deepEqual(titles(await Books.find({ isbn: { $nin: [null, ""] } }).toArray()), ["Dune"]);
+    assert.deepEqual(titles(await Books.find({ isbn: { $exists: false } }).toArray()), ["Neuromancer"]);
+  });
+
+  test("$or, $regex and array fields", async () => {
+    assert.deepEqual(titles(await Books.find({ $or: [{ year: 1815 }, { title: /^neu/i }] }).toArray()), ["Emma", "Neuromancer"]);
+    assert.deepEqual(titles(await Books.find({ tags: "desert" }).toArray()), ["Dune"]);
+    assert.deepEqual(titles(await Books.find({ "copies.barcode": "E1" }).toArray()), ["Emma"]);
+    assert.equal(await Books.countDocuments({ "copies.0": { $exists: true } }), 2);
+  });
+
+  test("$elemMatch needs one element to match every condition", async () => {
+    assert.deepEqual(titles(await Books.find({ copies: { $elemMatch: { status: "Borrowed", borrowedBy: "m1" } } }).toArray()), ["Dune"]);
+    assert.equal(await Books.countDocuments({ copies: { $elemMatch: { barcode: "D1", status: "Borrowed" } } }), 0);
+    // Without $elemMatch the two conditions may match different copies
+    assert.equal(await Books.countDocuments({ "copies.barcode": "D1", "copies.status": "Borrowed" }), 1);
+  });
+
+  test("sort, skip, limit and projection", async () => {
+    const docs = await Books.find({}, { projection: { title: 1, _id: 0 } }).sort({ year: -1 }).skip(1).limit(1).toArray();
+    assert.deepEqual(docs, [{ title: "Dune" }]);
+  });
+});
+
+describe("updates", () => {
+  const db = createStore();
+  const Members = db.collection("Members");
+  const _id = new ObjectId();
+
+  before(async () => {
+    await Members.insertOne({
+      _id, name: "Bob", loans: 0,
+      borrowedBooks: [{ bookId: "b1", copyId: "c1" }, { bookId: "b2", copyId: "c2" }]
+    });
+  });
+
+  test("$inc and $set", async () => {
+    await Members.updateOne({ _id }, { $inc: { loans: 2 }, $set: { "address.city": "Pune" } });
+    await Members.updateOne({ _id }, { $inc: { loans: -1 } });
+    const member = await Members.findOne({ _id });
+    assert.equal(member.loans, 1);
+    assert.deepEqual(member.address, { city: "Pune" });
+  });
+
+  test("$push and $pull", async () => {
+    await Members.updateOne({ _id }, { $push: { borrowedBooks: { bookId: "b3", copyId: "c3" } } });
+    await Members.updateOne({ _id }, { $pull: { borrowedBooks: { bookId: "b1" } } });
+    const { borrowedBooks } = await Members.findOne({ _id });
+    assert.deepEqual(borrowedBooks.map(b => b.bookId), ["b2", "b3"]);
+  });
+
+  test("positional $ updates the element the filter matched", async () => {
+    const result = await Members.updateOne(
+      { _id, "borrowedBooks.copyId": "c3" },
+      { $set: { "borrowedBooks.$.dueDate": new Date("2026-01-15T00:00:00Z"), "borrowedBooks.$.copyId": "c4" } }
+    );
+    assert.equal(result.modifiedCount, 1);
+    const { borrowedBooks } = await Members.findOne({ _id });
+    assert.equal(borrowedBooks[0].dueDate, undefined);
+    assert.equal(borrowedBooks[1].copyId, "c4");
+    assert.deepEqual(borrowedBooks[1].dueDate, new Date("2026-01-15T00:00:00Z"));
+  });
+
+  test("arrayFilters update every element they select", async () => {
+    await Members.updateOne(
+      { _id },
+      { $set: { "borrowedBooks.$[loan].renewals": 1 } },
+      { arrayFilters: [{ "loan.bookId": { $in: ["b2", "b3"] } }] }
+    );
+    const { borrowedBooks } = await Members.findOne({ _id });
+    assert.deepEqual(borrowedBooks.map(b => b.renewals), [1, 1]);
+  });
+
+  test("a conditional update matches nothing once its condition is gone", async () => {
+    const filter = { _id, borrowedBooks: { $elemMatch: { copyId: "c2" } } };
+    assert.equal((await Members.updateOne(filter, { $pull: { borrowedBooks: { copyId: "c2" } } })).modifiedCount, 1);
+    assert.equal((await Members.updateOne(filter, { $pull: { borrowedBooks: { copyId: "c2" } } })).matchedCount, 0);
+  });
+
+  test("upsert inserts from the filter and $setOnInsert", async () => {
+    const Settings = db.collection("Settings");
+    await Settings.updateOne({ _id: "rules" }, { $set: { maxLoans: 3 }, $setOnInsert: { createdBy: "test" } }, { upsert: true });
+    await Settings.updateOne({ _id: "rules" }, { $set: { maxLoans: 5 }, $setOnInsert: { createdBy: "other" } }, { upsert: true });
+    assert.deepEqual(await Settings.findOne({ _id: "rules" }), { _id: "rules", maxLoans: 5, createdBy: "test" });
+  });
+
+  test("unique indexes reject duplicates with code 11000", async () => {
+    const Users = db.collection("Users");
+    await Users.createIndex({ email: 1 }, { unique: true });
+    await Users.insertOne({ email: "a@x.org" });
+    await assert.rejects(Users.insertOne({ email: "a@x.org" }), { code: 11000 });
+  });
+});
+
+describe("aggregation", () => {
+  const db = createStore();
+  const Logs = db.collection("BorrowLogs");
+
+  before(async () => {
+    await Logs.insertMany([
+      { bookId: "b1", memberId: "m1", borrowedOn: new Date("2026-03-02T10:00:00Z") }, // Monday
+      { bookId: "b2", memberId: "m1", borrowedOn: new Date("2026-03-08T23:00:00Z") }, // Sunday, same week
+      { bookId: "b1", memberId: "m2", borrowedOn: new Date("2026-03-09T01:00:00Z") }, // next Monday
+      { bookId: "b3", memberId: "m2", borrowedOn: new Date("2026-04-01T00:00:00Z") }
+    ]);
+  });
+
+  const perPeriod = (unit, extra = {}) => Logs.aggregate([
+    { $group: { _id: { $dateTrunc: { date: "$borrowedOn", unit, ...extra } }, loans: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+
+  test("$dateTrunc by day, Monday weeks and month, in UTC", async () => {
+    assert.deepEqual((await perPeriod("day")).map(r => [r._id.toISOString().slice(0, 10), r.loans]),
+      [["2026-03-02", 1], ["2026-03-08", 1], ["2026-03-09", 1], ["2026-04-01", 1]]);
+    assert.deepEqual((await perPeriod("week", { startOfWeek: "monday" })).map(r => [r._id.toISOString().slice(0, 10), r.loans]),
+      [["2026-03-02", 2], ["2026-03-09", 1], ["2026-03-30", 1]]);
+    assert.deepEqual((await perPeriod("month")).map(r => [r._id.toISOString().slice(0, 10), r.loans]),
+      [["2026-03-01", 3], ["2026-04-01", 1]]);
+  });
+
+  test("$group accumulators with $match, $project and $sort", async () => {
+    const rows = await Logs.aggregate([
+      { $match: { borrowedOn: { $lt: new Date("2026-04-01T00:00:00Z") } } },
+      { $group: { _id: "$memberId", loans: { $sum: 1 }, books: { $addToSet: "$bookId" }, first: { $min: "$borrowedOn" } } },
+      { $project: { _id: 0, memberId: "$_id", loans: 1, books: { $size: "$books" }, first: 1 } },
+      { $sort: { loans: -1, memberId: 1 } }
+    ]).toArray();
+    assert.deepEqual(rows, [
+      { memberId: "m1", loans: 2, books: 2, first: new Date("2026-03-02T10:00:00Z") },
+      { memberId: "m2", loans: 1, books: 1, first: new Date("2026-03-09T01:00:00Z") }
+    ]);
+  });
+});
+
+describe("file storage", () => {
+  test("writes survive closing and reopening the store", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "docstore-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "library.json");
+    const _id = new ObjectId();
+
+    const first = createStore({ file });
+    await first.open();
+    await first.collection("Books").insertOne({ _id, title: "Dune", addedAt: new Date("2026-01-01T00:00:00Z") });
+    await first.collection("Books").updateOne({ _id }, { $inc: { borrowCount: 1 } });
+    await first.close();
+
+    const second = createStore({ file });
+    await second.open();
+    const book = await second.collection("Books").findOne({ _id });
+    assert.equal(book.title, "Dune");
+    assert.equal(book.borrowCount, 1);
+    // Types survive the round trip through the file
+    assert.ok(book._id instanceof ObjectId);
+    assert.ok(book.addedAt instanceof Date);
+    await second.close();
+  });
+});
@@ -0,0 +1,33 @@
+// backend/test/helpers.js
+// Shared by the test files: requests against a running server, and a
+// barrier for the tests that race two requests
+
+// Send a request and read the reply. Objects go as JSON, strings as they are
+// (CSV imports); JSON replies are parsed and anything else is kept as text.
+async function call(base, method, path, body, token) {
+  const res = await fetch(base + path, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+  });
+  const type = res.headers.get("content-type") || "";
+  return { status: res.status, body: type.includes("application/json") ? await res.json() : await res.text() };
+}
+
+// Make the first `count` calls to collection[method] wait for each other, so
+// concurrent requests all read before any of them writes, as a double submit
+// from two desks would. Undone by t.mock.restoreAll().
+function holdReads(t, collection, method = "findOne", count = 2) {
+  const original = collection[method];
+  let reads = 0;
+  let release;
+  const allRead = new Promise(resolve => { release = resolve; });
+  t.mock.method(collection, method, async (...args) => {
+    const result = await original.apply(collection, args);
+    if (++reads === count) release();
+    if (reads <= count) await allRead;
+    return result;
+  });
+}
+
+module.exports = { call, holdReads };
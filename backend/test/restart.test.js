@@ -0,0 +1,87 @@
+// backend/test/restart.test.js
+// STORAGE=file: what one server process writes, the next one started on the
+// same DATA_FILE reads back
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { call } = require("./helpers");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject).listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start `node server.js` and resolve once it is listening; stop() sends
+// SIGTERM, which lets the data file finish saving, and waits for the exit
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("running at")) resolve();
+    });
+    child.stderr.on("data", chunk => { output += chunk; });
+    child.once("exit", code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+  return {
+    base: `http://127.0.0.1:${port}`,
+    stop: () => new Promise(resolve => {
+      child.removeAllListeners("exit");
+      child.once("exit", resolve);
+      child.kill("SIGTERM");
+    })
+  };
+}
+
+test("writes persist across a restart", { timeout: 60000 }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "library-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const env = { STORAGE: "file", DATA_FILE: path.join(dir, "library.json"), REMINDERS_ENABLED: "false" };
+
+  const first = await startServer(env);
+  let token;
+  let book;
+  let member;
+  try {
+    await call(first.base, "POST", "/signup", { name: "Ada", email: "ada@example.org", password: "secret1" });
+    token = (await call(first.base, "POST", "/login", { email: "ada@example.org", password: "secret1" })).body.token;
+    book = (await call(first.base, "POST", "/books", { title: "Dune", author: "Frank Herbert", copyCount: 1 }, token)).body;
+    member = (await call(first.base, "POST", "/members", { name: "Bob", email: "bob@example.org" }, token)).body;
+    const loan = await call(first.base, "POST", "/borrow", { bookId: book.id, memberId: member.id }, token);
+    assert.equal(loan.status, 200);
+  } finally {
+    await first.stop();
+  }
+  assert.ok(fs.existsSync(env.DATA_FILE));
+
+  const second = await startServer(env);
+  try {
+    // The session, the records and the loan all came back
+    const stored = await call(second.base, "GET", `/api/v1/books/${book.id}`, undefined, token);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.title, "Dune");
+    assert.equal(stored.body.copies[0].status, "Borrowed");
+    assert.equal(stored.body.copies[0].borrowedBy, member.id);
+
+    const desk = await call(second.base, "GET", `/circulation/members/${member.id}`, undefined, token);
+    assert.equal(desk.body.loans.length, 1);
+    assert.ok(!Number.isNaN(Date.parse(desk.body.loans[0].dueDate)));
+  } finally {
+    await second.stop();
+  }
+});
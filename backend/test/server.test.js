@@ -0,0 +1,319 @@
+// backend/test/server.test.js
+// The HTTP API on the in-memory store, signed in as the first (admin)
+// account: circulation and the reports built from it, the requests that
+// race each other, holds, renewals, fines and bulk import
+process.env.STORAGE = "memory";
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { call: request, holdReads } = require("./helpers");
+const { start } = require("../server");
+const { db, Books, BorrowLogs, Holds, Fines, close } = require("../db");
+const { expireHolds } = require("../holds");
+
+let app;
+let base;
+let token;
+
+const call = (method, path, body, as = token) => request(base, method, path, body, as);
+
+before(async () => {
+  app = await start(0);
+  base = `http://127.0.0.1:${app.address().port}`;
+  // The first account is the admin
+  await call("POST", "/signup", { name: "Ada", email: "ada@example.org", password: "secret1" });
+  token = (await call("POST", "/login", { email: "ada@example.org", password: "secret1" })).body.token;
+});
+
+after(async () => {
+  app.closeAllConnections();
+  await new Promise(resolve => app.close(resolve));
+  await close();
+});
+
+describe("circulation", () => {
+  let book;
+  let member;
+
+  before(async () => {
+    book = (await call("POST", "/books", { title: "Dune", author: "Frank Herbert", genre: "SF", year: 1965, copyCount: 2 })).body;
+    member = (await call("POST", "/members", { name: "Bob", email: "bob@example.org", role: "student" })).body;
+  });
+
+  test("lends each copy once", async () => {
+    const first = await call("POST", "/borrow", { bookId: book.id, memberId: member.id });
+    const second = await call("POST", "/borrow", { bookId: book.id, memberId: member.id });
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.notEqual(first.body.barcode, second.body.barcode);
+
+    const third = await call("POST", "/borrow", { bookId: book.id, memberId: member.id });
+    assert.equal(third.status, 400);
+    assert.match(third.body.msg, /No copies/);
+
+    const desk = await call("GET", `/circulation/members/${member.id}`);
+    assert.equal(desk.body.loans.length, 2);
+  });
+
+  test("a return closes the loan and shelves the copy", async () => {
+    const { body: stored } = await call("GET", `/api/v1/books/${book.id}`);
+    const [copy] = stored.copies.filter(c => c.status === "Borrowed");
+    const res = await call("POST", "/return", { barcode: copy.barcode });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.fine, 0);
+
+    const again = await call("POST", "/return", { barcode: copy.barcode });
+    assert.equal(again.status, 400);
+    const desk = await call("GET", `/circulation/members/${member.id}`);
+    assert.equal(desk.body.loans.length, 1);
+  });
+
+  test("reports count today's loans and returns", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const { status, body } = await call("GET", "/reports/loans?interval=day");
+    assert.equal(status, 200);
+    assert.deepEqual(body.rows.find(r => r.period === today), { period: today, loans: 2, returns: 1 });
+    assert.deepEqual(body.summary, { loans: 2, returns: 1 });
+  });
+
+  test("the genre report joins each loan to its book", async () => {
+    const { body } = await call("GET", "/reports/genres");
+    assert.deepEqual(body.rows, [{ genre: "SF", loans: 2, share: 1, titles: 1, members: 1 }]);
+  });
+
+  test("a copy reported lost twice is closed and charged once", async (t) => {
+    const { body: stored } = await call("GET", `/api/v1/books/${book.id}`);
+    const [copy] = stored.copies.filter(c => c.status === "Borrowed");
+
+    // Both reports read the copy while it is still on loan before either
+    // one writes, as a double submit from two desks would
+    holdReads(t, Books);
+    const reports = await Promise.all([1, 2].map(() => call("POST", "/lost", { barcode: copy.barcode })));
+    t.mock.restoreAll();
+    assert.deepEqual(reports.map(r => r.status).sort(), [200, 409]);
+
+    const { body: fines } = await call("GET", `/fines?memberId=${member.id}`);
+    assert.equal(fines.filter(f => f.type === "lost").length, 1);
+    const desk = await call("GET", `/circulation/members/${member.id}`);
+    assert.equal(desk.body.loans.length, 0);
+  });
+});
+
+describe("returns", () => {
+  test("a copy returned from two desks at once is checked in once", async (t) => {
+    const { body: book } = await call("POST", "/books", { title: "Beloved", author: "Toni Morrison", copyCount: 1 });
+    const { body: member } = await call("POST", "/members", { name: "Fay", email: "fay@example.org" });
+    const { body: loan } = await call("POST", "/borrow", { bookId: book.id, memberId: member.id });
+
+    holdReads(t, Books);
+    const returns = await Promise.all([1, 2].map(() => call("POST", "/return", { barcode: loan.barcode })));
+    t.mock.restoreAll();
+    assert.deepEqual(returns.map(r => r.status).sort(), [200, 409]);
+
+    const logs = await BorrowLogs.find({ bookId: book.id }).toArray();
+    assert.equal(logs.length, 1);
+    assert.ok(logs[0].returnedOn instanceof Date);
+    const { body: stored } = await call("GET", `/api/v1/books/${book.id}`);
+    assert.equal(stored.copies[0].status, "Available");
+    assert.equal((await call("GET", `/circulation/members/${member.id}`)).body.loans.length, 0);
+  });
+});
+
+describe("renewals", () => {
+  test("two renewals sent at once cannot pass the limit", async (t) => {
+    const { body: book } = await call("POST", "/books", { title: "Kindred", author: "Octavia E. Butler", copyCount: 1 });
+    const { body: member } = await call("POST", "/members", { name: "Eve", email: "eve@example.org" });
+    const { body: loan } = await call("POST", "/borrow", { bookId: book.id, memberId: member.id });
+    assert.equal((await call("POST", "/renew", { barcode: loan.barcode })).body.renewalsLeft, 1);
+
+    // Both read one renewal so far before either writes
+    holdReads(t, BorrowLogs);
+    const renewals = await Promise.all([7, 14].map(days => call("POST", "/renew", { barcode: loan.barcode, days })));
+    t.mock.restoreAll();
+    assert.deepEqual(renewals.map(r => r.status).sort(), [200, 409]);
+
+    const limit = await call("POST", "/renew", { barcode: loan.barcode });
+    assert.equal(limit.status, 400);
+    assert.match(limit.body.msg, /limit of 2/);
+    assert.equal((await BorrowLogs.findOne({ bookId: book.id })).renewals, 2);
+  });
+});
+
+describe("title labels", () => {
+  test("a scanned ISBN lends and returns a copy of that title", async () => {
+    const { body: book } = await call("POST", "/books", { title: "Dubliners", author: "James Joyce", isbn: "0-14-118245-8", copyCount: 2 });
+    const { body: member } = await call("POST", "/members", { name: "Jon", email: "jon@example.org" });
+    const { body: other } = await call("POST", "/members", { name: "Kim", email: "kim@example.org" });
+    const isbn = "9780141182452";
+
+    const lent = await call("POST", "/borrow", { barcode: isbn, memberId: member.id });
+    assert.equal(lent.status, 200);
+    assert.equal((await call("POST", "/return", { barcode: isbn })).status, 200);
+
+    await call("POST", "/borrow", { barcode: isbn, memberId: member.id });
+    await call("POST", "/borrow", { barcode: isbn, memberId: other.id });
+    // With both copies out the label can't say which one came back
+    const ambiguous = await call("POST", "/return", { barcode: isbn });
+    assert.equal(ambiguous.status, 400);
+    assert.equal(ambiguous.body.code, "COPY_AMBIGUOUS");
+    assert.equal((await call("POST", "/return", { barcode: isbn, memberId: other.id })).status, 200);
+    assert.equal((await call("POST", "/renew", { barcode: "9780000000002" })).status, 404);
+  });
+});
+
+describe("fines", () => {
+  const addFine = async (amount) => (await Fines.insertOne({
+    memberId: "000000000000000000000001", type: "overdue", amount, paid: 0, waived: 0,
+    status: "outstanding", payments: [], createdAt: new Date()
+  })).insertedId.toString();
+
+  test("payments in cents settle the fine exactly", async () => {
+    const fineId = await addFine(0.3);
+    assert.equal((await call("POST", "/fines/pay", { fineId, amount: 0.1 })).body.balance, 0.2);
+    const last = await call("POST", "/fines/pay", { fineId, amount: 0.2 });
+    assert.equal(last.body.balance, 0);
+    assert.equal((await Fines.findOne({ paid: 0.3 })).status, "paid");
+  });
+
+  test("two payments taken at once cannot overpay a fine", async (t) => {
+    const fineId = await addFine(5);
+    holdReads(t, Fines);
+    const payments = await Promise.all([1, 2].map(() => call("POST", "/fines/pay", { fineId, amount: 5 })));
+    t.mock.restoreAll();
+    assert.deepEqual(payments.map(p => p.status).sort(), [200, 409]);
+    const { body: fines } = await call("GET", "/fines?memberId=000000000000000000000001");
+    const fine = fines.find(f => f._id === fineId);
+    assert.equal(fine.paid, 5);
+    assert.equal(fine.balance, 0);
+  });
+});
+
+describe("hold queue", () => {
+  test("a returned copy waits for the first in line and passes on when not collected", async () => {
+    const { body: book } = await call("POST", "/books", { title: "Middlemarch", author: "George Eliot", copyCount: 1 });
+    const members = [];
+    for (const name of ["Gus", "Hal", "Ivy"]) {
+      members.push((await call("POST", "/members", { name, email: `${name.toLowerCase()}@example.org` })).body);
+    }
+    const [lender, first, second] = members;
+    const { body: loan } = await call("POST", "/borrow", { bookId: book.id, memberId: lender.id });
+    assert.equal((await call("POST", "/holds", { bookId: book.id, memberId: first.id })).body.queueLength, 1);
+    assert.equal((await call("POST", "/holds", { bookId: book.id, memberId: second.id })).body.queueLength, 2);
+    // The member holding the copy cannot queue for it
+    assert.equal((await call("POST", "/holds", { bookId: book.id, memberId: lender.id })).status, 400);
+
+    const returned = await call("POST", "/return", { barcode: loan.barcode });
+    assert.equal(returned.body.hold.memberId, first.id);
+    let { body: stored } = await call("GET", `/api/v1/books/${book.id}`);
+    assert.deepEqual([stored.copies[0].status, stored.copies[0].holdFor], ["On Hold", first.id]);
+
+    await Holds.updateOne({ bookId: book.id, memberId: first.id }, { $set: { pickupBy: new Date(Date.now() - 1000) } });
+    assert.equal(await expireHolds(db), 1);
+    ({ body: stored } = await call("GET", `/api/v1/books/${book.id}`));
+    assert.deepEqual([stored.copies[0].status, stored.copies[0].holdFor], ["On Hold", second.id]);
+    const { body: holds } = await call("GET", `/holds?bookId=${book.id}`);
+    assert.deepEqual(holds.map(h => [h.memberId, h.status]), [[second.id, "ready"]]);
+  });
+});
+
+describe("holds", () => {
+  test("a linked member places their own hold at the back of the queue", async () => {
+    const { body: book } = await call("POST", "/books", { title: "Persuasion", author: "Jane Austen", copyCount: 1 });
+    const { body: lender } = await call("POST", "/members", { name: "Cat", email: "cat@example.org" });
+    await call("POST", "/members", { name: "Dan", email: "dan@example.org" });
+    await call("POST", "/borrow", { bookId: book.id, memberId: lender.id });
+
+    await call("POST", "/signup", { name: "Dan", email: "dan@example.org", password: "secret1" });
+    const dan = (await call("POST", "/login", { email: "dan@example.org", password: "secret1" })).body.token;
+    const unlinked = await call("POST", "/account/holds", { bookId: book.id }, dan);
+    assert.equal(unlinked.status, 403);
+
+    await call("POST", "/account/link", undefined, dan);
+    const [request] = (await call("GET", "/account/links")).body;
+    await call("POST", `/account/links/${request.user.id}/confirm`);
+
+    const placed = await call("POST", "/account/holds", { bookId: book.id }, dan);
+    assert.equal(placed.status, 201);
+    assert.equal(placed.body.queueLength, 1);
+    assert.equal((await call("POST", "/account/holds", { bookId: book.id }, dan)).status, 400);
+    const { body: account } = await call("GET", "/account", undefined, dan);
+    assert.deepEqual(account.holds.map(h => [h.bookId, h.position]), [[book.id, 1]]);
+  });
+});
+
+describe("book updates", () => {
+  test("only the fields sent are changed; an empty one is cleared", async () => {
+    const { body: book } = await call("POST", "/books", { title: "Emma", author: "Jane Austen", year: 1815, isbn: "9780141439587" });
+    const renamed = await call("PUT", `/api/v1/books/${book.id}`, { title: "Emma (Penguin)" });
+    assert.equal(renamed.status, 200);
+    let { body: stored } = await call("GET", `/api/v1/books/${book.id}`);
+    assert.deepEqual([stored.title, stored.author, stored.year, stored.isbn], ["Emma (Penguin)", "Jane Austen", 1815, "9780141439587"]);
+
+    await call("PUT", `/api/v1/books/${book.id}`, { year: "" });
+    ({ body: stored } = await call("GET", `/api/v1/books/${book.id}`));
+    assert.equal(stored.year, null);
+    assert.equal(stored.isbn, "9780141439587");
+    assert.equal((await call("PUT", `/api/v1/books/${book.id}`, { title: " " })).status, 400);
+  });
+});
+
+describe("report ranges", () => {
+  test("a date-only ?to runs to the end of that day", async () => {
+    const { body } = await call("GET", "/reports/loans?from=2026-12-01&to=2026-12-31");
+    assert.equal(body.to, "2026-12-31T23:59:59.999Z");
+    assert.equal(body.rows.at(-1).period, "2026-12-31");
+    // A time given with it is kept
+    const timed = await call("GET", "/reports/loans?from=2026-12-01&to=2026-12-31T12:00:00Z");
+    assert.equal(timed.body.to, "2026-12-31T12:00:00.000Z");
+  });
+
+  test("the default interval follows the length of the range", async () => {
+    const interval = async (from, to) => (await call("GET", `/reports/loans?from=${from}&to=${to}`)).body.interval;
+    assert.equal(await interval("2026-01-01", "2026-01-31"), "day");
+    assert.equal(await interval("2026-01-01", "2026-03-31"), "week");
+    assert.equal(await interval("2025-01-01", "2026-12-31"), "month");
+    assert.equal((await call("GET", "/reports/loans?from=2025-01-01&to=2026-12-31&interval=day")).body.interval, "day");
+  });
+});
+
+describe("bulk import", () => {
+  test("a CSV import skips invalid and duplicate rows and the rest export back", async () => {
+    const csv = [
+      "title,author,isbn,year,copyCount",
+      "Ulysses,James Joyce,9780199535675,1922,2",
+      ",No Title,,,",
+      "Ulysses again,James Joyce,978-0-19-953567-5,,"
+    ].join("\n");
+    const strict = await call("POST", "/import/books?format=csv", csv);
+    assert.equal(strict.status, 400);
+    assert.equal(strict.body.code, "INVALID_ROWS");
+
+    const res = await call("POST", "/import/books?format=csv&skipInvalid=true", csv);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.inserted, 1);
+    assert.deepEqual(res.body.rowErrors.map(e => e.row), [2, 3]);
+
+    const exported = await call("GET", "/export/books");
+    const line = exported.body.split("\n").find(l => l.includes("Ulysses"));
+    assert.match(line, /James Joyce/);
+    assert.match(line, /9780199535675/);
+  });
+});
+
+describe("requests", () => {
+  test("a malformed path escape is a 400", async () => {
+    const res = await call("GET", "/api/v1/books/%E0%A4%A");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_PATH");
+  });
+
+  test("bulk import reports field errors per row", async () => {
+    const res = await call("POST", "/import/members?format=json&dryRun=true", [
+      { name: "Cy", email: "cy@example.org" },
+      { name: "Di", email: "not-an-email" },
+      null
+    ]);
+    assert.equal(res.body.valid, 1);
+    assert.deepEqual(res.body.rowErrors.map(e => [e.row, e.errors.map(err => err.field)]), [[2, ["email"]], [3, [""]]]);
+  });
+});
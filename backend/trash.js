@@ -0,0 +1,58 @@
+// backend/trash.js
+// Recycle bin: deleted books and members are moved to Trash whole, so a
+// restore puts back the same document under the same _id and every loan,
+// fine and hold that refers to it lines up again
+const { httpError } = require("./respond");
+const { auditActor, recordAudit } = require("./audit");
+
+// What can be deleted, where it lives and who may restore it. `unique` is
+// a filter for records that would clash with a restored one; copy barcodes
+// are covered by their unique index instead.
+const TRASH_ENTITIES = {
+  book: {
+    collection: "Books",
+    permission: "books:write",
+    label: (doc) => doc.title,
+    unique: (doc) => ({ _id: doc._id })
+  },
+  member: {
+    collection: "Members",
+    permission: "members:write",
+    label: (doc) => `${doc.name} <${doc.email}>`,
+    unique: (doc) => ({ $or: [{ _id: doc._id }, { email: doc.email }] })
+  }
+};
+
+// Move `doc` from its collection to Trash and audit the delete
+async function moveToTrash(db, user, entity, doc, session) {
+  const { collection, label } = TRASH_ENTITIES[entity];
+  const deletedAt = new Date();
+  await db.collection("Trash").insertOne({
+    entity,
+    entityId: doc._id.toString(),
+    label: label(doc),
+    doc,
+    deletedAt,
+    deletedBy: auditActor(user)
+  }, { session });
+  await db.collection(collection).deleteOne({ _id: doc._id }, { session });
+  await recordAudit(db, user, { action: "delete", entity, entityId: doc._id, before: doc }, session);
+}
+
+// Put a trashed document back. A 409 means its _id or a unique field (a
+// copy barcode, a member email) has been taken since.
+async function restoreFromTrash(db, user, entry, session) {
+  const { collection, unique } = TRASH_ENTITIES[entry.entity];
+  const clash = () => httpError(409, "Cannot restore: a record with the same id, email or barcode exists now");
+  if (await db.collection(collection).findOne(unique(entry.doc), { session })) throw clash();
+  try {
+    await db.collection(collection).insertOne(entry.doc, { session });
+  } catch (err) {
+    if (err.code === 11000) throw clash();
+    throw err;
+  }
+  await db.collection("Trash").deleteOne({ _id: entry._id }, { session });
+  await recordAudit(db, user, { action: "restore", entity: entry.entity, entityId: entry.entityId, after: entry.doc }, session);
+}
+
+module.exports = { TRASH_ENTITIES, moveToTrash, restoreFromTrash };
@@ -0,0 +1,143 @@
+// backend/uploads.js
+// Cover image storage: type sniffing, content-addressed files and cleanup
+// of files no book refers to
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { pipeline } = require("stream/promises");
+const { UPLOAD_DIR } = require("./config");
+const { httpError } = require("./respond");
+const { FilePartStream } = require("./multipart");
+
+// Files younger than this are left alone by the garbage collector: a cover
+// is uploaded before the book that uses it is saved
+const UPLOAD_GC_MIN_AGE_MS = (parseInt(process.env.UPLOAD_GC_MIN_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// Image types we accept, by their leading bytes. The client's filename and
+// Content-Type are never trusted.
+const IMAGE_TYPES = [
+  { ext: ".jpg", mime: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: ".png", mime: "image/png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: ".gif", mime: "image/gif", test: (b) => /^GIF8[79]a/.test(b.toString("latin1", 0, 6)) },
+  { ext: ".webp", mime: "image/webp", test: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP" }
+];
+const SNIFF_BYTES = 12;
+
+function sniffImageType(head) {
+  return IMAGE_TYPES.find(type => head.length >= SNIFF_BYTES && type.test(head)) || null;
+}
+
+// Covers served from UPLOAD_DIR, as opposed to the placeholder or a URL
+const isStoredUpload = (cover) =>
+  typeof cover === "string" && cover.startsWith("/uploads/") && !cover.includes("default");
+
+const uploadFile = (cover) => path.join(UPLOAD_DIR, path.basename(cover));
+
+const tooLarge = (limit) =>
+  httpError(413, `Images must be at most ${Math.round(limit / 1024 / 1024 * 10) / 10} MB`, { code: "PAYLOAD_TOO_LARGE" });
+
+// Stream an image into UPLOAD_DIR and return its public path. The file is
+// named by the SHA-256 of its bytes, so uploading the same image twice
+// stores it once. An image over `limit` bytes is a 413, one that isn't a
+// JPEG, PNG, GIF or WebP a 415. `source` carries the image bytes, or a
+// multipart/form-data body when `boundary` is given (the first file part
+// is used).
+async function storeUpload(source, limit, boundary = null) {
+  const temp = path.join(UPLOAD_DIR, `.upload-${crypto.randomBytes(8).toString("hex")}`);
+  const hash = crypto.createHash("sha256");
+  let head = Buffer.alloc(0);
+  let size = 0;
+  const meter = async function* (chunks) {
+    for await (const chunk of chunks) {
+      size += chunk.length;
+      if (size > limit) throw tooLarge(limit);
+      if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+      hash.update(chunk);
+      yield chunk;
+    }
+  };
+
+  // The request is piped in rather than made part of the pipeline, so a
+  // failure leaves the socket open for the error response
+  const entry = boundary ? new FilePartStream(boundary) : new PassThrough();
+  source.pipe(entry);
+  try {
+    await pipeline(entry, meter, fs.createWriteStream(temp));
+  } catch (err) {
+    source.unpipe(entry);
+    source.resume();
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+
+  if (!size) {
+    fs.rmSync(temp, { force: true });
+    throw httpError(400, "The uploaded file is empty", { code: "NO_FILE" });
+  }
+  const type = sniffImageType(head);
+  if (!type) {
+    fs.rmSync(temp, { force: true });
+    throw httpError(415, "Covers must be JPEG, PNG, GIF or WebP images", { code: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+
+  const filename = hash.digest("hex") + type.ext;
+  const target = path.join(UPLOAD_DIR, filename);
+  const duplicate = fs.existsSync(target);
+  if (duplicate) fs.rmSync(temp, { force: true });
+  else fs.renameSync(temp, target);
+  return { path: `/uploads/${filename}`, type: type.mime, size, duplicate };
+}
+
+// Delete a stored cover once no book, live or in the trash, refers to it
+// any more. Identical uploads share one file, so another book may still be
+// using it.
+async function removeUnusedUpload(db, cover) {
+  if (!isStoredUpload(cover)) return false;
+  if (await db.collection("Books").countDocuments({ cover }, { limit: 1 })) return false;
+  if (await db.collection("Trash").countDocuments({ "doc.cover": cover }, { limit: 1 })) return false;
+  try {
+    fs.unlinkSync(uploadFile(cover));
+    return true;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("Failed to delete image:", err);
+    return false;
+  }
+}
+
+// Remove files in UPLOAD_DIR that no book's cover points at (books in the
+// trash included), skipping the placeholder and anything uploaded within
+// UPLOAD_GC_MIN_AGE_MS. Leftover partial uploads are removed too. With
+// dryRun nothing is deleted. Returns { removed: [{ file, size }], kept, bytes }.
+async function collectUploadGarbage(db, dryRun = false) {
+  const covers = [
+    ...await db.collection("Books").distinct("cover"),
+    ...await db.collection("Trash").distinct("doc.cover", { entity: "book" })
+  ];
+  const referenced = new Set(covers.filter(isStoredUpload).map(cover => path.basename(cover)));
+  const cutoff = Date.now() - UPLOAD_GC_MIN_AGE_MS;
+
+  const removed = [];
+  let kept = 0;
+  for (const file of fs.readdirSync(UPLOAD_DIR)) {
+    const filepath = path.join(UPLOAD_DIR, file);
+    const stat = fs.statSync(filepath);
+    if (!stat.isFile()) continue;
+    if (referenced.has(file) || file.includes("default") || stat.mtimeMs > cutoff) {
+      kept++;
+      continue;
+    }
+    if (!dryRun) fs.unlinkSync(filepath);
+    removed.push({ file, size: stat.size });
+  }
+  return { removed, kept, bytes: removed.reduce((sum, f) => sum + f.size, 0) };
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  sniffImageType,
+  isStoredUpload,
+  storeUpload,
+  removeUnusedUpload,
+  collectUploadGarbage
+};
@@ -0,0 +1,189 @@
+// backend/validation.js
+// Declarative request validation. A schema maps field names to rules:
+//
+//   { type, required, requiredWithout, label, min, max, minLength, maxLength,
+//     enum, pattern, endOfDay, clearable, fields, values, items }
+//
+// type is one of string, number, integer, boolean, objectId, email, isbn,
+// date, object or array (default string). Form and query values arrive as
+// strings, so numbers, booleans and dates are coerced; an empty string
+// counts as missing for every type but string. requiredWithout names a
+// sibling field that makes this one optional when present. endOfDay makes a
+// date given without a time (2026-12-31) the last moment of that UTC day,
+// for the end of a range. clearable keeps an explicit "" or null as null,
+// so an update can clear an optional field it would otherwise skip. Nested
+// objects use `fields` (a schema) or `values` (a rule for every value of a
+// map); arrays use `items`.
+//
+// Fields not in the schema are dropped, so handlers only see what was declared.
+const { normalizeIsbn } = require("./isbn");
+const { sendError } = require("./respond");
+const { DAY_MS } = require("./config");
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ["true", "1", "on", "yes"];
+const FALSE_VALUES = ["false", "0", "off", "no"];
+
+// "copyCount" -> "Copy count", "memberId" -> "Member ID"
+const humanize = (name) => {
+  const words = name.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return (words.charAt(0).toUpperCase() + words.slice(1)).replace(/ id$/, " ID");
+};
+
+const isMissing = (value, type) =>
+  value === undefined || value === null || (type !== "string" && value === "");
+
+// Check one value against its rule. Returns { value } or { error }; nested
+// rules push their own errors and return the cleaned value.
+function checkValue(rule, raw, label, path, errors) {
+  const type = rule.type || "string";
+  let value = raw;
+
+  switch (type) {
+    case "string":
+    case "email":
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") return { error: `${label} must be text` };
+      value = value.trim();
+      if (type === "email" && value && !EMAIL.test(value)) return { error: `${label} must be a valid email address` };
+      break;
+    case "number":
+    case "integer":
+      value = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof value !== "number" || !Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (type === "integer" && !Number.isInteger(value)) return { error: `${label} must be a whole number` };
+      break;
+    case "boolean":
+      if (typeof value === "string") {
+        const lower = value.toLowerCase();
+        if (TRUE_VALUES.includes(lower)) value = true;
+        else if (FALSE_VALUES.includes(lower)) value = false;
+      }
+      if (typeof value !== "boolean") return { error: `${label} must be true or false` };
+      break;
+    case "objectId":
+      if (typeof value !== "string" || !OBJECT_ID.test(value.trim())) return { error: `${label} is not a valid id` };
+      value = value.trim();
+      break;
+    case "isbn": {
+      const normalized = normalizeIsbn(String(value));
+      if (normalized.error) return { error: normalized.error };
+      value = normalized.isbn13;
+      break;
+    }
+    case "date":
+      value = new Date(value);
+      if (isNaN(value.getTime())) return { error: `${label} must be a date` };
+      if (rule.endOfDay && DATE_ONLY.test(String(raw).trim())) value = new Date(value.getTime() + DAY_MS - 1);
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return { error: `${label} must be an object` };
+      if (rule.fields) value = checkFields(rule.fields, value, path, errors);
+      else if (rule.values) {
+        value = Object.fromEntries(Object.entries(value).map(([key, item]) => {
+          const result = checkValue(rule.values, item, `${label} ${key}`, `${path}.${key}`, errors);
+          if (result.error) errors.push({ field: `${path}.${key}`, msg: result.error });
+          return [key, result.value];
+        }));
+      }
+      return { value };
+    case "array":
+      if (!Array.isArray(value)) return { error: `${label} must be a list` };
+      if (rule.items) {
+        value = value.map((item, i) => {
+          const result = checkValue(rule.items, item, `${label} item ${i + 1}`, `${path}.${i}`, errors);
+          if (result.error) errors.push({ field: `${path}.${i}`, msg: result.error });
+          return result.value;
+        });
+      }
+      break;
+    default:
+      throw new Error(`Unknown schema type ${type}`);
+  }
+
+  const size = typeof value === "string" || Array.isArray(value) ? value.length : null;
+  if (rule.minLength !== undefined && size !== null && size < rule.minLength) {
+    return { error: `${label} must be at least ${rule.minLength} ${Array.isArray(value) ? "items" : "characters"}` };
+  }
+  if (rule.maxLength !== undefined && size !== null && size > rule.maxLength) {
+    return { error: `${label} must be at most ${rule.maxLength} ${Array.isArray(value) ? "items" : "characters"}` };
+  }
+  if (rule.min !== undefined && value < rule.min) return { error: `${label} must be at least ${rule.min}` };
+  if (rule.max !== undefined && value > rule.max) return { error: `${label} must be at most ${rule.max}` };
+  if (rule.enum && !rule.enum.includes(value)) return { error: `${label} must be one of: ${rule.enum.join(", ")}` };
+  if (rule.pattern && !rule.pattern.test(value)) return { error: `${label} is not in the expected format` };
+  return { value };
+}
+
+function checkFields(schema, input, prefix, errors) {
+  const data = input && typeof input === "object" ? input : {};
+  const value = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const label = rule.label || humanize(name);
+    const type = rule.type || "string";
+    const raw = data[name];
+
+    const blank = type === "string" && typeof raw === "string" && !raw.trim();
+    if (isMissing(raw, type) || (blank && (rule.required || rule.requiredWithout || rule.minLength))) {
+      const other = rule.requiredWithout;
+      if (rule.required) {
+        errors.push({ field: path, msg: `${label} is required` });
+      } else if (blank && rule.minLength) {
+        errors.push({ field: path, msg: `${label} cannot be empty` });
+      } else if (other && isMissing(data[other], (schema[other] || {}).type)) {
+        const otherLabel = (schema[other] && schema[other].label) || humanize(other);
+        errors.push({ field: path, msg: `${label} or ${otherLabel.toLowerCase()} is required` });
+      } else if (raw === "" && type === "string") {
+        value[name] = "";
+      } else if (rule.clearable && (raw === "" || raw === null)) {
+        value[name] = null;
+      }
+      continue;
+    }
+
+    const result = checkValue(rule, raw, label, path, errors);
+    if (result.error) errors.push({ field: path, msg: result.error });
+    else value[name] = result.value;
+  }
+  return value;
+}
+
+// Validate input against schema. Returns { value, errors }; errors is a list
+// of { field, msg } with dotted paths for nested fields. The schema may also
+// be a single object rule (one with a `type`), e.g. a map keyed by role.
+function validate(schema, input) {
+  const errors = [];
+  if (typeof schema.type !== "string") return { value: checkFields(schema, input, "", errors), errors };
+
+  const result = checkValue(schema, input === undefined ? {} : input, schema.label || "Body", "", errors);
+  if (result.error) errors.push({ field: "", msg: result.error });
+  // Nested paths start with the (empty) root, e.g. ".student.maxLoans"
+  errors.forEach(e => (e.field = e.field.replace(/^\./, "")));
+  return { value: result.value, errors };
+}
+
+// Middleware validating any of req.params, req.query and req.body. Each is
+// replaced by its cleaned value; failures from all three are answered
+// together as one 400 (see respond.js for the error shape).
+const validateRequest = (schemas) => async (req, res, next) => {
+  const errors = [];
+  for (const part of ["params", "query", "body"]) {
+    if (!schemas[part]) continue;
+    if (part === "body" && (typeof req.body !== "object" || Array.isArray(req.body))) {
+      errors.push({ field: "", msg: "Request body must be a JSON object" });
+      continue;
+    }
+    const result = validate(schemas[part], req[part]);
+    errors.push(...result.errors);
+    req[part] = result.value;
+  }
+  if (errors.length) {
+    return sendError(res, 400, errors.map(e => e.msg).join("; "), { code: "VALIDATION_FAILED", errors });
+  }
+  return next();
+};
+
+module.exports = { validate, validateRequest };
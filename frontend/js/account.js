@@ -0,0 +1,128 @@
+// frontend/js/account.js
+// My Account: the signed-in member's loans, holds, fines and history
+// English keys; shown through t()
+const LINK_MESSAGES = {
+  pending: "Your membership link is waiting for a librarian to confirm it.",
+  rejected: "A librarian could not confirm your membership link. Please ask at the desk.",
+  none: "Your account is not linked to a library membership yet."
+};
+
+const bookCell = (item) => `${escapeHtml(item.title || t("Unknown title"))}${item.author ? `<small>${escapeHtml(item.author)}</small>` : ""}`;
+
+async function accountFetch(path, opts = {}) {
+  const res = await fetch(path, { ...opts, headers: { ...(opts.headers || {}), ...authHeader() } });
+  if (handleAuthFailure(res)) return { ok: false };
+  const json = await res.json();
+  return res.ok ? { ok: true, ...json } : { ok: false, ...json };
+}
+
+function renderLink(account) {
+  const link = account.memberLink;
+  const status = link ? link.status : "none";
+  const linked = status === "confirmed" && account.member;
+  document.getElementById("accountName").textContent = linked ? account.member.name : account.user.name;
+  document.getElementById("linkStatus").innerHTML = linked
+    ? `<span class="link-status confirmed">${t("Member")}</span> ${escapeHtml(account.member.email)}`
+    : escapeHtml(t(LINK_MESSAGES[status] || LINK_MESSAGES.none));
+  // A fresh request can be made unless one is already waiting
+  document.getElementById("requestLinkBtn").style.display = !link || status === "rejected" ? "inline-block" : "none";
+  document.getElementById("accountDetails").style.display = linked ? "block" : "none";
+}
+
+function renderLoans(loans) {
+  const tbody = document.querySelector("#loans tbody");
+  tbody.innerHTML = loans.length ? loans.map(l => `
+    <tr>
+      <td>${bookCell(l)}</td>
+      <td>${formatDate(l.borrowedOn)}</td>
+      <td class="${l.overdue ? "overdue" : ""}">${formatDate(l.dueDate)}${l.overdue ? `<small>${t("Overdue")}</small>` : ""}</td>
+      <td>${formatNumber(l.renewals)}</td>
+      <td>
+        <button class="export-btn renew-btn" data-copy="${l.copyId}" ${l.canRenew ? "" : "disabled"}
+          title="${escapeHtml(l.renewBlockedBy || t("Extend the due date"))}">${t("Renew")}</button>
+      </td>
+    </tr>
+  `).join("") : `<tr><td colspan="5">${t("Nothing on loan.")}</td></tr>`;
+  tbody.querySelectorAll(".renew-btn").forEach(btn => btn.addEventListener("click", () => renewLoan(btn.dataset.copy)));
+}
+
+function renderHolds(holds) {
+  const tbody = document.querySelector("#holds tbody");
+  tbody.innerHTML = holds.length ? holds.map(h => `
+    <tr>
+      <td>${bookCell(h)}</td>
+      <td>${formatDate(h.createdAt)}</td>
+      <td>${h.status === "ready"
+        ? `${t("Ready to collect")}${h.pickupBy ? `<small>${t("until {date}", { date: formatDate(h.pickupBy) })}</small>` : ""}`
+        : `${t("Waiting")}<small>${t("#{position} in queue", { position: formatNumber(h.position) })}</small>`}</td>
+      <td><button class="export-btn cancel-hold-btn" data-id="${h._id}">${t("Cancel")}</button></td>
+    </tr>
+  `).join("") : `<tr><td colspan="4">${t("No holds.")}</td></tr>`;
+  tbody.querySelectorAll(".cancel-hold-btn").forEach(btn => btn.addEventListener("click", () => cancelHold(btn.dataset.id)));
+}
+
+function renderFines(fines) {
+  document.getElementById("fineBalance").textContent = t("Outstanding balance: {amount}", { amount: formatMoney(fines.balance, fines.currency) });
+  document.querySelector("#fines tbody").innerHTML = fines.items.length ? fines.items.map(f => `
+    <tr>
+      <td>${bookCell(f)}</td>
+      <td>${t(f.type)}</td>
+      <td>${formatDate(f.createdAt)}</td>
+      <td>${formatMoney(f.balance, fines.currency)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="4">${t("No outstanding fines.")}</td></tr>`;
+}
+
+function renderHistory(history) {
+  document.querySelector("#history tbody").innerHTML = history.length ? history.map(l => `
+    <tr>
+      <td>${bookCell(l)}</td>
+      <td>${formatDate(l.borrowedOn)}</td>
+      <td>${formatDate(l.returnedOn)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="3">${t("No past loans.")}</td></tr>`;
+}
+
+async function loadAccount() {
+  const res = await accountFetch("/account");
+  if (!res.ok) {
+    document.getElementById("linkStatus").textContent = res.msg || t("Failed to load your account");
+    return;
+  }
+  renderLink(res);
+  if (!res.member) return;
+  renderLoans(res.loans);
+  renderHolds(res.holds);
+  renderFines(res.fines);
+  renderHistory(res.history);
+}
+
+async function renewLoan(copyId) {
+  const res = await accountFetch("/account/renew", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ copyId })
+  });
+  if (!res.ok) return alert(res.msg || t("Renewal failed"));
+  alert(t("Renewed until {date}", { date: formatDate(res.dueDate) }));
+  loadAccount();
+}
+
+async function cancelHold(id) {
+  if (!confirm(t("Cancel this hold?"))) return;
+  const res = await accountFetch(`/account/holds/${id}`, { method: "DELETE" });
+  if (!res.ok) return alert(res.msg || t("Could not cancel the hold"));
+  loadAccount();
+}
+
+document.getElementById("requestLinkBtn").addEventListener("click", async () => {
+  const res = await accountFetch("/account/link", { method: "POST" });
+  if (!res.ok) return alert(res.msg || t("Could not request the link"));
+  loadAccount();
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  loadAccount();
+});
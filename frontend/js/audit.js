@@ -0,0 +1,158 @@
+// frontend/js/audit.js
+// Trash (restore / delete for good) and the filterable audit log
+const auditFilters = document.getElementById("auditFilters");
+let auditPage = 1;
+
+async function auditFetch(path, opts = {}) {
+  const res = await fetch(path, { ...opts, headers: authHeader() });
+  if (handleAuthFailure(res)) return { ok: false };
+  const json = await res.json();
+  return res.ok ? { ok: true, ...(Array.isArray(json) ? { items: json } : json) } : { ok: false, ...json };
+}
+
+// --- Trash ---
+async function loadTrash() {
+  const tbody = document.querySelector("#trash tbody");
+  const res = await auditFetch("/trash");
+  if (!res.ok) {
+    document.getElementById("trashSection").style.display = "none";
+    return;
+  }
+  tbody.innerHTML = res.items.length ? res.items.map(item => `
+    <tr>
+      <td>${escapeHtml(item.label || item.entityId)}</td>
+      <td>${t(item.entity)}</td>
+      <td>${formatDateTime(item.deletedAt)}</td>
+      <td>${item.deletedBy ? escapeHtml(item.deletedBy.name) : "—"}</td>
+      <td class="trash-actions">
+        <button class="export-btn restore-btn" data-id="${item._id}">${t("Restore")}</button>
+        <button class="export-btn purge-btn" data-id="${item._id}" data-permission="settings:manage">${t("Delete Forever")}</button>
+      </td>
+    </tr>
+  `).join("") : `<tr><td colspan="5">${t("The trash is empty.")}</td></tr>`;
+  tbody.querySelectorAll(".restore-btn").forEach(btn => btn.addEventListener("click", () => restoreEntry(btn.dataset.id)));
+  tbody.querySelectorAll(".purge-btn").forEach(btn => btn.addEventListener("click", () => purgeEntry(btn.dataset.id)));
+  applyPermissions(tbody);
+}
+
+async function restoreEntry(id) {
+  const res = await auditFetch(`/trash/${id}/restore`, { method: "POST" });
+  if (!res.ok) return alert(res.msg || t("Restore failed"));
+  loadTrash();
+  loadAudit();
+}
+
+async function purgeEntry(id) {
+  if (!confirm(t("Delete this record permanently? This cannot be undone."))) return;
+  const res = await auditFetch(`/trash/${id}`, { method: "DELETE" });
+  if (!res.ok) return alert(res.msg || t("Delete failed"));
+  loadTrash();
+  loadAudit();
+}
+
+// --- Audit log ---
+// English keys; shown through t()
+const ACTION_LABELS = {
+  create: "Created", update: "Updated", delete: "Deleted", restore: "Restored", purge: "Purged",
+  merge: "Merged", borrow: "Borrowed", return: "Returned", renew: "Renewed", lost: "Lost", link: "Account link"
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return escapeHtml(text.length > 120 ? text.slice(0, 117) + "..." : text);
+}
+
+function renderChanges(entry) {
+  const details = entry.details || {};
+  const notes = [];
+  if (details.change) notes.push(`${t(details.change)} ${details.barcode || ""}`);
+  if (details.memberId) notes.push(t("member {id}", { id: details.memberId }));
+  if (details.sourceTitle) notes.push(t("merged in “{title}”", { title: details.sourceTitle }));
+  if (details.import) notes.push(t("bulk import"));
+  if (details.label) notes.push(details.label);
+  if (details.decision) notes.push(t("account {email} {decision}", { email: details.email, decision: t(details.decision) }));
+
+  // Creates and deletes list every field; only the new or old side is useful
+  const changes = Object.entries(entry.changes || {}).map(([field, { from, to }]) => {
+    if (entry.action === "create" || entry.action === "restore") return `<li><b>${escapeHtml(field)}</b>: <span class="to">${formatValue(to)}</span></li>`;
+    if (entry.action === "delete") return `<li><b>${escapeHtml(field)}</b>: <span class="from">${formatValue(from)}</span></li>`;
+    return `<li><b>${escapeHtml(field)}</b>: <span class="from">${formatValue(from)}</span> → <span class="to">${formatValue(to)}</span></li>`;
+  });
+  return `${notes.length ? `<small>${escapeHtml(notes.join(" • "))}</small>` : ""}<ul class="audit-changes">${changes.join("")}</ul>`;
+}
+
+function auditQuery() {
+  const data = Object.fromEntries(new FormData(auditFilters).entries());
+  const params = new URLSearchParams({ page: auditPage });
+  ["entity", "action", "user", "entityId"].forEach(key => data[key] && params.set(key, data[key].trim()));
+  // Whole local days
+  if (data.from) params.set("from", new Date(`${data.from}T00:00:00`).toISOString());
+  if (data.to) params.set("to", new Date(`${data.to}T23:59:59.999`).toISOString());
+  return params;
+}
+
+async function loadAudit() {
+  if (!can("audit:read")) return;
+  const tbody = document.querySelector("#audit tbody");
+  const res = await auditFetch("/audit?" + auditQuery().toString());
+  if (!res.ok) {
+    tbody.innerHTML = `<tr><td colspan="5">${escapeHtml(res.msg || t("Failed to load the audit log"))}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = res.entries.length ? res.entries.map(e => `
+    <tr>
+      <td>${formatDateTime(e.at)}</td>
+      <td>${e.user ? `${escapeHtml(e.user.name)}<small>${escapeHtml(e.user.email)}</small>` : t("System")}</td>
+      <td>${ACTION_LABELS[e.action] ? t(ACTION_LABELS[e.action]) : e.action}</td>
+      <td><a class="audit-record-link" data-entity="${e.entity}" data-id="${e.entityId}" title="${escapeHtml(t("Show this record's history"))}">${t(e.entity)}<small>${e.entityId}</small></a></td>
+      <td>${renderChanges(e)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="5">${t("No matching audit entries.")}</td></tr>`;
+  tbody.querySelectorAll(".audit-record-link").forEach(link => link.addEventListener("click", () => {
+    auditFilters.entity.value = link.dataset.entity;
+    auditFilters.entityId.value = link.dataset.id;
+    auditPage = 1;
+    loadAudit();
+  }));
+
+  document.getElementById("auditPageInfo").textContent = `${tn(res.total, "{count} entry", "{count} entries")} • ${t("Page {page} of {pages}", {
+    page: formatNumber(res.page), pages: formatNumber(res.pages)
+  })}`;
+  document.getElementById("auditPrev").disabled = res.page <= 1;
+  document.getElementById("auditNext").disabled = res.page >= res.pages;
+}
+
+auditFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  auditPage = 1;
+  loadAudit();
+});
+auditFilters.addEventListener("reset", () => {
+  // The hidden record filter isn't cleared by a form reset
+  setTimeout(() => {
+    auditFilters.entityId.value = "";
+    auditPage = 1;
+    loadAudit();
+  });
+});
+document.getElementById("auditPrev").addEventListener("click", () => {
+  auditPage--;
+  loadAudit();
+});
+document.getElementById("auditNext").addEventListener("click", () => {
+  auditPage++;
+  loadAudit();
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (!can("audit:read") && !can("books:write") && !can("members:write")) {
+    window.location.href = "/";
+    return;
+  }
+  applyPermissions();
+  loadTrash();
+  loadAudit();
+});
@@ -5,16 +5,16 @@ const signupForm = document.getElementById("signupForm");
 if (loginForm) {
   loginForm.addEventListener("submit", async (e) => {
     e.preventDefault();
+    clearFieldErrors(loginForm);
     const data = Object.fromEntries(new FormData(loginForm).entries());
     const res = await fetch("/login", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(data) });
     const json = await res.json();
     if (json.ok) {
       localStorage.setItem("token", json.token);
       localStorage.setItem("user", JSON.stringify(json.user));
-      alert("Logged in");
       window.location.href = "/";
     } else {
-      alert(json.msg || "Login failed");
+      showFieldErrors(loginForm, { msg: t("Login failed"), ...json });
     }
   });
 }
@@ -22,14 +22,21 @@ if (loginForm) {
 if (signupForm) {
   signupForm.addEventListener("submit", async (e) => {
     e.preventDefault();
+    clearFieldErrors(signupForm);
     const data = Object.fromEntries(new FormData(signupForm).entries());
-    const res = await fetch("/signup", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(data) });
+    // New accounts start in the language picked on this page
+    data.locale = activeLocale;
+    // Signed-in admins send their token so the server honours the chosen role
+    const res = await fetch("/signup", { method: "POST", headers: { "Content-Type": "application/json", ...authHeader() }, body: JSON.stringify(data) });
     const json = await res.json();
     if (json.ok) {
-      alert("Signup successful. You can login now.");
       signupForm.reset();
+      const linkNote = json.memberLink ? " " + t("Your library membership will appear under My Account once a librarian confirms it.") : "";
+      showFormMessage(signupForm, t("Signup successful. You can login now.") + linkNote, "success");
     } else {
-      alert(json.msg || "Signup failed");
+      showFieldErrors(signupForm, { msg: t("Signup failed"), ...json });
     }
   });
 }
+
+applyPermissions();
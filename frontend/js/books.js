@@ -3,87 +3,168 @@
 
 const API = window.location.origin; // Automatically uses current domain instead of localhost
 
-function authHeader() {
-  const token = localStorage.getItem("token");
-  return token ? { Authorization: "Bearer " + token } : {};
-}
-
-// Helpers
+// Helpers (authHeader, can, handleAuthFailure come from session.js)
 async function apiFetch(path, opts = {}) {
   opts.headers = Object.assign({}, opts.headers || {}, { "Content-Type": "application/json" }, authHeader());
   if (opts.body && typeof opts.body === "object" && !(opts.body instanceof FormData)) {
     opts.body = JSON.stringify(opts.body);
   }
   const res = await fetch(API + path, opts);
+  handleAuthFailure(res);
   if (res.headers.get("content-type")?.includes("application/json")) return res.json();
   return res.text();
 }
 
-// Load books and render cards
+// Catalog query state: search text, filter chips, sort and current page
+const catalogState = { q: "", status: "", genre: "", sort: "newest", page: 1 };
+const CATALOG_PAGE_SIZE = 24;
+
+// Build one catalog card from the template
+function renderBookCard(book) {
+  const tpl = document.getElementById("cardTpl");
+  const el = tpl.content.cloneNode(true);
+  const root = el.querySelector(".card");
+  root.id = "book-" + book._id;
+  el.querySelector(".cover").src = book.cover || "/uploads/default-book.jpg";
+  el.querySelector(".cover").alt = book.title;
+  el.querySelector(".title").textContent = book.title;
+  el.querySelector(".author").textContent = book.author;
+  el.querySelector(".genre-year").textContent = `${book.genre || t("Unknown")} • ${book.year || ""}`;
+  
+  const badge = el.querySelector(".status-badge");
+  const dueText = el.querySelector(".due-text");
+  const copies = book.copies || [];
+  const onLoan = copies.filter(c => c.status === "Borrowed");
+  const available = copies.filter(c => c.status === "Available").length;
+  
+  badge.textContent = t("{available} of {total} available", { available: formatNumber(available), total: formatNumber(copies.length) });
+  badge.classList.add(available > 0 ? "available" : "borrowed");
+  el.querySelector(".borrow-btn").style.display = available > 0 ? "inline-block" : "none";
+  el.querySelector(".return-btn").style.display = onLoan.length ? "inline-block" : "none";
+  el.querySelector(".renew-btn").style.display = onLoan.length ? "inline-block" : "none";
+  el.querySelector(".hold-btn").style.display = available > 0 ? "none" : "inline-block";
+  
+  const notes = [];
+  if (!available && onLoan.length) {
+    const nextDue = Math.min(...onLoan.map(c => new Date(c.dueDate).getTime()));
+    notes.push(t("Next due: {date}", { date: formatDate(nextDue) }));
+  }
+  if (book.holdCount) notes.push(tn(book.holdCount, "{count} waiting", "{count} waiting"));
+  dueText.textContent = notes.join(" • ");
+  
+  // Actions
+  el.querySelector(".borrow-btn").onclick = () => borrowBook(book._id);
+  el.querySelector(".return-btn").onclick = () => returnBook(book._id, book.title);
+  el.querySelector(".renew-btn").onclick = () => renewBook(book._id);
+  el.querySelector(".hold-btn").onclick = () => placeHold(book._id);
+  el.querySelector(".delete-btn").onclick = () => deleteBook(book._id);
+  el.querySelector(".edit-btn").onclick = () => openEditModal(book);
+  const labelCheck = el.querySelector(".label-check");
+  labelCheck.checked = labelSelection.has(book._id);
+  labelCheck.onchange = () => selectForLabels(book._id, labelCheck.checked);
+  applyPermissions(el);
+  return el;
+}
+
+// Load the current catalog page and render cards
 async function loadBooks() {
   const cards = document.getElementById("cards");
   if (!cards) return;
   
+  const params = new URLSearchParams({ page: catalogState.page, limit: CATALOG_PAGE_SIZE, sort: catalogState.sort });
+  if (catalogState.q) params.set("q", catalogState.q);
+  if (catalogState.status) params.set("status", catalogState.status);
+  if (catalogState.genre) params.set("genre", catalogState.genre);
+  
   try {
-    const books = await apiFetch("/books", { method: "GET" });
+    const result = await apiFetch("/books?" + params.toString(), { method: "GET" });
+    if (result.offline) {
+      cards.innerHTML = emptyState(t("You are offline"), t("This part of the catalog hasn't been saved for offline use yet."));
+      return;
+    }
+    const books = result.books || [];
     cards.innerHTML = "";
+    renderPager(result);
     
     if (!books.length) {
-      cards.innerHTML = '<div class="empty-state"><h2>No books available</h2><p>Start by adding your first book!</p></div>';
+      const filtered = catalogState.q || catalogState.status || catalogState.genre;
+      cards.innerHTML = filtered
+        ? emptyState(t("No matching books"), t("Try a different search or filter."))
+        : emptyState(t("No books available"), t("Start by adding your first book!"));
       return;
     }
     
-    const tpl = document.getElementById("cardTpl");
-    books.forEach(book => {
-      const el = tpl.content.cloneNode(true);
-      const root = el.querySelector(".card");
-      root.id = "book-" + book._id;
-      el.querySelector(".cover").src = book.cover || "/uploads/default-book.jpg";
-      el.querySelector(".cover").alt = book.title;
-      el.querySelector(".title").textContent = book.title;
-      el.querySelector(".author").textContent = book.author;
-      el.querySelector(".genre-year").textContent = `${book.genre || "Unknown"} • ${book.year || ""}`;
-      
-      const badge = el.querySelector(".status-badge");
-      const dueText = el.querySelector(".due-text");
-      
-      if (book.status === "Available") {
-        badge.textContent = "Available";
-        badge.classList.add("available");
-        el.querySelector(".borrow-btn").style.display = "inline-block";
-        el.querySelector(".return-btn").style.display = "none";
-      } else {
-        badge.textContent = "Borrowed";
-        badge.classList.add("borrowed");
-        el.querySelector(".borrow-btn").style.display = "none";
-        el.querySelector(".return-btn").style.display = "inline-block";
-        dueText.textContent = book.dueDate ? `Due: ${new Date(book.dueDate).toLocaleDateString()}` : "";
-      }
-      
-      // Actions
-      el.querySelector(".borrow-btn").onclick = () => borrowBook(book._id);
-      el.querySelector(".return-btn").onclick = () => returnBook(book._id);
-      el.querySelector(".delete-btn").onclick = () => deleteBook(book._id);
-      el.querySelector(".edit-btn").onclick = () => openEditModal(book);
-      
-      cards.appendChild(el);
-    });
+    books.forEach(book => cards.appendChild(renderBookCard(book)));
   } catch (error) {
     console.error("Error loading books:", error);
-    cards.innerHTML = '<div class="empty-state"><h2>Error loading books</h2><p>Please try again later.</p></div>';
+    cards.innerHTML = emptyState(t("Error loading books"), t("Please try again later."));
   }
 }
 
-// Search functionality
+const emptyState = (heading, text) => `<div class="empty-state"><h2>${heading}</h2><p>${text}</p></div>`;
+
+function renderPager({ total = 0, page = 1, pages = 1 }) {
+  const pager = document.getElementById("pager");
+  if (!pager) return;
+  pager.querySelector(".pager-info").textContent =
+    `${tn(total, "{count} book", "{count} books")} • ${t("Page {page} of {pages}", { page: formatNumber(page), pages: formatNumber(pages) })}`;
+  pager.querySelector(".pager-prev").disabled = page <= 1;
+  pager.querySelector(".pager-next").disabled = page >= pages;
+}
+
+function setCatalogFilter(changes) {
+  Object.assign(catalogState, changes, { page: 1 });
+  document.querySelectorAll(".chip").forEach(chip => {
+    chip.classList.toggle("active", catalogState[chip.dataset.filter] === chip.dataset.value);
+  });
+  loadBooks();
+}
+
+function addChip(container, filter, value, label) {
+  const chip = document.createElement("button");
+  chip.type = "button";
+  chip.className = "chip";
+  chip.dataset.filter = filter;
+  chip.dataset.value = value;
+  chip.textContent = label;
+  chip.classList.toggle("active", catalogState[filter] === value);
+  chip.onclick = () => setCatalogFilter({ [filter]: catalogState[filter] === value ? "" : value });
+  container.appendChild(chip);
+}
+
+async function loadGenreChips() {
+  const container = document.getElementById("genreChips");
+  if (!container) return;
+  const genres = await apiFetch("/books/genres", { method: "GET" });
+  container.innerHTML = "";
+  (Array.isArray(genres) ? genres : []).forEach(g => addChip(container, "genre", g.genre, `${g.genre} (${formatNumber(g.count)})`));
+}
+
+function setupCatalogControls() {
+  const statusChips = document.getElementById("statusChips");
+  if (!statusChips) return;
+  [["Available", "Available"], ["Borrowed", "All copies out"], ["Unavailable", "Unavailable"]]
+    .forEach(([value, label]) => addChip(statusChips, "status", value, t(label)));
+  
+  document.getElementById("sortSelect").addEventListener("change", (e) => setCatalogFilter({ sort: e.target.value }));
+  document.querySelector("#pager .pager-prev").onclick = () => {
+    catalogState.page--;
+    loadBooks();
+  };
+  document.querySelector("#pager .pager-next").onclick = () => {
+    catalogState.page++;
+    loadBooks();
+  };
+  loadGenreChips();
+}
+
+// Search runs on the server, debounced while typing
+let searchTimer = null;
 const searchInput = document.getElementById("searchInput");
 if (searchInput) {
   searchInput.addEventListener("input", (e) => {
-    const q = e.target.value.toLowerCase();
-    document.querySelectorAll(".card").forEach(card => {
-      const title = card.querySelector(".title").textContent.toLowerCase();
-      const author = card.querySelector(".author").textContent.toLowerCase();
-      card.style.display = title.includes(q) || author.includes(q) ? "" : "none";
-    });
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setCatalogFilter({ q: e.target.value.trim() }), 300);
   });
 }
 
@@ -100,7 +181,7 @@ if (bookForm) {
     if (e.target.files && e.target.files[0]) {
       const reader = new FileReader();
       reader.onload = (event) => {
-        previewContainer.innerHTML = `<img src="${event.target.result}" alt="Cover preview">`;
+        previewContainer.innerHTML = `<img src="${event.target.result}" alt="${t("Cover preview")}">`;
         previewContainer.classList.add("active");
       };
       reader.readAsDataURL(e.target.files[0]);
@@ -109,40 +190,62 @@ if (bookForm) {
   
   bookForm.addEventListener("submit", async (e) => {
     e.preventDefault();
+    clearFieldErrors(bookForm);
     const submitBtn = bookForm.querySelector('button[type="submit"]');
     submitBtn.disabled = true;
-    submitBtn.textContent = "Adding...";
+    submitBtn.textContent = t("Adding...");
     
     try {
       const fd = new FormData(bookForm);
       const data = Object.fromEntries(fd.entries());
       
-      // Handle cover upload
+      // Handle cover upload; offline the book is queued without its cover
+      let coverSkipped = false;
       if (coverInput.files && coverInput.files[0]) {
-        const file = coverInput.files[0];
-        const base64 = await fileToBase64(file);
-        const uploadRes = await apiFetch("/uploadCover", { method: "POST", body: { filename: file.name, base64 } });
-        if (uploadRes.ok) data.cover = uploadRes.path;
+        try {
+          data.cover = await uploadCover(coverInput.files[0]);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          coverSkipped = true;
+        }
       }
       
-      await apiFetch("/books", { method: "POST", body: data });
-      alert("Book added successfully!");
+      const res = await sendOrQueue("/books", { body: data, label: t("Add “{title}”", { title: data.title }) });
+      if (res.queued) {
+        alert(coverSkipped
+          ? t("You're offline. “{title}” will be added when the connection returns; its cover could not be uploaded, so add it by editing the book later.", { title: data.title })
+          : t("You're offline. “{title}” will be added when the connection returns.", { title: data.title }));
+        window.location.href = "/";
+        return;
+      }
+      if (!res.ok) {
+        showFieldErrors(bookForm, { msg: t("Failed to add book"), ...res });
+        submitBtn.disabled = false;
+        submitBtn.textContent = t("Save");
+        return;
+      }
+      const warnings = res.warnings && res.warnings.length ? "\n\n" + res.warnings.join("\n") : "";
+      alert(t("Book added successfully!") + warnings);
       window.location.href = "/";
     } catch (error) {
       console.error("Error adding book:", error);
-      alert("Failed to add book. Please try again.");
+      showFormMessage(bookForm, error.message || t("Failed to add book. Please try again."));
       submitBtn.disabled = false;
-      submitBtn.textContent = "Save";
+      submitBtn.textContent = t("Save");
     }
   });
 }
 
-function fileToBase64(file) {
-  return new Promise((res) => {
-    const reader = new FileReader();
-    reader.onload = () => res(reader.result);
-    reader.readAsDataURL(file);
-  });
+// Send a cover image as multipart form data; resolves to its /uploads path.
+// The browser sets the multipart Content-Type, so this skips apiFetch.
+async function uploadCover(file) {
+  const body = new FormData();
+  body.append("cover", file);
+  const res = await fetch(API + "/uploadCover", { method: "POST", headers: authHeader(), body });
+  handleAuthFailure(res);
+  const json = await res.json();
+  if (!json.ok) throw new Error(json.msg || t("Failed to upload cover"));
+  return json.path;
 }
 
 // Edit book with modal
@@ -156,30 +259,30 @@ function openEditModal(book) {
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
-          <h3>Edit Book</h3>
+          <h3>${t("Edit Book")}</h3>
           <button class="modal-close" onclick="closeEditModal()">&times;</button>
         </div>
         <form id="editBookForm">
           <input type="hidden" id="edit-id" name="id">
           
           <div class="form-group">
-            <label for="edit-title">Title *</label>
+            <label for="edit-title">${t("Title")} *</label>
             <input type="text" id="edit-title" name="title" required>
           </div>
           
           <div class="form-group">
-            <label for="edit-author">Author *</label>
+            <label for="edit-author">${t("Author")} *</label>
             <input type="text" id="edit-author" name="author" required>
           </div>
           
           <div class="input-row">
             <div class="form-group">
-              <label for="edit-genre">Genre</label>
+              <label for="edit-genre">${t("Genre")}</label>
               <input type="text" id="edit-genre" name="genre">
             </div>
             
             <div class="form-group">
-              <label for="edit-year">Year</label>
+              <label for="edit-year">${t("Year")}</label>
               <input type="number" id="edit-year" name="year" min="1000" max="2100">
             </div>
           </div>
@@ -190,14 +293,23 @@ function openEditModal(book) {
           </div>
           
           <div class="form-group">
-            <label for="edit-cover">Cover Image</label>
-            <input type="file" id="edit-cover" accept="image/*">
+            <label for="edit-cover">${t("Cover Image")}</label>
+            <input type="file" id="edit-cover" accept="image/jpeg,image/png,image/gif,image/webp">
             <div id="edit-preview" class="file-preview"></div>
           </div>
           
+          <div class="form-group">
+            <label>${t("Copies")}</label>
+            <ul id="edit-copies" class="copy-list"></ul>
+            <div class="input-row">
+              <input type="text" id="new-copy-location" placeholder="${t("Shelf location")}">
+              <button type="button" class="btn-alt" id="add-copy-btn">${t("Add Copy")}</button>
+            </div>
+          </div>
+          
           <div class="modal-actions">
-            <button type="button" class="btn-alt" onclick="closeEditModal()">Cancel</button>
-            <button type="submit" class="btn">Update Book</button>
+            <button type="button" class="btn-alt" onclick="closeEditModal()">${t("Cancel")}</button>
+            <button type="submit" class="btn">${t("Update Book")}</button>
           </div>
         </form>
       </div>
@@ -210,13 +322,15 @@ function openEditModal(book) {
       await updateBook();
     });
     
+    document.getElementById("add-copy-btn").addEventListener("click", addCopy);
+    
     // Handle cover preview
     document.getElementById("edit-cover").addEventListener("change", (e) => {
       const preview = document.getElementById("edit-preview");
       if (e.target.files && e.target.files[0]) {
         const reader = new FileReader();
         reader.onload = (event) => {
-          preview.innerHTML = `<img src="${event.target.result}" alt="Cover preview">`;
+          preview.innerHTML = `<img src="${event.target.result}" alt="${t("Cover preview")}">`;
           preview.classList.add("active");
         };
         reader.readAsDataURL(e.target.files[0]);
@@ -232,9 +346,11 @@ function openEditModal(book) {
   document.getElementById("edit-year").value = book.year || "";
   document.getElementById("edit-isbn").value = book.isbn || "";
   
+  renderCopies(book);
+  
   const preview = document.getElementById("edit-preview");
   if (book.cover) {
-    preview.innerHTML = `<img src="${book.cover}" alt="Current cover">`;
+    preview.innerHTML = `<img src="${escapeHtml(book.cover)}" alt="${t("Current cover")}">`;
     preview.classList.add("active");
   } else {
     preview.innerHTML = "";
@@ -244,9 +360,59 @@ function openEditModal(book) {
   modal.style.display = "flex";
 }
 
+// Copy list inside the edit modal
+function renderCopies(book) {
+  const list = document.getElementById("edit-copies");
+  list.dataset.bookId = book._id;
+  list.innerHTML = "";
+  
+  (book.copies || []).forEach(copy => {
+    const li = document.createElement("li");
+    li.className = "copy-item";
+    li.innerHTML = `
+      <span class="copy-barcode"></span>
+      <span class="copy-meta"></span>
+      <button type="button" class="btn-small danger">${t("Remove")}</button>
+    `;
+    li.querySelector(".copy-barcode").textContent = copy.barcode;
+    li.querySelector(".copy-meta").textContent =
+      [copy.location || t("No location"), t(copy.condition), t(copy.status)].join(" • ");
+    const removeBtn = li.querySelector("button");
+    removeBtn.disabled = copy.status === "Borrowed";
+    removeBtn.onclick = () => removeCopy(book._id, copy._id);
+    list.appendChild(li);
+  });
+}
+
+async function refreshCopies(bookId) {
+  const books = await apiFetch("/books", { method: "GET" });
+  const book = books.find(b => b._id === bookId);
+  if (book) renderCopies(book);
+}
+
+async function addCopy() {
+  const bookId = document.getElementById("edit-copies").dataset.bookId;
+  const location = document.getElementById("new-copy-location").value.trim();
+  const res = await apiFetch("/books/copies", { method: "POST", body: { bookId, location } });
+  if (!res.ok) return showNotification(res.msg || t("Failed to add copy"), "error");
+  document.getElementById("new-copy-location").value = "";
+  showNotification(t("Copy {barcode} added", { barcode: res.copy.barcode }), "success");
+  await refreshCopies(bookId);
+  loadBooks();
+}
+
+async function removeCopy(bookId, copyId) {
+  if (!confirm(t("Remove this copy?"))) return;
+  const res = await apiFetch("/books/copies", { method: "DELETE", body: { bookId, copyId } });
+  if (!res.ok) return showNotification(res.msg || t("Failed to remove copy"), "error");
+  await refreshCopies(bookId);
+  loadBooks();
+}
+
 window.closeEditModal = function() {
   const modal = document.getElementById("editModal");
   if (modal) modal.style.display = "none";
+  clearFieldErrors(document.getElementById("editBookForm"));
   document.getElementById("editBookForm").reset();
   document.getElementById("edit-preview").innerHTML = "";
 };
@@ -254,8 +420,9 @@ window.closeEditModal = function() {
 async function updateBook() {
   const form = document.getElementById("editBookForm");
   const submitBtn = form.querySelector('button[type="submit"]');
+  clearFieldErrors(form);
   submitBtn.disabled = true;
-  submitBtn.textContent = "Updating...";
+  submitBtn.textContent = t("Updating...");
   
   try {
     const fd = new FormData(form);
@@ -264,94 +431,109 @@ async function updateBook() {
     // Handle cover upload if new image selected
     const coverInput = document.getElementById("edit-cover");
     if (coverInput.files && coverInput.files[0]) {
-      const file = coverInput.files[0];
-      const base64 = await fileToBase64(file);
-      const uploadRes = await apiFetch("/uploadCover", { method: "POST", body: { filename: file.name, base64 } });
-      if (uploadRes.ok) data.cover = uploadRes.path;
+      data.cover = await uploadCover(coverInput.files[0]);
     }
     
-    await apiFetch("/books", { method: "PUT", body: data });
+    const res = await apiFetch("/books", { method: "PUT", body: data });
+    if (!res.ok) {
+      showFieldErrors(form, { msg: t("Failed to update book"), ...res });
+      submitBtn.disabled = false;
+      submitBtn.textContent = t("Update Book");
+      return;
+    }
     closeEditModal();
     loadBooks();
-    showNotification("Book updated successfully!", "success");
+    showNotification(t("Book updated successfully!"), "success");
+    (res.warnings || []).forEach(w => showNotification(w, "warning"));
   } catch (error) {
     console.error("Error updating book:", error);
-    showNotification("Failed to update book. Please try again.", "error");
+    showNotification(error.message || t("Failed to update book. Please try again."), "error");
     submitBtn.disabled = false;
-    submitBtn.textContent = "Update Book";
+    submitBtn.textContent = t("Update Book");
   }
 }
 
 async function deleteBook(bookId) {
-  if (!confirm("Are you sure you want to delete this book? This action cannot be undone.")) return;
+  if (!confirm(t("Move this book to the trash? It can be restored from the Audit & Trash page."))) return;
   
   try {
-    await apiFetch("/books", { method: "DELETE", body: bookId });
+    const res = await apiFetch("/books", { method: "DELETE", body: bookId });
+    if (!res.ok) throw new Error(res.msg || t("Failed to delete book"));
     loadBooks();
-    showNotification("Book deleted successfully!", "success");
+    showNotification(t("Book deleted successfully!"), "success");
   } catch (error) {
     console.error("Error deleting book:", error);
-    showNotification("Failed to delete book. Please try again.", "error");
+    showNotification(t("Failed to delete book. Please try again."), "error");
   }
 }
 
-// Borrow flow
-async function borrowBook(bookId) {
+// Borrowing and holds need a member, so they go through the circulation
+// desk with the title waiting; returns and renewals work from the book alone
+function openDesk(bookId, action) {
+  window.location.href = `/pages/Circulation.html?${new URLSearchParams({ book: bookId, action })}`;
+}
+
+function borrowBook(bookId) {
+  openDesk(bookId, "borrow");
+}
+
+// Offline, the return is queued and sent when the connection is back
+async function returnBook(bookId, title) {
   try {
-    const members = await apiFetch("/members", { method: "GET" });
-    if (!members.length) {
-      showNotification("No members found. Add members first.", "warning");
-      return;
-    }
-    
-    const list = members.map((m, i) => `${i + 1}. ${m.name} (${m.email})`).join("\n");
-    const choice = prompt(`Choose member by number:\n${list}`);
-    const idx = parseInt(choice) - 1;
+    const res = await sendOrQueue("/return", { body: { bookId }, label: t("Return “{title}”", { title }) });
     
-    if (isNaN(idx) || idx < 0 || idx >= members.length) {
-      showNotification("Invalid choice", "error");
-      return;
+    if (res.queued) {
+      showNotification(t("Offline: the return of “{title}” is queued and will sync when the connection returns", { title }), "warning");
+    } else if (res.ok) {
+      const fineMsg = res.fine > 0 ? t("Fine: {amount}.", { amount: formatMoney(res.fine, res.currency) }) : t("No fine.");
+      const holdMsg = res.hold
+        ? " " + t("On hold for {name} until {date}.", { name: res.hold.memberName || t("next member"), date: formatDate(res.hold.pickupBy) })
+        : "";
+      showNotification(`${t("Returned by {name}.", { name: res.memberName || t("member") })} ${fineMsg}${holdMsg}`, "success");
+      loadBooks();
+    } else {
+      showNotification(res.msg || t("Failed to return"), res.code ? "warning" : "error");
     }
-    
-    const days = prompt("Days to borrow (default 7):", "7");
-    const res = await apiFetch("/borrow", { method: "POST", body: { bookId, memberId: members[idx]._id, days } });
+  } catch (error) {
+    console.error("Error returning book:", error);
+    showNotification(t("Failed to return book. Please try again."), "error");
+  }
+}
+
+async function renewBook(bookId) {
+  try {
+    const res = await apiFetch("/renew", { method: "POST", body: { bookId } });
     
     if (res.ok) {
-      showNotification(`Borrowed successfully! Due: ${new Date(res.dueDate).toLocaleDateString()}`, "success");
+      showNotification(t("Renewed! New due date: {date} ({left})", {
+        date: formatDate(res.dueDate),
+        left: tn(res.renewalsLeft, "{count} renewal left", "{count} renewals left")
+      }), "success");
       loadBooks();
     } else {
-      showNotification(res.msg || "Failed to borrow", "error");
+      showNotification(res.msg || t("Failed to renew"), res.code ? "warning" : "error");
     }
   } catch (error) {
-    console.error("Error borrowing book:", error);
-    showNotification("Failed to borrow book. Please try again.", "error");
+    console.error("Error renewing book:", error);
+    showNotification(t("Failed to renew book. Please try again."), "error");
   }
 }
 
-async function returnBook(bookId) {
+// Holds: join the queue for a title with no copies on the shelf. Staff
+// pick the member at the desk; members place holds for themselves
+async function placeHold(bookId) {
+  if (can("circulation")) return openDesk(bookId, "hold");
   try {
-    const members = await apiFetch("/members", { method: "GET" });
-    const list = members.map((m, i) => `${i + 1}. ${m.name} (${m.email})`).join("\n");
-    const choice = prompt(`Choose member returning the book:\n${list}`);
-    const idx = parseInt(choice) - 1;
-    
-    if (isNaN(idx) || idx < 0 || idx >= members.length) {
-      showNotification("Invalid choice", "error");
-      return;
-    }
-    
-    const res = await apiFetch("/return", { method: "POST", body: { bookId, memberId: members[idx]._id } });
-    
+    const res = await apiFetch("/account/holds", { method: "POST", body: { bookId } });
     if (res.ok) {
-      const fineMsg = res.fine > 0 ? `Fine: ₹${res.fine}` : "No fine";
-      showNotification(`Book returned successfully! ${fineMsg}`, "success");
+      showNotification(t("On hold: you are number {position} in the queue", { position: formatNumber(res.queueLength) }), "success");
       loadBooks();
     } else {
-      showNotification(res.msg || "Failed to return", "error");
+      showNotification(res.msg || t("Could not place the hold"), "error");
     }
   } catch (error) {
-    console.error("Error returning book:", error);
-    showNotification("Failed to return book. Please try again.", "error");
+    console.error("Error placing hold:", error);
+    showNotification(t("Could not place the hold"), "error");
   }
 }
 
@@ -369,7 +551,107 @@ function showNotification(message, type = "info") {
   }, 3000);
 }
 
+// --- Label printing ---
+// Books ticked for labels; the selection survives paging and searching
+const labelSelection = new Set();
+
+function selectForLabels(bookId, selected) {
+  if (selected) labelSelection.add(bookId);
+  else labelSelection.delete(bookId);
+  renderLabelBar();
+}
+
+function renderLabelBar() {
+  const bar = document.getElementById("labelBar");
+  if (!bar) return;
+  bar.hidden = labelSelection.size === 0;
+  bar.querySelector(".label-count").textContent = tn(labelSelection.size, "{count} book selected for labels", "{count} books selected for labels");
+}
+
+function setupLabelBar() {
+  document.getElementById("printLabelsBtn").addEventListener("click", () => {
+    const params = new URLSearchParams({
+      ids: [...labelSelection].join(","),
+      encode: document.getElementById("labelEncode").value,
+      symbology: document.getElementById("labelSymbology").value
+    });
+    openAuthorizedPage("/labels/books?" + params.toString());
+  });
+  document.getElementById("clearLabelsBtn").addEventListener("click", () => {
+    labelSelection.clear();
+    document.querySelectorAll(".label-check").forEach(check => { check.checked = false; });
+    renderLabelBar();
+  });
+}
+
+// --- Live updates ---
+// Other desks' changes arrive over /events and patch the affected card in
+// place; a new title is only slotted in on the unfiltered first page
+const isDefaultCatalogView = () =>
+  catalogState.page === 1 && catalogState.sort === "newest" && !catalogState.q && !catalogState.status && !catalogState.genre;
+
+function applyBookEvent({ action, id, book }) {
+  const cards = document.getElementById("cards");
+  const card = document.getElementById("book-" + id);
+  if (action === "deleted") {
+    if (card) card.remove();
+    if (labelSelection.delete(id)) renderLabelBar();
+    return;
+  }
+  if (card) {
+    card.replaceWith(renderBookCard(book));
+    return;
+  }
+  if (action === "created" && isDefaultCatalogView()) {
+    cards.querySelector(".empty-state")?.remove();
+    cards.prepend(renderBookCard(book));
+    const all = cards.querySelectorAll(".card");
+    if (all.length > CATALOG_PAGE_SIZE) all[all.length - 1].remove();
+  }
+}
+
+function setLiveStatus(connected) {
+  const status = document.getElementById("liveStatus");
+  if (!status) return;
+  status.classList.toggle("offline", !connected);
+  status.title = connected ? t("Live updates on") : t("Live updates reconnecting...");
+}
+
+function subscribeCatalog() {
+  subscribeEvents({
+    open: () => setLiveStatus(true),
+    disconnect: () => setLiveStatus(false),
+    book: applyBookEvent,
+    import: ({ entity, inserted }) => {
+      if (entity !== "book") return;
+      showNotification(tn(inserted, "{count} book imported", "{count} books imported"), "info");
+      if (isDefaultCatalogView()) loadBooks();
+    },
+    // Too much was missed to replay; start from a fresh page
+    resync: () => loadBooks()
+  });
+}
+
 // Initial load
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (bookForm && !can("books:write")) {
+    window.location.href = "/";
+    return;
+  }
+  setupAuthButton();
+  applyPermissions();
+  setupCatalogControls();
+  if (document.getElementById("labelBar")) setupLabelBar();
+  if (document.getElementById("cards")) {
+    subscribeCatalog();
+    window.addEventListener("offlinesync", ({ detail }) => {
+      const synced = tn(detail.sent, "Synced {count} offline action", "Synced {count} offline actions");
+      const conflicts = detail.conflicts ? "; " + tn(detail.conflicts, "{count} needs attention", "{count} need attention") : "";
+      showNotification(synced + conflicts, detail.conflicts ? "warning" : "success");
+      loadBooks();
+    });
+  }
   loadBooks();
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+// frontend/js/bulk.js
+// Bulk import/export panels: <section class="bulk-panel" data-bulk="books|members">
+
+// MARC files go to /books/marc; everything else to /import|export/<kind>
+const MARC_FORMATS = ["marc", "marcxml"];
+
+function bulkFormat(file) {
+  if (/\.(mrc|marc)$/i.test(file.name)) return "marc";
+  if (/\.xml$/i.test(file.name)) return "marcxml";
+  return /\.csv$/i.test(file.name) || file.type === "text/csv" ? "csv" : "json";
+}
+
+function bulkUrl(panel, action, params) {
+  const path = MARC_FORMATS.includes(params.get("format")) ? "/books/marc" : `/${action}/${panel.dataset.bulk}`;
+  return `${path}?${params}`;
+}
+
+const BULK_CONTENT_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+  marc: "application/marc",
+  marcxml: "application/marcxml+xml"
+};
+
+function renderBulkReport(panel, result, dryRun) {
+  const report = panel.querySelector(".bulk-report");
+  report.innerHTML = "";
+  
+  const summary = document.createElement("p");
+  summary.className = "bulk-summary";
+  if (result.total === undefined) {
+    summary.textContent = result.msg || t("Import failed");
+  } else if (dryRun) {
+    summary.textContent = t("{total} rows checked: {valid} valid, {invalid} with errors. Nothing imported yet.", {
+      total: formatNumber(result.total), valid: formatNumber(result.valid), invalid: formatNumber(result.invalid)
+    });
+  } else if (result.ok) {
+    summary.textContent = t("Imported {inserted} of {total} rows.", { inserted: formatNumber(result.inserted), total: formatNumber(result.total) });
+  } else {
+    summary.textContent = t("{msg} ({invalid} of {total} rows have errors)", {
+      msg: result.msg, invalid: formatNumber(result.invalid), total: formatNumber(result.total)
+    });
+  }
+  report.appendChild(summary);
+  
+  if (result.rowErrors && result.rowErrors.length) {
+    const list = document.createElement("ul");
+    list.className = "bulk-errors";
+    result.rowErrors.forEach(e => {
+      const li = document.createElement("li");
+      li.textContent = t("Row {row}: {errors}", { row: formatNumber(e.row), errors: e.errors.map(err => err.msg).join("; ") });
+      list.appendChild(li);
+    });
+    report.appendChild(list);
+  }
+}
+
+async function runBulkImport(panel, dryRun) {
+  const file = panel.querySelector(".bulk-file").files[0];
+  if (!file) return alert(t("Choose a file to import first"));
+  
+  const format = bulkFormat(file);
+  const params = new URLSearchParams({ format });
+  if (dryRun) params.set("dryRun", "true");
+  if (!dryRun && panel.querySelector(".bulk-skip").checked) params.set("skipInvalid", "true");
+  
+  // ISO 2709 lengths are byte counts, so MARC files are sent untouched
+  const res = await fetch(bulkUrl(panel, "import", params), {
+    method: "POST",
+    headers: { "Content-Type": BULK_CONTENT_TYPES[format], ...authHeader() },
+    body: format === "marc" ? file : await file.text()
+  });
+  if (handleAuthFailure(res)) return;
+  renderBulkReport(panel, await res.json(), dryRun);
+}
+
+// Exports need the auth header, so fetch them and save the blob
+async function runBulkExport(panel, format) {
+  const res = await fetch(bulkUrl(panel, "export", new URLSearchParams({ format })), { headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  if (!res.ok) return alert(t("Export failed"));
+  
+  const disposition = res.headers.get("content-disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await res.blob());
+  link.download = match ? match[1] : `${panel.dataset.bulk}.${format}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+document.querySelectorAll(".bulk-panel").forEach(panel => {
+  panel.querySelector(".bulk-check").addEventListener("click", () => runBulkImport(panel, true));
+  panel.querySelector(".bulk-import").addEventListener("click", () => runBulkImport(panel, false));
+  panel.querySelectorAll("[data-format]").forEach(btn => {
+    btn.addEventListener("click", () => runBulkExport(panel, btn.dataset.format));
+  });
+});
@@ -0,0 +1,82 @@
+// frontend/js/charts.js
+// Small SVG bar charts for the reports: one group of bars per row, one bar
+// per series, with a legend and a y axis scaled to the largest value
+const CHART_COLORS = ["#6C63FF", "#27AE60", "#E67E22", "#3498DB", "#C0392B"];
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function svgElement(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// A round step for about five gridlines up to `max`
+function niceStep(max) {
+  const rough = max / 5;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  return [1, 2, 5, 10].map(m => m * magnitude).find(step => step >= rough);
+}
+
+// rows: objects; label: key of the x-axis label; series: [{ key, label }];
+// format: how values are printed on the axis and in tooltips
+function barChart(container, rows, { label, series, format = String }) {
+  container.innerHTML = "";
+  if (!rows.length) {
+    container.innerHTML = `<p class="chart-empty">${t("No data for this range.")}</p>`;
+    return;
+  }
+
+  const width = Math.max(600, rows.length * (series.length * 14 + 10));
+  const height = 260;
+  const pad = { top: 16, right: 16, bottom: 56, left: 56 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const max = Math.max(...rows.flatMap(r => series.map(s => r[s.key] || 0)));
+  const step = max > 0 ? niceStep(max) : 1;
+  const top = Math.max(Math.ceil(max / step) * step, step);
+  const y = (value) => pad.top + plotHeight - (value / top) * plotHeight;
+
+  const svg = svgElement("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart", role: "img", style: `min-width: ${width}px` });
+  for (let value = 0; value <= top; value = Math.round((value + step) * 1e6) / 1e6) {
+    svg.appendChild(svgElement("line", { x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), class: "chart-grid" }));
+    svg.appendChild(svgElement("text", { x: pad.left - 8, y: y(value) + 4, class: "chart-axis", "text-anchor": "end" }, format(value)));
+  }
+
+  const groupWidth = plotWidth / rows.length;
+  const barWidth = Math.min(28, (groupWidth * 0.8) / series.length);
+  // Thin out the labels when there are too many to fit
+  const labelEvery = Math.ceil(rows.length / Math.floor(plotWidth / 70));
+  rows.forEach((row, i) => {
+    const groupX = pad.left + i * groupWidth + (groupWidth - barWidth * series.length) / 2;
+    series.forEach((s, j) => {
+      const value = row[s.key] || 0;
+      const bar = svgElement("rect", {
+        x: groupX + j * barWidth,
+        y: y(value),
+        width: Math.max(barWidth - 2, 1),
+        height: pad.top + plotHeight - y(value),
+        fill: CHART_COLORS[j % CHART_COLORS.length]
+      });
+      bar.appendChild(svgElement("title", {}, `${row[label]} — ${s.label}: ${format(value)}`));
+      svg.appendChild(bar);
+    });
+    if (i % labelEvery === 0) {
+      const x = pad.left + (i + 0.5) * groupWidth;
+      svg.appendChild(svgElement("text", {
+        x, y: height - pad.bottom + 16, class: "chart-axis", "text-anchor": "end",
+        transform: `rotate(-30 ${x} ${height - pad.bottom + 16})`
+      }, row[label]));
+    }
+  });
+  container.appendChild(svg);
+
+  if (series.length > 1) {
+    const legend = document.createElement("div");
+    legend.className = "chart-legend";
+    legend.innerHTML = series.map((s, j) =>
+      `<span><i style="background: ${CHART_COLORS[j % CHART_COLORS.length]}"></i>${s.label}</span>`
+    ).join("");
+    container.appendChild(legend);
+  }
+}
@@ -0,0 +1,324 @@
+// frontend/js/circulation.js
+// Circulation desk: find a member by scanning their card or searching, then
+// scan copies to check them out to that member or back in. Keyboard-wedge
+// scanners type the code and press Enter, so both inputs submit on Enter and
+// keep the focus for the next scan.
+const RECEIPT_KEY = "deskReceipt";
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// The member being served, and a title sent over from the catalog to be
+// lent or held once a member is chosen
+const desk = { account: null, pending: null };
+let receipt = JSON.parse(sessionStorage.getItem(RECEIPT_KEY) || "[]");
+
+const memberScan = document.getElementById("memberScan");
+const itemScan = document.getElementById("itemScan");
+
+async function deskFetch(path, opts = {}) {
+  const headers = { ...(opts.headers || {}), ...authHeader() };
+  let body = opts.body;
+  if (body && typeof body === "object") {
+    headers["Content-Type"] = "application/json";
+    body = JSON.stringify(body);
+  }
+  let res;
+  try {
+    res = await fetch(path, { ...opts, headers, body });
+  } catch (err) {
+    return { ok: false, offline: true, msg: t("You are offline") };
+  }
+  if (handleAuthFailure(res)) return { ok: false };
+  const json = await res.json().catch(() => ({}));
+  return res.ok ? { ok: true, ...json } : { ok: false, ...json };
+}
+
+// Scans are handled one at a time, in the order they were made
+let scanQueue = Promise.resolve();
+function enqueue(work) {
+  scanQueue = scanQueue.then(work).catch(err => {
+    console.error("Desk action failed:", err);
+    setScanStatus(t("Something went wrong. Please scan again."), "error");
+  });
+  return scanQueue;
+}
+
+function setScanStatus(message, type = "info") {
+  const status = document.getElementById("scanStatus");
+  status.textContent = message;
+  status.className = `scan-status ${type}`;
+}
+
+const deskMode = () => document.querySelector("input[name=deskMode]:checked").value;
+
+// A scanned code is a copy barcode, or a book id or ISBN from a title label;
+// the server tells barcodes and ISBNs apart
+const itemRef = (code) => (OBJECT_ID.test(code) ? { bookId: code } : { barcode: code });
+
+// --- Member ---
+async function findMember(query) {
+  const q = query.trim();
+  const results = document.getElementById("memberResults");
+  results.innerHTML = "";
+  if (!q) return;
+  if (OBJECT_ID.test(q)) return loadMember(q);
+
+  const res = await fetch(`/members?${new URLSearchParams({ q })}`, { headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  const members = await res.json();
+  if (!res.ok) return setScanStatus(members.msg || t("Member search failed"), "error");
+  if (members.length === 1) return loadMember(members[0]._id);
+  if (!members.length) {
+    results.innerHTML = `<li class="empty">${escapeHtml(t("No member matches “{query}”.", { query: q }))}</li>`;
+    return;
+  }
+  results.innerHTML = members.map(m => `
+    <li><button type="button" data-id="${m._id}">${escapeHtml(m.name)} <small>${escapeHtml(m.email)} · ${escapeHtml(t(m.role))}</small></button></li>
+  `).join("");
+  results.querySelectorAll("button").forEach(btn => btn.addEventListener("click", () => loadMember(btn.dataset.id)));
+}
+
+async function loadMember(id, { quiet = false } = {}) {
+  let account = await deskFetch(`/circulation/members/${id}`);
+  if (!account.ok && account.offline) account = await offlineAccount(id);
+  if (!account.ok) {
+    if (!quiet) setScanStatus(account.msg || t("Member not found"), "error");
+    return;
+  }
+  const changed = !desk.account || desk.account.member._id !== account.member._id;
+  desk.account = account;
+  document.getElementById("memberResults").innerHTML = "";
+  memberScan.value = "";
+  renderMember(account);
+  if (changed && !quiet) {
+    itemScan.focus();
+    if (desk.pending) await runPending();
+  }
+}
+
+// Offline, with no saved desk view of this member: just the member record
+// from the saved member list. Loans, holds and blocks are unknown until the
+// connection returns; the server still applies every rule when the queued
+// check-outs are sent.
+async function offlineAccount(id) {
+  let members = [];
+  try {
+    const res = await fetch(`/members?${new URLSearchParams({ q: id })}`, { headers: authHeader() });
+    if (res.ok) members = await res.json();
+  } catch (err) {
+    // Nothing saved to fall back on
+  }
+  const member = members.find(m => m._id === id);
+  if (!member) return { ok: false, msg: t("You are offline and this member hasn't been saved for offline use") };
+  return { ok: true, offline: true, member, loans: [], holds: [], eligible: true, standing: null };
+}
+
+function clearMember() {
+  desk.account = null;
+  document.getElementById("memberPanel").style.display = "none";
+  memberScan.value = "";
+  memberScan.focus();
+}
+
+function renderMember({ member, standing, eligible, loans, holds, offline }) {
+  document.getElementById("memberPanel").style.display = "block";
+  document.getElementById("memberName").textContent = member.name;
+  document.getElementById("memberInfo").textContent = `${member.email} · ${t(member.role)}`;
+
+  const block = document.getElementById("memberBlock");
+  block.style.display = eligible && !offline ? "none" : "block";
+  block.textContent = offline
+    ? t("Offline: loans, holds and borrowing blocks can't be checked until the connection returns.")
+    : eligible ? "" : t("Cannot borrow: {reason}", { reason: standing.block.msg });
+
+  document.getElementById("memberStanding").innerHTML = !standing ? "" : [
+    [t("Loans"), `${formatNumber(standing.loans)} / ${formatNumber(standing.rules.maxLoans)}`],
+    [t("Overdue"), formatNumber(standing.overdue)],
+    [t("Fines"), formatMoney(standing.balance, standing.currency)]
+  ].map(([label, value]) => `<div class="stat-card"><h4>${label}</h4><p>${value}</p></div>`).join("");
+
+  const loanRows = document.querySelector("#deskLoans tbody");
+  loanRows.innerHTML = loans.length ? loans.map(l => `
+    <tr>
+      <td>${escapeHtml(l.title || t("Unknown title"))}<small>${escapeHtml(l.barcode || "")}</small></td>
+      <td class="${l.overdue ? "overdue" : ""}">${formatDate(l.dueDate)}${l.overdue ? `<small>${t("Overdue")}</small>` : ""}</td>
+      <td>
+        <button type="button" class="export-btn renew-btn" data-barcode="${escapeHtml(l.barcode)}" ${l.canRenew ? "" : "disabled"}
+          title="${escapeHtml(l.renewBlockedBy || t("Extend the due date"))}">${t("Renew")}</button>
+        <button type="button" class="export-btn secondary checkin-btn" data-barcode="${escapeHtml(l.barcode)}">${t("Check in")}</button>
+      </td>
+    </tr>
+  `).join("") : `<tr><td colspan="3">${t("Nothing on loan.")}</td></tr>`;
+  loanRows.querySelectorAll(".renew-btn").forEach(btn => btn.addEventListener("click", () => enqueue(() => renew(btn.dataset.barcode))));
+  loanRows.querySelectorAll(".checkin-btn").forEach(btn => btn.addEventListener("click", () => enqueue(() => checkIn({ barcode: btn.dataset.barcode }))));
+
+  document.querySelector("#deskHolds tbody").innerHTML = holds.length ? holds.map(h => `
+    <tr class="${h.status === "ready" ? "ready" : ""}">
+      <td>${escapeHtml(h.title || t("Unknown title"))}</td>
+      <td>${h.status === "ready"
+        ? `${t("Ready to collect")}<small>${t("until {date}", { date: formatDate(h.pickupBy) })}</small>`
+        : `${t("Waiting")}<small>${t("#{position} in queue", { position: formatNumber(h.position) })}</small>`}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="2">${t("No holds.")}</td></tr>`;
+}
+
+// --- Items ---
+async function checkOut(ref, code) {
+  if (!desk.account) {
+    setScanStatus(t("Scan a member card before checking out."), "error");
+    memberScan.focus();
+    return;
+  }
+  const member = desk.account.member;
+  const res = await sendOrQueue("/borrow", { body: { ...ref, memberId: member._id }, label: t("Check out {code} to {name}", { code, name: member.name }) });
+  if (res.queued) {
+    setScanStatus(t("Offline: check-out of {code} queued, it will be sent when the connection returns", { code }), "warning");
+    addReceipt({ action: "Check out", barcode: code, member: member.name, result: t("Queued offline") });
+  } else if (res.ok) {
+    setScanStatus(t("Checked out {title} ({barcode}), due {date}", { title: res.title, barcode: res.barcode, date: formatDate(res.dueDate) }), "success");
+    addReceipt({ action: "Check out", title: res.title, barcode: res.barcode, member: member.name, result: t("Due {date}", { date: formatDate(res.dueDate) }) });
+  } else {
+    setScanStatus(res.msg || t("Check-out failed"), "error");
+    addReceipt({ action: "Check out", barcode: code, member: member.name, result: res.msg || t("Failed"), failed: true });
+  }
+  await loadMember(member._id, { quiet: true });
+}
+
+async function checkIn(ref, code = ref.barcode) {
+  const res = await sendOrQueue("/return", { body: ref, label: t("Check in {code}", { code }) });
+  if (res.queued) {
+    setScanStatus(t("Offline: check-in of {code} queued, it will be sent when the connection returns", { code }), "warning");
+    addReceipt({ action: "Check in", barcode: code, result: t("Queued offline") });
+    return;
+  }
+  if (!res.ok) {
+    setScanStatus(res.msg || t("Check-in failed"), "error");
+    addReceipt({ action: "Check in", barcode: code, result: res.msg || t("Failed"), failed: true });
+    return;
+  }
+  const notes = [res.fine > 0 ? t("Fine {amount}", { amount: formatMoney(res.fine, res.currency) }) : t("No fine")];
+  if (res.hold) notes.push(t("Hold shelf: {name}", { name: res.hold.memberName || t("next member") }));
+  setScanStatus(t("Checked in {title} ({barcode}). {notes}", { title: res.title, barcode: res.barcode, notes: notes.join(". ") }), res.hold ? "warning" : "success");
+  addReceipt({ action: "Check in", title: res.title, barcode: res.barcode, member: res.memberName, result: notes.join(" · ") });
+  if (desk.account && desk.account.member._id === res.memberId) await loadMember(res.memberId, { quiet: true });
+}
+
+async function renew(barcode) {
+  const member = desk.account.member;
+  const res = await deskFetch("/renew", { method: "POST", body: { barcode } });
+  if (!res.ok) return setScanStatus(res.msg || t("Renewal failed"), "error");
+  setScanStatus(t("Renewed {title} until {date}", { title: res.title, date: formatDate(res.dueDate) }), "success");
+  addReceipt({ action: "Renew", title: res.title, barcode: res.barcode, member: member.name, result: t("Due {date}", { date: formatDate(res.dueDate) }) });
+  await loadMember(member._id, { quiet: true });
+}
+
+function handleItemScan(code) {
+  if (!code) return;
+  const ref = itemRef(code);
+  return deskMode() === "checkout" ? checkOut(ref, code) : checkIn(ref, code);
+}
+
+// --- Title sent from the catalog (Borrow or Hold on a card) ---
+async function loadPending() {
+  const params = new URLSearchParams(window.location.search);
+  const bookId = params.get("book");
+  const action = params.get("action");
+  if (!bookId || !OBJECT_ID.test(bookId) || !["borrow", "hold"].includes(action)) return;
+  const book = await deskFetch(`/api/v1/books/${bookId}`);
+  if (!book.ok) return setScanStatus(book.msg || t("Book not found"), "error");
+  desk.pending = { bookId, action, title: book.title };
+  const banner = document.getElementById("pendingTitle");
+  banner.textContent = t(action === "borrow" ? "To lend: {title}" : "To hold: {title}", { title: book.title });
+  banner.style.display = "block";
+  setScanStatus(t(action === "borrow"
+    ? "{title} is waiting. Scan or search the member to lend it to."
+    : "{title} is waiting. Scan or search the member to place the hold for.", { title: book.title }));
+}
+
+async function runPending() {
+  const { bookId, action, title } = desk.pending;
+  desk.pending = null;
+  document.getElementById("pendingTitle").style.display = "none";
+  history.replaceState(null, "", window.location.pathname);
+  if (action === "borrow") return checkOut({ bookId }, title);
+
+  const member = desk.account.member;
+  const res = await deskFetch("/holds", { method: "POST", body: { bookId, memberId: member._id } });
+  if (!res.ok) return setScanStatus(res.msg || t("Failed to place hold"), "error");
+  setScanStatus(t("Hold placed on {title} for {name}. Queue length: {length}", { title, name: member.name, length: formatNumber(res.queueLength) }), "success");
+  addReceipt({ action: "Hold", title, member: member.name, result: t("Queue length {length}", { length: formatNumber(res.queueLength) }) });
+  await loadMember(member._id, { quiet: true });
+}
+
+// --- Receipt ---
+// The action is kept as its English key and translated when shown
+function addReceipt(entry) {
+  receipt.push({ at: new Date().toISOString(), ...entry });
+  sessionStorage.setItem(RECEIPT_KEY, JSON.stringify(receipt));
+  renderReceipt();
+}
+
+function renderReceipt() {
+  const tbody = document.querySelector("#receipt tbody");
+  tbody.innerHTML = receipt.length ? receipt.slice().reverse().map(r => `
+    <tr class="${r.failed ? "failed" : ""}">
+      <td>${formatTime(r.at)}</td>
+      <td>${escapeHtml(t(r.action))}: ${escapeHtml(r.title || r.barcode || "")}${r.title && r.barcode ? `<small>${escapeHtml(r.barcode)}</small>` : ""}</td>
+      <td>${escapeHtml(r.member || "—")}</td>
+      <td>${escapeHtml(r.result || "")}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="4">${t("Nothing yet this session.")}</td></tr>`;
+}
+
+// --- Wiring ---
+document.getElementById("memberScanForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const value = memberScan.value;
+  enqueue(() => findMember(value));
+});
+
+document.getElementById("itemScanForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const code = itemScan.value.trim();
+  itemScan.value = "";
+  itemScan.focus();
+  enqueue(() => handleItemScan(code));
+});
+
+document.querySelectorAll("input[name=deskMode]").forEach(radio => radio.addEventListener("change", () => {
+  itemScan.placeholder = t(deskMode() === "checkout" ? "Copy barcode..." : "Copy barcode to check in...");
+  itemScan.focus();
+}));
+
+document.getElementById("clearMemberBtn").addEventListener("click", clearMember);
+document.getElementById("printReceiptBtn").addEventListener("click", () => window.print());
+document.getElementById("clearReceiptBtn").addEventListener("click", () => {
+  if (!confirm(t("Clear the session receipt?"))) return;
+  receipt = [];
+  sessionStorage.removeItem(RECEIPT_KEY);
+  renderReceipt();
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (!can("circulation")) {
+    window.location.href = "/";
+    return;
+  }
+  renderReceipt();
+  loadPending();
+  window.addEventListener("offlinesync", ({ detail }) => {
+    const sent = tn(detail.sent, "Back online: {count} queued action sent", "Back online: {count} queued actions sent");
+    setScanStatus(detail.conflicts ? `${sent}. ${tn(detail.conflicts, "{count} needs attention below", "{count} need attention below")}` : sent,
+      detail.conflicts ? "warning" : "success");
+    if (desk.account) enqueue(() => loadMember(desk.account.member._id, { quiet: true }));
+  });
+  // Keep the member panel current when another desk changes their record
+  subscribeEvents({
+    member: ({ action, id }) => {
+      if (!desk.account || desk.account.member._id !== id) return;
+      if (action === "deleted") clearMember();
+      else enqueue(() => loadMember(id, { quiet: true }));
+    }
+  });
+});
@@ -0,0 +1,129 @@
+// frontend/js/fines.js
+const policyForm = document.getElementById("policyForm");
+const memberFilter = document.getElementById("memberFilter");
+const statusFilter = document.getElementById("statusFilter");
+const RATE_ROLES = ["default", "student", "faculty", "staff"];
+
+async function finesFetch(path, opts = {}) {
+  opts.headers = Object.assign({ "Content-Type": "application/json" }, authHeader());
+  if (opts.body) opts.body = JSON.stringify(opts.body);
+  const res = await fetch(path, opts);
+  if (handleAuthFailure(res)) return { ok: false };
+  return res.json();
+}
+
+async function loadMemberOptions() {
+  const members = await finesFetch("/members");
+  if (!Array.isArray(members)) return;
+  members.forEach(m => {
+    const opt = document.createElement("option");
+    opt.value = m._id;
+    opt.textContent = `${m.name} (${m.email})`;
+    memberFilter.appendChild(opt);
+  });
+}
+
+async function loadFines() {
+  const params = new URLSearchParams();
+  if (memberFilter.value) params.set("memberId", memberFilter.value);
+  if (statusFilter.value) params.set("status", statusFilter.value);
+  const fines = await finesFetch("/fines?" + params.toString());
+  const tbody = document.querySelector("#finesTable tbody");
+  tbody.innerHTML = "";
+  if (!Array.isArray(fines)) return;
+  
+  fines.forEach(f => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td></td>
+      <td>${t(f.type)}</td>
+      <td>${formatMoney(f.amount)}</td>
+      <td>${formatMoney(f.balance)}</td>
+      <td>${t(f.status)}</td>
+      <td>
+        <button class="btn-small pay-btn">${t("Pay")}</button>
+        <button class="btn-small danger waive-btn">${t("Waive")}</button>
+      </td>
+    `;
+    tr.children[0].textContent = f.memberName || f.memberId;
+    tr.children[1].textContent = f.bookTitle || f.bookId;
+    if (f.balance <= 0) tr.querySelectorAll("button").forEach(b => (b.disabled = true));
+    tr.querySelector(".pay-btn").addEventListener("click", () => payFine(f));
+    tr.querySelector(".waive-btn").addEventListener("click", () => waiveFine(f));
+    tbody.appendChild(tr);
+  });
+  
+  const summary = document.getElementById("balanceSummary");
+  if (memberFilter.value) {
+    const res = await finesFetch(`/fines/balance?memberId=${memberFilter.value}`);
+    summary.textContent = t("Outstanding balance: {amount}", { amount: formatMoney(res.balance, res.currency) });
+  } else {
+    summary.textContent = "";
+  }
+}
+
+async function payFine(fine) {
+  const amount = prompt(t("Payment amount (outstanding {amount}):", { amount: formatMoney(fine.balance) }), fine.balance);
+  if (amount === null) return;
+  const res = await finesFetch("/fines/pay", { method: "POST", body: { fineId: fine._id, amount } });
+  if (!res.ok) return alert(res.msg || t("Payment failed"));
+  loadFines();
+}
+
+async function waiveFine(fine) {
+  const reason = prompt(t("Reason for waiving this fine:"));
+  if (!reason) return;
+  const res = await finesFetch("/fines/waive", { method: "POST", body: { fineId: fine._id, reason } });
+  if (!res.ok) return alert(res.msg || t("Waiver failed"));
+  loadFines();
+}
+
+async function loadPolicy() {
+  const policy = await finesFetch("/fines/policy");
+  policyForm.graceDays.value = policy.graceDays;
+  policyForm.maxPerItem.value = policy.maxPerItem;
+  policyForm.replacementCharge.value = policy.replacementCharge;
+  RATE_ROLES.forEach(role => {
+    policyForm[`rate-${role}`].value = policy.ratePerDay?.[role] ?? "";
+  });
+}
+
+policyForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  clearFieldErrors(policyForm);
+  const ratePerDay = {};
+  RATE_ROLES.forEach(role => {
+    const value = policyForm[`rate-${role}`].value;
+    if (value !== "") ratePerDay[role] = value;
+  });
+  const res = await finesFetch("/fines/policy", {
+    method: "PUT",
+    body: {
+      graceDays: policyForm.graceDays.value,
+      maxPerItem: policyForm.maxPerItem.value,
+      replacementCharge: policyForm.replacementCharge.value,
+      ratePerDay
+    }
+  });
+  if (!res.ok) {
+    const aliases = Object.fromEntries(RATE_ROLES.map(role => [`ratePerDay.${role}`, `rate-${role}`]));
+    return showFieldErrors(policyForm, { msg: t("Failed to save policy"), ...res }, aliases);
+  }
+  showFormMessage(policyForm, t("Policy saved"), "success");
+});
+
+memberFilter.addEventListener("change", loadFines);
+statusFilter.addEventListener("change", loadFines);
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (!can("fines:manage")) {
+    window.location.href = "/";
+    return;
+  }
+  loadPolicy();
+  loadMemberOptions();
+  loadFines();
+});
@@ -0,0 +1,60 @@
+// frontend/js/forms.js
+// Inline form feedback for API errors. A failed request answers
+// { ok: false, msg, errors: [{ field, msg }] }; each field error is shown
+// under the matching input and anything left over at the top of the form.
+
+// Put a message at the top of the form; type is "error" or "success"
+function showFormMessage(form, message, type = "error") {
+  let box = form.querySelector(".form-message");
+  if (!box) {
+    box = document.createElement("div");
+    box.setAttribute("role", "alert");
+    form.insertBefore(box, form.firstElementChild?.tagName === "H3" ? form.firstElementChild.nextSibling : form.firstChild);
+  }
+  box.className = `form-message ${type}`;
+  box.textContent = message;
+}
+
+function clearFieldErrors(form) {
+  form.querySelectorAll(".field-error, .form-message").forEach(el => el.remove());
+  form.querySelectorAll(".invalid").forEach(input => {
+    input.classList.remove("invalid");
+    input.removeAttribute("aria-invalid");
+  });
+}
+
+// aliases maps an API field path to a form control name where they differ,
+// e.g. { "ratePerDay.student": "rate-student" }
+function showFieldErrors(form, result, aliases = {}) {
+  clearFieldErrors(form);
+  const unmatched = [];
+  (result.errors || []).forEach(({ field, msg }) => {
+    const input = field && form.elements[aliases[field] || field];
+    if (!input || !input.tagName) {
+      unmatched.push(msg);
+      return;
+    }
+    const note = document.createElement("div");
+    note.className = "field-error";
+    note.id = `${input.id || input.name}-error`;
+    note.textContent = msg;
+    input.classList.add("invalid");
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", note.id);
+    input.insertAdjacentElement("afterend", note);
+  });
+  if (unmatched.length || !(result.errors || []).length) {
+    showFormMessage(form, unmatched.join("; ") || result.msg || "Request failed");
+  }
+  form.querySelector(".invalid")?.focus();
+}
+
+// Clear a field's error as soon as it is edited
+document.addEventListener("input", (e) => {
+  const input = e.target;
+  if (!input.classList || !input.classList.contains("invalid")) return;
+  input.classList.remove("invalid");
+  input.removeAttribute("aria-invalid");
+  const note = document.getElementById(input.getAttribute("aria-describedby"));
+  if (note && note.classList.contains("field-error")) note.remove();
+});
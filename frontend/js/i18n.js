@@ -0,0 +1,169 @@
+// frontend/js/i18n.js
+// Interface translations and locale-aware dates, numbers and money.
+// Strings are written in English in the code and looked up in
+// /locales/<language>.json, which is keyed by the English text:
+//   t("Returned by {name}", { name })
+//   tn(count, "{count} book", "{count} books")
+// A plural entry is keyed by the English plural and holds one string per
+// Intl.PluralRules category, e.g. { "one": "...", "other": "..." }.
+// Static page text is marked with data-i18n (text content), data-i18n-placeholder
+// and data-i18n-title, and translated once the catalog is in; scripts that
+// render on load wait for `i18nReady` first.
+//
+// The language is the signed-in user's saved preference, else the one last
+// picked on this device, else the browser's, among those the server offers
+// (GET /i18n). Money is shown in the library's currency from the same place.
+const I18N_SETTINGS_KEY = "i18nSettings";
+const LOCALE_KEY = "locale";
+const FALLBACK_I18N = { currency: "INR", locales: ["en-IN"], defaultLocale: "en-IN" };
+
+let i18nSettings = FALLBACK_I18N;
+let activeLocale = FALLBACK_I18N.defaultLocale;
+let catalog = {};
+
+// The last settings seen are kept so pages still format money offline
+async function loadI18nSettings() {
+  try {
+    const res = await fetch("/i18n");
+    if (res.ok) {
+      const settings = await res.json();
+      localStorage.setItem(I18N_SETTINGS_KEY, JSON.stringify(settings));
+      return settings;
+    }
+  } catch (err) {
+    console.warn("Language settings unavailable, using the last saved ones:", err);
+  }
+  try {
+    return JSON.parse(localStorage.getItem(I18N_SETTINGS_KEY)) || FALLBACK_I18N;
+  } catch (err) {
+    return FALLBACK_I18N;
+  }
+}
+
+// An offered locale for a tag: the exact one, else one for the same language
+function matchLocale(tag, locales) {
+  if (!tag) return null;
+  const wanted = tag.toLowerCase();
+  const language = wanted.split("-")[0];
+  return locales.find(l => l.toLowerCase() === wanted) ||
+    locales.find(l => l.toLowerCase().split("-")[0] === language) || null;
+}
+
+function chooseLocale(settings) {
+  const user = currentUser();
+  const wanted = [user && user.locale, localStorage.getItem(LOCALE_KEY), ...(navigator.languages || [navigator.language])];
+  for (const tag of wanted) {
+    const locale = matchLocale(tag, settings.locales);
+    if (locale) return locale;
+  }
+  return settings.defaultLocale;
+}
+
+// English is the source language and needs no catalog
+async function loadCatalog(locale) {
+  const language = locale.split("-")[0];
+  if (language === "en") return {};
+  try {
+    const res = await fetch(`/locales/${language}.json`);
+    if (res.ok) return await res.json();
+  } catch (err) {
+    console.warn(`No ${language} translations, showing English:`, err);
+  }
+  return {};
+}
+
+const i18nReady = (async () => {
+  i18nSettings = await loadI18nSettings();
+  activeLocale = chooseLocale(i18nSettings);
+  catalog = await loadCatalog(activeLocale);
+  document.documentElement.lang = activeLocale;
+})();
+
+const interpolate = (text, vars) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? vars[key] : match));
+
+function t(text, vars = {}) {
+  const translated = catalog[text];
+  return interpolate(typeof translated === "string" ? translated : text, vars);
+}
+
+// {count} is filled in, formatted for the locale
+function tn(count, one, other, vars = {}) {
+  const forms = catalog[other];
+  const text = forms && typeof forms === "object"
+    ? forms[new Intl.PluralRules(activeLocale).select(count)] || forms.other
+    : (count === 1 ? one : other);
+  return interpolate(text, { count: formatNumber(count), ...vars });
+}
+
+const formatNumber = (value, options) => new Intl.NumberFormat(activeLocale, options).format(value || 0);
+
+// Fine responses carry the currency they were charged in; default to the library's
+const formatMoney = (amount, currency = i18nSettings.currency) =>
+  new Intl.NumberFormat(activeLocale, { style: "currency", currency }).format(amount || 0);
+
+const formatDate = (value, options = { dateStyle: "medium" }) =>
+  value ? new Intl.DateTimeFormat(activeLocale, options).format(new Date(value)) : "—";
+
+const formatDateTime = (value) => formatDate(value, { dateStyle: "medium", timeStyle: "short" });
+const formatTime = (value) => formatDate(value, { timeStyle: "medium" });
+
+// Marked elements keep their English text in the data attribute, so a
+// fragment can be translated more than once
+function translatePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(el => {
+    if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+    if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.placeholder;
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach(el => {
+    if (!el.dataset.i18nTitle) el.dataset.i18nTitle = el.title;
+    el.title = t(el.dataset.i18nTitle);
+  });
+  root.querySelectorAll("template").forEach(tpl => translatePage(tpl.content));
+}
+
+// Switch language: saved on the account when signed in (and on this device
+// either way), then the page reloads in it
+async function setLocale(locale) {
+  localStorage.setItem(LOCALE_KEY, locale);
+  const user = currentUser();
+  if (user) {
+    try {
+      const res = await fetch("/account/preferences", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...authHeader() },
+        body: JSON.stringify({ locale })
+      });
+      if (handleAuthFailure(res)) return;
+    } catch (err) {
+      console.warn("Language preference not saved on the account:", err);
+    }
+    localStorage.setItem("user", JSON.stringify({ ...user, locale }));
+  }
+  window.location.reload();
+}
+
+// Fill a <select> with the offered languages, each named in itself
+function setupLanguagePicker(select) {
+  if (!select) return;
+  select.innerHTML = "";
+  i18nSettings.locales.forEach(locale => {
+    const option = document.createElement("option");
+    option.value = locale;
+    option.textContent = new Intl.DisplayNames([locale], { type: "language" }).of(locale);
+    select.appendChild(option);
+  });
+  select.value = activeLocale;
+  select.onchange = () => setLocale(select.value);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  i18nReady.then(() => {
+    translatePage();
+    setupLanguagePicker(document.getElementById("languageSelect"));
+  });
+});
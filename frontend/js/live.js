@@ -0,0 +1,73 @@
+// frontend/js/live.js
+// Live updates from GET /events (Server-Sent Events). EventSource can't send
+// the Authorization header, so the stream is read with fetch and parsed
+// here. After a dropped connection it reconnects with Last-Event-ID and the
+// server replays what was missed, or sends "resync" if it no longer can.
+
+// handlers: { <event type>(data), open(), disconnect() }, all optional.
+// Returns a function that closes the stream for good.
+function subscribeEvents(handlers) {
+  let lastEventId = null;
+  let retryMs = 3000;
+  let controller = null;
+  let stopped = false;
+
+  // One "field: value" block, as in the SSE spec
+  function dispatch(block) {
+    let type = "message";
+    const data = [];
+    block.split("\n").forEach(line => {
+      if (!line || line.startsWith(":")) return;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "id") lastEventId = value;
+      else if (field === "event") type = value;
+      else if (field === "data") data.push(value);
+      else if (field === "retry" && /^\d+$/.test(value)) retryMs = parseInt(value);
+    });
+    if (!data.length || !handlers[type]) return;
+    try {
+      handlers[type](JSON.parse(data.join("\n")));
+    } catch (err) {
+      console.error(`Live update "${type}" failed:`, err);
+    }
+  }
+
+  async function connect() {
+    controller = new AbortController();
+    try {
+      const headers = authHeader();
+      if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+      const res = await fetch("/events", { headers, signal: controller.signal, cache: "no-store" });
+      if (handleAuthFailure(res)) return;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (handlers.open) handlers.open();
+
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n?/g, "\n");
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          dispatch(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    } catch (err) {
+      if (stopped) return;
+      console.warn("Live updates disconnected:", err.message);
+    }
+    if (stopped) return;
+    if (handlers.disconnect) handlers.disconnect();
+    setTimeout(connect, retryMs);
+  }
+
+  connect();
+  return () => {
+    stopped = true;
+    if (controller) controller.abort();
+  };
+}
@@ -3,50 +3,142 @@ const memberForm = document.getElementById("memberForm");
 const memberList = document.getElementById("memberList");
 
 async function loadMembers() {
-  const members = await fetch("/members").then(r => r.json());
+  const res = await fetch("/members", { headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  const members = await res.json();
+  if (!res.ok) return alert(members.msg || t("Failed to load members"));
   const memberItems = memberList.querySelector("tbody");
   if (memberItems) {
     memberItems.innerHTML = "";
     members.forEach(m => {
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>${m.name}</td>
-        <td>${m.email}</td>
-        <td>${m.role}</td>
+        <td><input type="checkbox" class="card-check" value="${m._id}" /></td>
+        <td></td>
+        <td></td>
+        <td>${t(m.role)}</td>
         <td>
-          <button class="btn-small">Edit</button>
-          <button class="btn-small danger">Delete</button>
+          <button class="btn-small card-btn">${t("Card")}</button>
+          <button class="btn-small edit-btn" data-permission="members:write">${t("Edit")}</button>
+          <button class="btn-small danger" data-permission="members:write">${t("Delete")}</button>
         </td>
       `;
-      tr.querySelector(".btn-small").addEventListener("click", () => editMember(m._id));
+      tr.children[1].textContent = m.name;
+      tr.children[2].textContent = m.email;
+      tr.querySelector(".card-check").addEventListener("change", updateCardSelection);
+      tr.querySelector(".card-btn").addEventListener("click", () => printMemberCards([m._id]));
+      tr.querySelector(".edit-btn").addEventListener("click", () => editMember(m._id));
       tr.querySelector(".danger").addEventListener("click", () => deleteMember(m._id));
+      applyPermissions(tr);
       memberItems.appendChild(tr);
     });
+    updateCardSelection();
   }
 }
 
+// --- Member cards ---
+const selectedMemberIds = () => [...memberList.querySelectorAll(".card-check:checked")].map(check => check.value);
+
+function updateCardSelection() {
+  const count = selectedMemberIds().length;
+  const all = memberList.querySelectorAll(".card-check").length;
+  document.getElementById("printCardsBtn").disabled = count === 0;
+  document.getElementById("selectAllMembers").checked = all > 0 && count === all;
+  memberList.querySelector(".card-count").textContent = count
+    ? tn(count, "{count} member selected", "{count} members selected")
+    : t("Tick members to print their library cards");
+}
+
+function printMemberCards(ids) {
+  openAuthorizedPage("/labels/members?ids=" + ids.join(","));
+}
+
+document.getElementById("selectAllMembers").addEventListener("change", (e) => {
+  memberList.querySelectorAll(".card-check").forEach(check => { check.checked = e.target.checked; });
+  updateCardSelection();
+});
+document.getElementById("printCardsBtn").addEventListener("click", () => printMemberCards(selectedMemberIds()));
+
 if (memberForm) {
   memberForm.addEventListener("submit", async (e) => {
     e.preventDefault();
+    clearFieldErrors(memberForm);
     const data = Object.fromEntries(new FormData(memberForm).entries());
-    await fetch("/members", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(data) });
+    const res = await fetch("/members", { method: "POST", headers: { "Content-Type": "application/json", ...authHeader() }, body: JSON.stringify(data) });
+    if (handleAuthFailure(res)) return;
+    const json = await res.json();
+    if (!json.ok) return showFieldErrors(memberForm, { msg: t("Failed to add member"), ...json });
     memberForm.reset();
     loadMembers();
   });
 }
 
 async function editMember(id) {
-  const name = prompt("New name");
-  const email = prompt("New emailemail");
+  const name = prompt(t("New name"));
+  const email = prompt(t("New email"));
   if (!name || !email) return;
-  await fetch("/members", { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ id, name, email, role: "student" }) });
+  const res = await fetch("/members", { method: "PUT", headers: { "Content-Type": "application/json", ...authHeader() }, body: JSON.stringify({ id, name, email, role: "student" }) });
+  if (handleAuthFailure(res)) return;
   loadMembers();
 }
 
 async function deleteMember(id) {
-  if (!confirm("Delete member?")) return;
-  await fetch("/members", { method: "DELETE", body: id });
+  if (!confirm(t("Move this member to the trash?"))) return;
+  const res = await fetch("/members", { method: "DELETE", headers: authHeader(), body: id });
+  if (handleAuthFailure(res)) return;
   loadMembers();
 }
 
-document.addEventListener("DOMContentLoaded", loadMembers);
\ No newline at end of file
+// Accounts waiting for a librarian to confirm which member they belong to
+async function loadLinkRequests() {
+  const container = document.getElementById("linkRequests");
+  if (!container || !can("members:write")) return;
+  const res = await fetch("/account/links", { headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  const requests = await res.json();
+  if (!res.ok) {
+    container.textContent = requests.msg || t("Failed to load link requests");
+    return;
+  }
+  container.innerHTML = requests.length ? "" : `<p class="bulk-help">${t("No pending requests.")}</p>`;
+  requests.forEach(r => {
+    const row = document.createElement("div");
+    row.className = "link-request";
+    row.innerHTML = `
+      <div class="member-info">
+        <h4></h4>
+        <p></p>
+      </div>
+      <div class="member-actions">
+        <button class="btn-small" ${r.member ? "" : "disabled"}>${t("Confirm")}</button>
+        <button class="btn-small danger">${t("Reject")}</button>
+      </div>
+    `;
+    // Names and emails come from the signup form
+    row.querySelector("h4").textContent = `${r.user.name} <${r.user.email}>`;
+    row.querySelector("p").textContent = `${r.member ? t("Member: {name} ({role})", { name: r.member.name, role: t(r.member.role) }) : t("Member record no longer exists")} • ${t("requested {date}", { date: formatDate(r.memberLink.requestedAt) })}`;
+    row.querySelector(".btn-small:not(.danger)").addEventListener("click", () => decideLink(r.user.id, "confirm"));
+    row.querySelector(".danger").addEventListener("click", () => decideLink(r.user.id, "reject"));
+    container.appendChild(row);
+  });
+}
+
+async function decideLink(userId, decision) {
+  const res = await fetch(`/account/links/${userId}/${decision}`, { method: "POST", headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  const json = await res.json();
+  if (!json.ok) alert(json.msg || t("Failed to update the link request"));
+  loadLinkRequests();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (!can("members:read")) {
+    window.location.href = "/";
+    return;
+  }
+  applyPermissions();
+  loadMembers();
+  loadLinkRequests();
+});
\ No newline at end of file
@@ -0,0 +1,229 @@
+// frontend/js/offline.js
+// Offline support. Registers the service worker (/sw.js), and keeps borrow,
+// return and add-book requests made without a connection in an IndexedDB
+// queue, replaying them in order once the connection returns. Each entry
+// keeps the Idempotency-Key it was first sent with, so a request that did
+// reach the server before the connection dropped is not applied twice.
+// Requests the server turns down (a copy lent meanwhile, a rule broken) stay
+// in the queue as conflicts until someone retries or discards them.
+const OFFLINE_DB = "library-offline";
+const QUEUE_STORE = "queue";
+const REPLAY_INTERVAL_MS = 30 * 1000;
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(err => console.warn("Service worker not registered:", err));
+  });
+}
+
+function openQueueDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `work(store)` in a transaction; resolves with the request's result
+async function withQueue(mode, work) {
+  const db = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = work(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request && request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// Oldest first (ids count up)
+const queuedActions = () => withQueue("readonly", store => store.getAll());
+const saveAction = (action) => withQueue("readwrite", store => store.put(action));
+const removeAction = (id) => withQueue("readwrite", store => store.delete(id));
+
+function newIdempotencyKey() {
+  return window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// fetch rejects with a TypeError when the request never got an answer
+const isNetworkError = (err) => err instanceof TypeError;
+
+async function sendAction(action) {
+  const res = await fetch(action.path, {
+    method: action.method,
+    headers: { "Content-Type": "application/json", "Idempotency-Key": action.key, ...authHeader() },
+    body: JSON.stringify(action.body)
+  });
+  if (handleAuthFailure(res)) return { ok: false, status: 401 };
+  const json = await res.json().catch(() => ({}));
+  return { ...json, ok: res.ok && json.ok !== false, status: res.status };
+}
+
+// Send now, or queue when there is no connection. Resolves to the server's
+// JSON (with `ok` and `status`), or { ok: true, queued: true }.
+async function sendOrQueue(path, { method = "POST", body, label }) {
+  const user = currentUser();
+  const action = {
+    path,
+    method,
+    body,
+    label,
+    key: newIdempotencyKey(),
+    userId: user ? user.id : null,
+    queuedAt: new Date().toISOString(),
+    status: "pending"
+  };
+  if (navigator.onLine) {
+    try {
+      return await sendAction(action);
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+    }
+  }
+  await saveAction(action);
+  renderOfflineStatus();
+  return { ok: true, queued: true };
+}
+
+// Whether a refusal is worth retrying later rather than a conflict
+const isTransient = (result) =>
+  result.status >= 500 || result.status === 408 || result.status === 429 || result.code === "IDEMPOTENCY_IN_PROGRESS";
+
+let replaying = false;
+
+// Send the current user's pending actions in order. Stops at the first one
+// that can't get through, so later actions never overtake earlier ones.
+async function replayQueue() {
+  if (replaying || !navigator.onLine || !currentUser()) return;
+  replaying = true;
+  const userId = currentUser().id;
+  const outcome = { sent: 0, conflicts: 0 };
+
+  const run = async () => {
+    const pending = (await queuedActions()).filter(a => a.status === "pending" && a.userId === userId);
+    for (const action of pending) {
+      let result;
+      try {
+        result = await sendAction(action);
+      } catch (err) {
+        if (isNetworkError(err)) break;
+        throw err;
+      }
+      if (result.status === 401 || isTransient(result)) break;
+      if (result.ok) {
+        await removeAction(action.id);
+        outcome.sent++;
+      } else {
+        await saveAction({ ...action, status: "conflict", error: result.msg || t("Refused (HTTP {status})", { status: result.status }), failedAt: new Date().toISOString() });
+        outcome.conflicts++;
+      }
+    }
+  };
+
+  try {
+    // One tab at a time, so two open pages don't send the same entry
+    if (navigator.locks) await navigator.locks.request(OFFLINE_DB, run);
+    else await run();
+  } catch (err) {
+    console.error("Replaying offline actions failed:", err);
+  } finally {
+    replaying = false;
+  }
+  renderOfflineStatus();
+  if (outcome.sent || outcome.conflicts) {
+    window.dispatchEvent(new CustomEvent("offlinesync", { detail: outcome }));
+  }
+}
+
+async function retryAction(id) {
+  const action = (await queuedActions()).find(a => a.id === id);
+  if (!action) return;
+  await saveAction({ ...action, status: "pending", error: null, userId: currentUser() ? currentUser().id : action.userId });
+  replayQueue();
+}
+
+async function discardAction(id) {
+  if (!confirm(t("Discard this action? It will not be sent to the server."))) return;
+  await removeAction(id);
+  renderOfflineStatus();
+}
+
+// The header badge (#offlineStatus) and, where a page has one, the list of
+// queued actions and conflicts (#syncPanel)
+async function renderOfflineStatus() {
+  const badge = document.getElementById("offlineStatus");
+  const panel = document.getElementById("syncPanel");
+  if (!badge && !panel) return;
+
+  let actions = [];
+  try {
+    actions = await queuedActions();
+  } catch (err) {
+    console.warn("Offline queue unavailable:", err);
+  }
+  const pending = actions.filter(a => a.status === "pending").length;
+  const conflicts = actions.filter(a => a.status === "conflict").length;
+
+  if (badge) {
+    const parts = [];
+    if (!navigator.onLine) parts.push(t("Offline"));
+    if (pending) parts.push(tn(pending, "{count} queued", "{count} queued"));
+    if (conflicts) parts.push(tn(conflicts, "{count} to resolve", "{count} to resolve"));
+    badge.textContent = parts.join(" · ");
+    badge.hidden = !parts.length;
+    badge.classList.toggle("conflict", conflicts > 0);
+  }
+
+  if (panel) {
+    panel.hidden = !actions.length;
+    const list = panel.querySelector(".sync-list");
+    list.innerHTML = "";
+    actions.forEach(action => {
+      const item = document.createElement("li");
+      item.className = `sync-item ${action.status}`;
+      const when = formatDateTime(action.queuedAt);
+      item.innerHTML = `
+        <div>
+          <strong></strong>
+          <small></small>
+        </div>
+        <div class="sync-actions"></div>
+      `;
+      item.querySelector("strong").textContent = action.label || `${action.method} ${action.path}`;
+      item.querySelector("small").textContent = action.status === "conflict"
+        ? t("Refused: {error} (queued {when})", { error: action.error, when })
+        : t("Waiting to sync (queued {when})", { when });
+      if (action.status === "conflict") {
+        const retry = document.createElement("button");
+        retry.className = "btn-small";
+        retry.textContent = t("Retry");
+        retry.onclick = () => retryAction(action.id);
+        item.querySelector(".sync-actions").appendChild(retry);
+      }
+      const discard = document.createElement("button");
+      discard.className = "btn-small danger";
+      discard.textContent = t("Discard");
+      discard.onclick = () => discardAction(action.id);
+      item.querySelector(".sync-actions").appendChild(discard);
+      list.appendChild(item);
+    });
+  }
+}
+
+window.addEventListener("online", replayQueue);
+window.addEventListener("offline", renderOfflineStatus);
+document.addEventListener("DOMContentLoaded", async () => {
+  await i18nReady;
+  renderOfflineStatus();
+  replayQueue();
+  // navigator.onLine can claim a connection that isn't there; keep trying
+  setInterval(replayQueue, REPLAY_INTERVAL_MS);
+});
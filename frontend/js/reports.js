@@ -1,24 +1,216 @@
 // frontend/js/reports.js
+async function fetchReport(path) {
+  const res = await fetch(path, { headers: authHeader() });
+  if (handleAuthFailure(res)) return [];
+  const json = await res.json();
+  return res.ok ? json : [];
+}
+
 async function loadReports() {
-  const topBooks = await fetch("/reports/most-borrowed").then(r => r.json());
+  const topBooks = await fetchReport("/reports/most-borrowed");
   const topBooksTbody = document.querySelector("#topBooks tbody");
   topBooksTbody.innerHTML = topBooks.map(b => `
     <tr>
-      <td>${b.title}</td>
-      <td>${b.author}</td>
+      <td>${escapeHtml(b.title)}</td>
+      <td>${escapeHtml(b.author)}</td>
       <td>${b.borrowCount || 0}</td>
     </tr>
   `).join("");
 
-  const activeMembers = await fetch("/reports/active-members").then(r => r.json());
+  const activeMembers = await fetchReport("/reports/active-members");
   const activeMembersTbody = document.querySelector("#activeMembers tbody");
   activeMembersTbody.innerHTML = activeMembers.map(a => `
     <tr>
-      <td>${a.member?.name || a.memberId}</td>
-      <td>${a.member?.email || ''}</td>
+      <td>${escapeHtml(a.member?.name || a.memberId)}</td>
+      <td>${escapeHtml(a.member?.email || '')}</td>
       <td>${a.borrowCount}</td>
     </tr>
   `).join("");
 }
 
-document.addEventListener("DOMContentLoaded", loadReports);
\ No newline at end of file
+// --- Circulation analytics ---
+const analyticsFilters = document.getElementById("analyticsFilters");
+const percent = (value) => formatNumber(value, { style: "percent", maximumFractionDigits: 1 });
+const money = (value) => formatMoney(value);
+
+// How each report is summarized and charted; titles and series labels are
+// English keys, translated when the report is drawn
+const ANALYTICS_VIEWS = {
+  loans: {
+    stats: s => [["Loans", s.loans], ["Returns", s.returns]],
+    chart: { label: "period", series: [{ key: "loans", label: "Loans" }, { key: "returns", label: "Returns" }] }
+  },
+  genres: {
+    stats: s => [["Loans", s.loans], ["Genres", s.genres]],
+    chart: { label: "genre", series: [{ key: "loans", label: "Loans" }] }
+  },
+  utilization: {
+    stats: s => [["Titles", s.titles], ["Borrowed", s.borrowed], ["Never Borrowed", percent(s.neverBorrowedShare)]],
+    chart: { label: "genre", series: [{ key: "borrowed", label: "Borrowed" }, { key: "neverBorrowed", label: "Never borrowed" }] }
+  },
+  "loan-duration": {
+    stats: s => [["Returned", s.returned], ["Average Days", s.averageDays], ["Returned Late", s.late]],
+    chart: { label: "period", series: [{ key: "averageDays", label: "Average days" }] }
+  },
+  fines: {
+    stats: s => [["Assessed", money(s.assessed)], ["Collected", money(s.collected)], ["Waived", money(s.waived)], ["Collected Share", percent(s.collectionRate)]],
+    chart: { label: "period", series: [{ key: "assessed", label: "Assessed" }, { key: "collected", label: "Collected" }, { key: "waived", label: "Waived" }], format: money }
+  }
+};
+
+// Date inputs are whole local days; with no interval picked the server
+// chooses one from the length of the range
+function analyticsQuery(extra = {}) {
+  const data = Object.fromEntries(new FormData(analyticsFilters).entries());
+  const params = new URLSearchParams(extra);
+  if (data.interval) params.set("interval", data.interval);
+  if (data.from) params.set("from", new Date(`${data.from}T00:00:00`).toISOString());
+  if (data.to) params.set("to", new Date(`${data.to}T23:59:59.999`).toISOString());
+  return params;
+}
+
+async function loadAnalytics() {
+  const query = analyticsQuery();
+  for (const section of document.querySelectorAll(".analytics-report")) {
+    const name = section.dataset.report;
+    const view = ANALYTICS_VIEWS[name];
+    const res = await fetch(`/reports/${name}?${query}`, { headers: authHeader() });
+    if (handleAuthFailure(res)) return;
+    const report = await res.json();
+    const chart = section.querySelector(".chart-container");
+    if (!res.ok) {
+      section.querySelector(".report-stats").innerHTML = "";
+      chart.innerHTML = `<p class="chart-empty">${escapeHtml(report.msg || t("Failed to load the report"))}</p>`;
+      continue;
+    }
+    section.querySelector(".report-stats").innerHTML = view.stats(report.summary).map(([title, value]) => `
+      <div class="stat-card"><h4>${t(title)}</h4><p>${value}</p></div>
+    `).join("");
+    barChart(chart, report.rows, { ...view.chart, series: view.chart.series.map(s => ({ ...s, label: t(s.label) })) });
+  }
+}
+
+// Downloads need the auth header, so fetch the CSV and save the blob
+async function downloadReport(name) {
+  const res = await fetch(`/reports/${name}?${analyticsQuery({ format: "csv" })}`, { headers: authHeader() });
+  if (handleAuthFailure(res)) return;
+  if (!res.ok) return alert((await res.json()).msg || t("Download failed"));
+
+  const disposition = res.headers.get("content-disposition") || "";
+  const match = disposition.match(/filename="([^"]+)"/);
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await res.blob());
+  link.download = match ? match[1] : `${name}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+analyticsFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadAnalytics();
+});
+document.querySelectorAll(".analytics-report").forEach(section => {
+  section.querySelector(".csv-btn").addEventListener("click", () => downloadReport(section.dataset.report));
+});
+
+async function loadOverdue() {
+  const overdue = await fetchReport("/reports/overdue");
+  const tbody = document.querySelector("#overdue tbody");
+  tbody.innerHTML = overdue.length ? overdue.map(o => `
+    <tr>
+      <td>${escapeHtml(o.title || o.bookId)}<br><small>${escapeHtml(o.barcode || "")}</small></td>
+      <td>${escapeHtml(o.memberName || o.memberId)}<br><small>${escapeHtml(o.email || "")}</small></td>
+      <td>${formatDate(o.dueDate)}</td>
+      <td>${formatDate(o.lastReminderAt)}</td>
+      <td>${formatNumber(o.daysLate)}</td>
+      <td>${money(o.fine)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="6">${t("No overdue loans.")}</td></tr>`;
+}
+
+async function runReminders() {
+  const btn = document.getElementById("runRemindersBtn");
+  btn.disabled = true;
+  try {
+    const res = await fetch("/reminders/run", { method: "POST", headers: authHeader() });
+    if (handleAuthFailure(res)) return;
+    const json = await res.json();
+    if (!res.ok) return alert(json.msg || t("Failed to send reminders"));
+    alert(t("Reminders sent: {sent}, already sent or no email: {skipped}, failed: {failed}", {
+      sent: formatNumber(json.sent), skipped: formatNumber(json.skipped), failed: formatNumber(json.failed)
+    }));
+    loadOverdue();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function describeBook(b) {
+  return `${escapeHtml(b.title)} — ${escapeHtml(b.author)}${b.year ? ` (${escapeHtml(b.year)})` : ""}${b.isbn ? `<br><small>${escapeHtml(b.isbn)}</small>` : ""}`;
+}
+
+// Duplicate candidates: each row proposes folding one title into another
+async function loadDuplicates() {
+  const section = document.getElementById("duplicatesSection");
+  if (!can("books:write")) return;
+  const report = await fetchReport("/books/duplicates");
+  const rows = [];
+  (report.byIsbn || []).forEach(group => {
+    const [keep, ...others] = group.books;
+    others.forEach(other => rows.push({ match: t("Same ISBN {isbn}", { isbn: group.isbn }), keep, other }));
+  });
+  (report.byTitleAuthor || []).forEach(pair => {
+    rows.push({
+      match: t("Similar title/author ({score})", { score: formatNumber(pair.score, { style: "percent" }) }),
+      keep: pair.books[0],
+      other: pair.books[1]
+    });
+  });
+
+  const tbody = section.querySelector("#duplicates tbody");
+  tbody.innerHTML = rows.length ? rows.map(r => `
+    <tr>
+      <td>${escapeHtml(r.match)}</td>
+      <td>${describeBook(r.keep)}</td>
+      <td>${describeBook(r.other)}</td>
+      <td><button class="export-btn merge-btn" data-target="${r.keep._id}" data-source="${r.other._id}">${t("Merge")}</button></td>
+    </tr>
+  `).join("") : `<tr><td colspan="4">${t("No likely duplicates found.")}</td></tr>`;
+  tbody.querySelectorAll(".merge-btn").forEach(btn => {
+    btn.addEventListener("click", () => mergeBooks(btn.dataset.target, btn.dataset.source));
+  });
+
+  const invalid = report.invalidIsbn || [];
+  document.getElementById("invalidIsbns").innerHTML = invalid.length ? `
+    <h4>${t("Stored ISBNs that fail validation")}</h4>
+    <ul>${invalid.map(b => `<li>${escapeHtml(b.title)} — ${escapeHtml(b.isbn)}</li>`).join("")}</ul>
+  ` : "";
+}
+
+async function mergeBooks(targetId, sourceId) {
+  if (!confirm(t("Merge the second title into the first? The second title will be removed."))) return;
+  const res = await fetch("/books/merge", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeader() },
+    body: JSON.stringify({ targetId, sourceId })
+  });
+  if (handleAuthFailure(res)) return;
+  const json = await res.json();
+  if (!res.ok) return alert(json.msg || t("Failed to merge books"));
+  loadDuplicates();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!requireSession()) return;
+  await i18nReady;
+  if (!can("reports:read")) {
+    window.location.href = "/";
+    return;
+  }
+  applyPermissions();
+  document.getElementById("runRemindersBtn").addEventListener("click", runReminders);
+  loadAnalytics();
+  loadReports();
+  loadOverdue();
+  loadDuplicates();
+});
\ No newline at end of file
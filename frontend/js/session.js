@@ -0,0 +1,125 @@
+// frontend/js/session.js
+// Shared session helpers: stored login, role permissions and auth redirects
+
+// Mirrors ROLE_PERMISSIONS in backend/auth.js
+const ROLE_PERMISSIONS = {
+  admin: ["books:write", "members:read", "members:write", "circulation", "fines:manage", "reports:read", "audit:read", "users:manage", "settings:manage"],
+  librarian: ["books:write", "members:read", "members:write", "circulation", "fines:manage", "reports:read", "audit:read"],
+  member: []
+};
+
+const LOGIN_PAGE = "/pages/Login.html";
+
+function authHeader() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: "Bearer " + token } : {};
+}
+
+function currentUser() {
+  try {
+    return JSON.parse(localStorage.getItem("user"));
+  } catch (err) {
+    return null;
+  }
+}
+
+function can(permission) {
+  const user = currentUser();
+  return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+function clearSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("user");
+  // Drop the service worker's saved catalog and member data too
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage({ type: "clear-data" });
+  }
+}
+
+function redirectToLogin() {
+  if (window.location.pathname !== LOGIN_PAGE) window.location.href = LOGIN_PAGE;
+}
+
+// Send the user to the login page when there is no stored session
+function requireSession() {
+  if (!localStorage.getItem("token") || !currentUser()) {
+    clearSession();
+    redirectToLogin();
+    return false;
+  }
+  return true;
+}
+
+// Call with every API response; a 401 means the session is gone
+function handleAuthFailure(res) {
+  if (res.status === 401) {
+    clearSession();
+    redirectToLogin();
+    return true;
+  }
+  return false;
+}
+
+// For text from the API (titles, names, emails) put into innerHTML templates
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[c]);
+}
+
+// Hide any element marked data-permission="..." the current role lacks
+function applyPermissions(root = document) {
+  root.querySelectorAll("[data-permission]").forEach(el => {
+    if (!can(el.dataset.permission)) el.style.display = "none";
+  });
+}
+
+// Open a page that needs the login (label sheets, member cards) in a new
+// tab. The tab is opened before the request so popup blockers allow it.
+async function openAuthorizedPage(path) {
+  const win = window.open("", "_blank");
+  const res = await fetch(path, { headers: authHeader() });
+  if (handleAuthFailure(res)) return win && win.close();
+  if (!res.ok) {
+    if (win) win.close();
+    const json = await res.json().catch(() => ({}));
+    return alert(json.msg || t("Failed to open the page"));
+  }
+  const url = URL.createObjectURL(await res.blob());
+  if (win) win.location.href = url;
+  else window.location.href = url;
+}
+
+// End this session (or every session of the user) on the server, then locally
+async function logout(everywhere = false) {
+  try {
+    await fetch(everywhere ? "/logout-all" : "/logout", { method: "POST", headers: authHeader() });
+  } catch (err) {
+    console.error("Logout request failed:", err);
+  }
+  clearSession();
+  redirectToLogin();
+}
+
+// Toggle the header Login link into Logout actions when signed in
+function setupAuthButton() {
+  const btn = document.getElementById("authBtn");
+  const allBtn = document.getElementById("logoutAllBtn");
+  const accountBtn = document.getElementById("accountBtn");
+  const user = currentUser();
+  if (!btn || !user) return;
+  if (accountBtn) accountBtn.style.display = "inline-block";
+  btn.textContent = t("Logout ({name})", { name: user.name });
+  btn.onclick = (e) => {
+    e.preventDefault();
+    logout();
+  };
+  if (allBtn) {
+    allBtn.style.display = "inline-block";
+    allBtn.onclick = (e) => {
+      e.preventDefault();
+      if (confirm(t("Log out on every device?"))) logout(true);
+    };
+  }
+}
@@ -0,0 +1,166 @@
+// frontend/sw.js
+// Service worker: keeps the app usable without a connection. Pages, CSS and
+// scripts are precached and served network-first, so online loads always get
+// the latest version; the last catalog and member responses are kept as well
+// and served when the network is down. Writes are not handled here: pages
+// queue them in IndexedDB (see js/offline.js).
+// Bump SHELL_CACHE whenever SHELL_FILES changes so installed clients
+// precache the new list and drop the old one.
+const SHELL_CACHE = "library-shell-v2";
+const DATA_CACHE = "library-data-v1";
+
+const SHELL_FILES = [
+  "/",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+  "/pages/Account.html",
+  "/pages/AddBook.html",
+  "/pages/Audit.html",
+  "/pages/Circulation.html",
+  "/pages/Fines.html",
+  "/pages/Login.html",
+  "/pages/Members.html",
+  "/pages/Reports.html",
+  "/css/account.css",
+  "/css/add.css",
+  "/css/audit.css",
+  "/css/circulation.css",
+  "/css/fines.css",
+  "/css/forms.css",
+  "/css/login.css",
+  "/css/members.css",
+  "/css/modal.css",
+  "/css/offline.css",
+  "/css/reports.css",
+  "/css/style.css",
+  "/css/utilities.css",
+  "/js/account.js",
+  "/js/audit.js",
+  "/js/auth.js",
+  "/js/books.js",
+  "/js/bulk.js",
+  "/js/charts.js",
+  "/js/circulation.js",
+  "/js/custom.js",
+  "/js/fines.js",
+  "/js/forms.js",
+  "/js/i18n.js",
+  "/js/live.js",
+  "/js/members.js",
+  "/js/offline.js",
+  "/js/reports.js",
+  "/js/session.js",
+  "/locales/es.json"
+];
+const SHELL_PREFIXES = ["/pages/", "/css/", "/js/", "/icons/", "/locales/"];
+
+// API reads whose last response is kept for offline use
+const DATA_PATHS = [
+  /^\/books$/,
+  /^\/books\/genres$/,
+  /^\/api\/v1\/books(\/[0-9a-f]{24})?$/i,
+  /^\/members$/,
+  /^\/api\/v1\/members(\/[0-9a-f]{24})?$/i,
+  /^\/members\/eligibility$/,
+  /^\/circulation\/members\/[0-9a-f]{24}$/i
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// Logging out drops the saved data so the next user doesn't see it
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "clear-data") event.waitUntil(caches.delete(DATA_CACHE));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  const path = url.pathname;
+  if (path.startsWith("/uploads/")) {
+    event.respondWith(cacheFirst(request, DATA_CACHE));
+  } else if (DATA_PATHS.some(pattern => pattern.test(path))) {
+    event.respondWith(networkFirst(request, DATA_CACHE, () => dataFallback(url)));
+  } else if (path === "/" || path === "/manifest.webmanifest" || SHELL_PREFIXES.some(prefix => path.startsWith(prefix))) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, () => caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })));
+  }
+  // Everything else, /events included, goes straight to the network
+});
+
+async function networkFirst(request, cacheName, fallback) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return markOffline(cached);
+    return (await fallback()) || offlineResponse();
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { cacheName });
+  if (cached) return cached;
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    return offlineResponse();
+  }
+}
+
+// A saved response, flagged so pages can say the data may be stale
+async function markOffline(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Offline-Snapshot", "true");
+  return new Response(await response.blob(), { status: response.status, headers });
+}
+
+// When this exact request was never saved: a catalog page falls back to
+// the last catalog page seen, and a member search is run over the last
+// saved member list
+async function dataFallback(url) {
+  const cache = await caches.open(DATA_CACHE);
+  if (url.pathname === "/books" && url.searchParams.has("page")) {
+    const pages = (await cache.keys()).filter(req => {
+      const saved = new URL(req.url);
+      return saved.pathname === "/books" && saved.searchParams.has("page");
+    });
+    if (pages.length) return markOffline(await cache.match(pages[pages.length - 1]));
+  }
+  if (url.pathname === "/members" && url.searchParams.get("q")) {
+    const saved = await cache.match("/members");
+    if (!saved) return null;
+    const q = url.searchParams.get("q").trim().toLowerCase();
+    const members = (await saved.json()).filter(m => m._id === q ||
+      (m.name || "").toLowerCase().includes(q) || (m.email || "").toLowerCase().includes(q));
+    return new Response(JSON.stringify(members), {
+      headers: { "Content-Type": "application/json", "X-Offline-Snapshot": "true" }
+    });
+  }
+  return null;
+}
+
+function offlineResponse() {
+  return new Response(JSON.stringify({ ok: false, offline: true, msg: "You are offline and this hasn't been saved for offline use yet" }), {
+    status: 503,
+    headers: { "Content-Type": "application/json" }
+  });
+}